@@ -3,7 +3,7 @@
  * Implements efficient path rendering, operation history, and performance optimization
  */
 class CanvasManager {
-  constructor(canvasElement) {
+  constructor(canvasElement, previewElement = null) {
     this.canvas = canvasElement;
     this.ctx = canvasElement.getContext('2d', { 
       willReadFrequently: false,
@@ -12,20 +12,145 @@ class CanvasManager {
     
     // Drawing state
     this.isDrawing = false;
+    this.readOnly = false; // true for users who may only watch
     this.currentPath = [];
+    this.lastSentPoint = null;
+    
+    // Input comes as pointer events from a mouse, pen or finger; one pointer
+    // draws at a time. Pen points carry the pen's pressure (and tilt), and a
+    // stroke's width follows the pressure: the brush size at full pressure,
+    // minPressureWidth of it at none. While a pen is in use, and for
+    // palmRejectionMs after it was last seen, touches are ignored so a hand
+    // resting on the screen doesn't draw.
+    this.activePointerId = null;
+    this.minPressureWidth = 0.2;
+    this.palmRejectionMs = 500;
+    this.penActiveUntil = 0;
+    
+    // Touch gestures: two fingers drag and pinch-zoom the view, a quick tap
+    // with two fingers undoes and one with three redoes. A gesture that
+    // starts while a finger is drawing cancels what it was drawing.
+    this.touchPoints = new Map(); // pointer ID -> screen position of each finger down
+    this.gesture = null; // { startTime, fingers, moved, base } while fingers are down
+    this.tapMaxMs = 300;
+    this.tapMaxMove = 10; // CSS pixels a finger may move in a tap
     
     // Tool settings
-    this.tool = 'brush'; // 'brush' or 'eraser'
+    this.tool = 'brush'; // 'brush', 'eraser', 'object-eraser', 'text', 'select' or one of shapeTools
     this.color = '#ffffff';
     this.brushSize = 3;
     
+    // Shapes are dragged out from a start point and stored as geometry.
+    // While dragging, the outline is drawn on the preview layer; holding
+    // Shift constrains it to squares, circles and 45° lines.
+    this.shapeTools = ['line', 'rect', 'ellipse', 'arrow'];
+    this.shapeType = null; // the tool the drag started with
+    this.shapeStart = null;
+    this.shapeEnd = null;
+    this.constrainShape = false;
+    
+    // Text: line i has its baseline at y + fontSize * (1 + i * textLineHeight)
+    this.fontSize = 24;
+    this.textLineHeight = 1.25;
+    this.textFontFamily = 'sans-serif';
+    // Text operation hidden while it's open in the editor
+    this.editingTextId = null;
+    
+    // Operation types the select tool can pick, transform and delete
+    this.selectableTypes = ['stroke', 'text', 'image', ...this.shapeTools];
+    this.selection = new SelectionTool(this);
+    
+    // Object eraser: objects the drag passes over (within half the brush
+    // size) are hidden right away and deleted as one delete operation when
+    // the drag ends.
+    this.eraseTargets = null; // IDs hit by the drag in progress
+    this.lastErasePoint = null;
+    
+    // Layers bottom to top, as on the server (see server/layers.js).
+    // Operations without a layerId are on the default layer. Each visible
+    // layer is rendered into its own transparent canvas, so erasers only
+    // erase their layer, and the layer canvases are drawn onto the main
+    // canvas in order. New objects go on the active layer.
+    this.defaultLayerId = 'default';
+    this.layers = [{ id: this.defaultLayerId, name: 'Layer 1', visible: true, locked: false }];
+    this.activeLayerId = this.defaultLayerId;
+    this.layerCanvases = new Map();
+    this.compositeFrame = null;
+    
+    // View onto the unbounded drawing: the world position at the canvas's
+    // top left corner and the zoom. Operations are stored in world
+    // coordinates and rendered through the view transform; the view is
+    // moved with Space+drag, the middle button or scrolling and zoomed with
+    // Ctrl+scroll. Each user has their own view.
+    this.view = { x: 0, y: 0, zoom: 1 };
+    this.minZoom = 0.1;
+    this.maxZoom = 8;
+    this.zoomStep = 1.25; // zoom in and out buttons
+    this.wheelZoomSpeed = 0.002; // zoom factor per pixel scrolled is e^speed
+    this.panning = null; // { start, view } while dragging the view
+    this.spaceHeld = false;
+    this.redrawFrame = null;
+    
+    // Every room has a logical size, the same for all users: the area each
+    // client fits into its window at first and keeps in view when the
+    // window is resized, so a drawing lands in the same place on any
+    // screen. The view is in CSS pixels; the canvases have
+    // devicePixelRatio pixels per CSS pixel to stay crisp.
+    this.logicalSize = { width: 1920, height: 1080 };
+    this.viewport = null; // CSS size of the canvas
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.viewFitted = false;
+    this.frameColor = 'rgba(255, 255, 255, 0.25)';
+    
+    // Decoded images by image ID, loaded on first use through imageLoader
+    // (imageId -> Promise<Blob>). Until an image is loaded a placeholder
+    // is drawn in its place.
+    this.images = new Map();
+    this.imageLoader = null;
+    
     // Operation history for rendering
     this.operations = [];
     this.undoneOperations = new Set();
     
+    // Our own changes the server hasn't confirmed yet, from
+    // WebSocketManager.getPendingOperations: drawn at once, on top of the
+    // confirmed history where the server will append them. Pending undos
+    // and redos change what the server will: our last operation still
+    // shown, and the last one we undid (redoStack mirrors our redo stack on
+    // the server). When the server's copy of a change arrives it takes the
+    // pending one's place; a refused change just disappears.
+    this.userId = null;
+    this.pendingOperations = [];
+    this.redoStack = [];
+    // getLocalHistory's result, null when any of the above or the history changed
+    this.localHistory = null;
+    
+    // Compacted history from the server, pre-rendered offscreen at the
+    // current zoom. The canvases cover a world area around the view (and
+    // no more than the snapshot's content), so panning within it only
+    // draws them at another offset.
+    this.snapshotOperations = [];
+    this.snapshotBaseId = 0; // IDs below this are in the snapshot
+    this.snapshotCanvases = new Map(); // layer ID -> the layer's part
+    // Updates, hidden text, layers and scale the snapshot was rendered with, null to re-render
+    this.snapshotKey = null;
+    this.snapshotRegion = null; // world area rendered around the view
+    this.snapshotArea = null; // the part of it with content, covered by the canvases
+    this.snapshotMargin = 0.25; // of the view's size, rendered beyond each edge
+    
+    // Other users' strokes in progress, drawn on a transparent layer above
+    // the canvas until they are committed
+    this.previewCanvas = previewElement;
+    this.previewCtx = previewElement ? previewElement.getContext('2d') : null;
+    this.liveStrokes = new Map();
+    this.previewFrame = null;
+    // Erased areas of the (opaque) canvas show as black
+    this.eraserPreviewColor = '#000000';
+    
     // Initialize canvas size (after operations array is initialized)
     this.resizeCanvas();
     window.addEventListener('resize', () => this.resizeCanvas());
+    this.watchPixelRatio();
     
     // Performance tracking
     this.lastFrameTime = performance.now();
@@ -44,71 +169,241 @@ class CanvasManager {
   }
 
   /**
-   * Resize canvas to fit container while maintaining drawing
+   * Resize canvas to fit container, keeping the same part of the room in
+   * view: the view keeps its center and is zoomed with the window
    */
   resizeCanvas() {
     const container = this.canvas.parentElement;
     const rect = container.getBoundingClientRect();
+    const previous = this.viewport;
+    const center = previous && this.screenToWorld({ x: previous.width / 2, y: previous.height / 2 });
+    const previousFit = previous && this.getFitZoom();
     
-    // Store current canvas content
-    const imageData = this.canvas.width > 0 ? 
-      this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height) : null;
-    
-    // Set new size
-    this.canvas.width = rect.width;
-    this.canvas.height = rect.height;
+    // Set new size, in device pixels
+    this.pixelRatio = window.devicePixelRatio || 1;
+    this.viewport = { width: rect.width, height: rect.height };
+    for (const canvas of [this.canvas, this.previewCanvas]) {
+      if (!canvas) continue;
+      canvas.width = Math.round(rect.width * this.pixelRatio);
+      canvas.height = Math.round(rect.height * this.pixelRatio);
+      canvas.style.width = `${rect.width}px`;
+      canvas.style.height = `${rect.height}px`;
+    }
+    this.schedulePreviewRender();
     
-    // Restore content if it existed
-    if (imageData) {
-      this.ctx.putImageData(imageData, 0, 0);
+    if (!this.viewFitted) {
+      this.resetView();
+    } else if (center && previousFit > 0 && this.getFitZoom() > 0) {
+      const zoom = this.view.zoom * this.getFitZoom() / previousFit;
+      this.setView({ x: center.x - rect.width / 2 / zoom, y: center.y - rect.height / 2 / zoom, zoom });
     }
     
     // Redraw all operations
+    this.snapshotKey = null;
     this.redrawCanvas();
   }
 
   /**
-   * Setup mouse and touch event listeners
+   * Re-render when the device pixel ratio changes, e.g. when the window
+   * moves to another screen or the page is zoomed
+   */
+  watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+      this.resizeCanvas();
+      this.watchPixelRatio();
+    }, { once: true });
+  }
+
+  /**
+   * Use a room's logical size, fitting it into the window the first time
+   * and whenever it changes
+   * @param {Object} size - { width, height } in world coordinates
+   */
+  setLogicalSize(size) {
+    if (!size) return;
+    const changed = size.width !== this.logicalSize.width || size.height !== this.logicalSize.height;
+    this.logicalSize = { width: size.width, height: size.height };
+    if (changed || !this.viewFitted) {
+      this.resetView();
+    }
+  }
+
+  /**
+   * Get the zoom at which the room's logical area just fits the window
+   */
+  getFitZoom() {
+    if (!this.viewport) return 0;
+    return Math.min(
+      this.viewport.width / this.logicalSize.width,
+      this.viewport.height / this.logicalSize.height
+    );
+  }
+
+  /**
+   * Get the zoom relative to the room's area fitting the window, the zoom
+   * users see
+   */
+  getRelativeZoom() {
+    const fit = this.getFitZoom();
+    return fit > 0 ? this.view.zoom / fit : 1;
+  }
+
+  /**
+   * Show the room's whole logical area, centered
+   */
+  resetView() {
+    const zoom = this.getFitZoom();
+    if (!(zoom > 0)) return;
+    this.viewFitted = true;
+    this.setView({
+      x: this.logicalSize.width / 2 - this.viewport.width / 2 / zoom,
+      y: this.logicalSize.height / 2 - this.viewport.height / 2 / zoom,
+      zoom
+    });
+  }
+
+  /**
+   * Setup pointer and keyboard event listeners
    */
   setupEventListeners() {
-    // Mouse events
-    this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-    this.canvas.addEventListener('mousemove', (e) => this.draw(e));
-    this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-    this.canvas.addEventListener('mouseleave', () => this.stopDrawing());
-    
-    // Touch events for mobile support
-    this.canvas.addEventListener('touchstart', (e) => {
+    // Pointer events for mouse, pen and touch; the middle button or
+    // Space + drag moves the view. The drawing pointer is captured, so a
+    // stroke goes on when it leaves the canvas.
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (this.rejectPalm(e)) return;
+      if (e.pointerType === 'pen') {
+        // The hand may have touched down before the pen
+        this.releaseTouches();
+      } else if (e.pointerType === 'touch') {
+        this.touchPoints.set(e.pointerId, this.getScreenPos(e));
+        if (this.gesture || this.touchPoints.size > 1) {
+          this.startGesture();
+          return;
+        }
+      }
+      if (this.activePointerId !== null) return;
+      this.activePointerId = e.pointerId;
+      this.canvas.setPointerCapture(e.pointerId);
+      
+      if (e.button === 1 || (this.spaceHeld && !this.isDrawing)) {
+        e.preventDefault();
+        this.startPan(e);
+        return;
+      }
+      this.startDrawing(e);
+    });
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (this.rejectPalm(e)) return;
+      if (e.pointerType === 'touch') {
+        if (!this.touchPoints.has(e.pointerId)) return;
+        this.touchPoints.set(e.pointerId, this.getScreenPos(e));
+        if (this.gesture) {
+          this.moveGesture();
+          return;
+        }
+      }
+      if (this.activePointerId !== null && e.pointerId !== this.activePointerId) return;
+      if (this.panning) {
+        this.movePan(e);
+        return;
+      }
+      // A pen reports more positions than there are frames, keep them all
+      const events = this.isDrawing && e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+      (events.length > 0 ? events : [e]).forEach(event => this.draw(event));
+    });
+    const endPointer = (e) => {
+      if (e.pointerType === 'pen') this.rejectPalm(e);
+      if (this.touchPoints.delete(e.pointerId) && this.gesture) {
+        if (this.touchPoints.size === 0) {
+          this.endGesture();
+        } else {
+          this.startGesture();
+        }
+        return;
+      }
+      if (e.pointerId !== this.activePointerId) return;
+      this.activePointerId = null;
+      this.endPan();
+      this.stopDrawing();
+    };
+    this.canvas.addEventListener('pointerup', endPointer);
+    this.canvas.addEventListener('pointercancel', endPointer);
+    
+    // Scrolling moves the view, Ctrl/Cmd + scroll (and pinching on a
+    // touchpad) zooms about the pointer
+    this.canvas.addEventListener('wheel', (e) => {
       e.preventDefault();
-      this.startDrawing(this.getTouchPos(e));
+      if (this.isDrawing) return;
+      
+      const lines = e.deltaMode === 1 ? 16 : 1;
+      if (e.ctrlKey || e.metaKey) {
+        this.zoomAt(Math.exp(-e.deltaY * lines * this.wheelZoomSpeed), this.getScreenPos(e));
+      } else {
+        this.panBy(-e.deltaX * lines, -e.deltaY * lines);
+      }
     }, { passive: false });
     
-    this.canvas.addEventListener('touchmove', (e) => {
+    // Holding Space turns the pointer into a hand for moving the view
+    const updateSpace = (e) => {
+      if (e.code !== 'Space' || e.target.matches('input, select, textarea, button')) return;
       e.preventDefault();
-      this.draw(this.getTouchPos(e));
-    }, { passive: false });
+      const held = e.type === 'keydown';
+      if (held === this.spaceHeld) return;
+      this.spaceHeld = held;
+      this.updateCursor();
+    };
+    window.addEventListener('keydown', updateSpace);
+    window.addEventListener('keyup', updateSpace);
     
-    this.canvas.addEventListener('touchend', () => this.stopDrawing());
+    // Pressing or releasing Shift mid-drag updates the shape preview
+    const updateConstraint = (e) => {
+      if (e.key !== 'Shift' || !this.shapeStart) return;
+      this.constrainShape = e.type === 'keydown';
+      this.schedulePreviewRender();
+    };
+    window.addEventListener('keydown', updateConstraint);
+    window.addEventListener('keyup', updateConstraint);
   }
 
   /**
-   * Get touch position relative to canvas
+   * Palm rejection: note when a pen is in use and tell whether a pointer
+   * event is a touch to ignore because of it
    */
-  getTouchPos(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const touch = e.touches[0];
-    return {
-      clientX: touch.clientX,
-      clientY: touch.clientY,
-      offsetX: touch.clientX - rect.left,
-      offsetY: touch.clientY - rect.top
-    };
+  rejectPalm(e) {
+    if (e.pointerType === 'pen') {
+      this.penActiveUntil = performance.now() + this.palmRejectionMs;
+      return false;
+    }
+    return e.pointerType === 'touch' && performance.now() < this.penActiveUntil;
   }
 
   /**
-   * Get mouse position relative to canvas
+   * Get a stroke point at a position, with the pen's pressure and tilt when
+   * drawing with a pen
+   */
+  getStrokePoint(e, pos) {
+    if (e.pointerType !== 'pen') return pos;
+    
+    const point = { ...pos, pressure: Math.round(e.pressure * 1000) / 1000 };
+    if (e.tiltX || e.tiltY) {
+      point.tiltX = e.tiltX;
+      point.tiltY = e.tiltY;
+    }
+    return point;
+  }
+
+  /**
+   * Get the world position under the mouse
    */
   getMousePos(e) {
+    return this.screenToWorld(this.getScreenPos(e));
+  }
+
+  /**
+   * Get mouse position relative to canvas, in CSS pixels
+   */
+  getScreenPos(e) {
     const rect = this.canvas.getBoundingClientRect();
     return {
       x: e.clientX - rect.left,
@@ -116,13 +411,302 @@ class CanvasManager {
     };
   }
 
+  /**
+   * Get the view transform, mapping world to canvas positions in CSS pixels
+   * @returns {Array} Matrix [a, b, c, d, e, f]
+   */
+  getViewMatrix() {
+    const { x, y, zoom } = this.view;
+    return [zoom, 0, 0, zoom, -x * zoom, -y * zoom];
+  }
+
+  /**
+   * Get the transform for drawing onto the canvases: the view transform in
+   * device pixels
+   * @returns {Array} Matrix [a, b, c, d, e, f]
+   */
+  getRenderMatrix() {
+    return this.getViewMatrix().map(value => value * this.pixelRatio);
+  }
+
+  /**
+   * Map a canvas position to the world
+   */
+  screenToWorld(point) {
+    return {
+      x: this.view.x + point.x / this.view.zoom,
+      y: this.view.y + point.y / this.view.zoom
+    };
+  }
+
+  /**
+   * Map a world position to the canvas
+   */
+  worldToScreen(point) {
+    return {
+      x: (point.x - this.view.x) * this.view.zoom,
+      y: (point.y - this.view.y) * this.view.zoom
+    };
+  }
+
+  /**
+   * Change the view and redraw on the next frame
+   * @param {Object} view - { x, y, zoom }, the zoom is clamped
+   */
+  setView({ x, y, zoom }) {
+    this.view = { x, y, zoom: Math.max(this.minZoom, Math.min(this.maxZoom, zoom)) };
+    this.scheduleRedraw();
+    if (this.onViewChange) {
+      this.onViewChange(this.view);
+    }
+  }
+
+  /**
+   * Move the view so the drawing moves by a distance on screen
+   */
+  panBy(dx, dy) {
+    const { x, y, zoom } = this.view;
+    this.setView({ x: x - dx / zoom, y: y - dy / zoom, zoom });
+  }
+
+  /**
+   * Zoom by a factor, keeping the world position under a canvas point in place
+   * @param {number} factor - Above 1 zooms in
+   * @param {Object} point - Canvas position, defaults to the center
+   */
+  zoomAt(factor, point = { x: this.viewport.width / 2, y: this.viewport.height / 2 }) {
+    const anchor = this.screenToWorld(point);
+    const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.view.zoom * factor));
+    this.setView({ x: anchor.x - point.x / zoom, y: anchor.y - point.y / zoom, zoom });
+  }
+
+  /**
+   * Zoom in or out one step
+   * @param {number} direction - 1 to zoom in, -1 to zoom out
+   */
+  zoomStepBy(direction) {
+    this.zoomAt(Math.pow(this.zoomStep, direction));
+  }
+
+
+  /**
+   * Fit everything on the visible layers into the canvas
+   * @param {number} padding - Space left around it, in CSS pixels
+   */
+  zoomToFit(padding = 40) {
+    const bounds = this.getOperationsBounds(this.getVisibleOperations().filter(op => {
+      const layer = this.getLayer(this.getLayerId(op));
+      return this.selectableTypes.includes(op.type) && op.tool !== 'eraser' && layer && layer.visible;
+    }));
+    if (!bounds) return;
+    
+    const { width: viewportWidth, height: viewportHeight } = this.viewport;
+    const width = Math.max(1, viewportWidth - 2 * padding);
+    const height = Math.max(1, viewportHeight - 2 * padding);
+    const zoom = Math.max(this.minZoom, Math.min(
+      this.maxZoom,
+      width / Math.max(bounds.width, 1),
+      height / Math.max(bounds.height, 1)
+    ));
+    this.setView({
+      x: bounds.x + bounds.width / 2 - viewportWidth / 2 / zoom,
+      y: bounds.y + bounds.height / 2 - viewportHeight / 2 / zoom,
+      zoom
+    });
+  }
+
+  /**
+   * Start dragging the view
+   */
+  startPan(e) {
+    this.panning = { start: this.getScreenPos(e), view: { ...this.view } };
+    this.canvas.style.cursor = 'grabbing';
+  }
+
+  /**
+   * Follow the pointer while dragging the view
+   */
+  movePan(e) {
+    const pos = this.getScreenPos(e);
+    const { start, view } = this.panning;
+    this.setView({
+      x: view.x - (pos.x - start.x) / view.zoom,
+      y: view.y - (pos.y - start.y) / view.zoom,
+      zoom: view.zoom
+    });
+  }
+
+  /**
+   * Stop dragging the view
+   */
+  endPan() {
+    if (!this.panning) return;
+    this.panning = null;
+    this.updateCursor();
+  }
+
+  /**
+   * Start a touch gesture, or carry it on from the fingers down now when
+   * one is added or lifted. Whatever the first finger was drawing is
+   * dropped.
+   */
+  startGesture() {
+    if (this.activePointerId !== null) {
+      this.cancelDrawing();
+      this.endPan();
+      this.activePointerId = null;
+    }
+    
+    const gesture = this.gesture || { startTime: performance.now(), fingers: 0, moved: false };
+    const pinch = this.getPinch();
+    this.gesture = {
+      ...gesture,
+      fingers: Math.max(gesture.fingers, this.touchPoints.size),
+      // Where the fingers and the view were when the gesture (re)started
+      base: pinch && { ...pinch, view: { ...this.view } }
+    };
+  }
+
+  /**
+   * Get the center of the first two fingers down and their distance
+   * @returns {Object|null} { center, distance }, null with fewer than two fingers
+   */
+  getPinch() {
+    const [a, b] = this.touchPoints.values();
+    if (!b) return null;
+    return {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y))
+    };
+  }
+
+  /**
+   * Follow two fingers: the world position that was between them stays
+   * between them, and the zoom changes with their distance
+   */
+  moveGesture() {
+    const pinch = this.getPinch();
+    const { base } = this.gesture;
+    if (!pinch || !base) return;
+    
+    if (Math.hypot(pinch.center.x - base.center.x, pinch.center.y - base.center.y) > this.tapMaxMove ||
+        Math.abs(pinch.distance - base.distance) > this.tapMaxMove) {
+      this.gesture.moved = true;
+    }
+    
+    const { view } = base;
+    const anchor = { x: view.x + base.center.x / view.zoom, y: view.y + base.center.y / view.zoom };
+    const zoom = Math.max(this.minZoom, Math.min(this.maxZoom, view.zoom * pinch.distance / base.distance));
+    this.setView({ x: anchor.x - pinch.center.x / zoom, y: anchor.y - pinch.center.y / zoom, zoom });
+  }
+
+  /**
+   * Finish a gesture once all fingers are lifted; a quick tap without
+   * moving undoes (two fingers) or redoes (three)
+   */
+  endGesture() {
+    const { startTime, fingers, moved } = this.gesture;
+    this.gesture = null;
+    if (moved || performance.now() - startTime > this.tapMaxMs) return;
+    
+    if (fingers === 2 && this.onUndoGesture) {
+      this.onUndoGesture();
+    } else if (fingers === 3 && this.onRedoGesture) {
+      this.onRedoGesture();
+    }
+  }
+
+  /**
+   * Forget the fingers down, dropping a gesture or what a finger was drawing
+   */
+  releaseTouches() {
+    if (this.touchPoints.has(this.activePointerId)) {
+      this.cancelDrawing();
+      this.activePointerId = null;
+    }
+    this.touchPoints.clear();
+    this.gesture = null;
+  }
+
+  /**
+   * Redraw on the next frame, once per frame at most
+   */
+  scheduleRedraw() {
+    if (this.redrawFrame) return;
+    
+    this.redrawFrame = requestAnimationFrame(() => {
+      this.redrawFrame = null;
+      this.redrawCanvas();
+    });
+  }
+
   /**
    * Start drawing
    */
   startDrawing(e) {
-    this.isDrawing = true;
+    if (this.readOnly) return;
+    
     const pos = this.getMousePos(e);
-    this.currentPath = [pos];
+    
+    // Everything but the select tool works on the active layer
+    if (this.tool !== 'select' && !this.isLayerEditable(this.activeLayerId)) {
+      if (this.onLayerUnavailable) {
+        this.onLayerUnavailable(this.getLayer(this.activeLayerId));
+      }
+      return;
+    }
+    
+    if (this.tool === 'text') {
+      // Keep the focus in the text editor this click opens
+      if (e.preventDefault) e.preventDefault();
+      if (this.onTextClick) {
+        this.onTextClick(pos);
+      }
+      return;
+    }
+    
+    this.isDrawing = true;
+    
+    if (this.tool === 'select') {
+      this.selection.pointerDown(pos, e);
+      return;
+    }
+    
+    if (this.tool === 'object-eraser') {
+      this.eraseTargets = new Set();
+      this.lastErasePoint = pos;
+      this.eraseObjectsAlong(pos, pos);
+      if (this.onCursorMove) {
+        this.onCursorMove(pos);
+      }
+      return;
+    }
+    
+    if (this.isShapeTool(this.tool)) {
+      this.shapeType = this.tool;
+      this.shapeStart = pos;
+      this.shapeEnd = pos;
+      this.constrainShape = !!e.shiftKey;
+      if (this.onCursorMove) {
+        this.onCursorMove(pos);
+      }
+      return;
+    }
+    
+    const point = this.getStrokePoint(e, pos);
+    this.currentPath = [point];
+    this.lastSentPoint = point;
+    
+    // Start streaming the stroke to other users
+    if (this.onStrokeBegin) {
+      this.onStrokeBegin({
+        points: [point],
+        color: this.color,
+        size: this.brushSize,
+        tool: this.tool,
+        layerId: this.activeLayerId
+      });
+    }
     
     // Emit cursor move event
     if (this.onCursorMove) {
@@ -144,7 +728,44 @@ class CanvasManager {
     }
     
     const pos = this.getMousePos(e);
-    this.currentPath.push(pos);
+    
+    if (this.tool === 'select') {
+      this.selection.pointerMove(pos, e);
+      if (this.onCursorMove) {
+        this.onCursorMove(pos);
+      }
+      return;
+    }
+    
+    if (this.eraseTargets) {
+      this.eraseObjectsAlong(this.lastErasePoint, pos);
+      this.lastErasePoint = pos;
+      if (this.onCursorMove) {
+        this.onCursorMove(pos);
+      }
+      return;
+    }
+    
+    if (this.shapeStart) {
+      this.shapeEnd = pos;
+      this.constrainShape = !!e.shiftKey;
+      this.schedulePreviewRender();
+      if (this.onCursorMove) {
+        this.onCursorMove(pos);
+      }
+      return;
+    }
+    
+    const point = this.getStrokePoint(e, pos);
+    this.currentPath.push(point);
+    
+    // Stream the point unless it's redundant
+    if (this.isSignificantMove(this.lastSentPoint, point)) {
+      this.lastSentPoint = point;
+      if (this.onStrokePoints) {
+        this.onStrokePoints([point]);
+      }
+    }
     
     // Emit cursor move event
     if (this.onCursorMove) {
@@ -158,134 +779,1106 @@ class CanvasManager {
         this.currentPath[this.currentPath.length - 1],
         this.color,
         this.brushSize,
-        this.tool === 'eraser'
+        this.tool === 'eraser',
+        this.getLayerContext(this.activeLayerId)
       );
+      this.scheduleComposite();
     }
   }
 
   /**
-   * Stop drawing and emit the complete stroke
+   * Stop drawing and finish the streamed stroke
    */
   stopDrawing() {
     if (!this.isDrawing) return;
     
     this.isDrawing = false;
     
-    if (this.currentPath.length > 0) {
-      // Optimize path by removing redundant points
-      const optimizedPath = this.optimizePath(this.currentPath);
-      
-      // Create stroke operation
-      const strokeData = {
-        points: optimizedPath,
-        color: this.color,
-        size: this.brushSize,
-        tool: this.tool
-      };
-      
-      // Emit the stroke to other users
-      if (this.onStrokeComplete) {
-        this.onStrokeComplete(strokeData);
-      }
-      
-      this.currentPath = [];
+    if (this.tool === 'select') {
+      this.selection.pointerUp();
+      return;
     }
-  }
-
-  /**
-   * Optimize path by removing redundant points
-   * Uses Douglas-Peucker algorithm for path simplification
-   */
-  optimizePath(points, tolerance = 2) {
-    if (points.length < 3) return points;
     
-    // Simple optimization: remove points that are too close together
-    const optimized = [points[0]];
-    for (let i = 1; i < points.length; i++) {
-      const dx = points[i].x - optimized[optimized.length - 1].x;
-      const dy = points[i].y - optimized[optimized.length - 1].y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      
-      if (distance > tolerance) {
-        optimized.push(points[i]);
-      }
+    if (this.eraseTargets) {
+      this.finishObjectErase();
+      return;
+    }
+    
+    if (this.shapeStart) {
+      this.finishShape();
+      return;
     }
     
     // Always include the last point
-    if (optimized[optimized.length - 1] !== points[points.length - 1]) {
-      optimized.push(points[points.length - 1]);
+    const lastPoint = this.currentPath[this.currentPath.length - 1];
+    if (lastPoint !== this.lastSentPoint && this.onStrokePoints) {
+      this.onStrokePoints([lastPoint]);
     }
     
-    return optimized;
+    if (this.onStrokeEnd) {
+      this.onStrokeEnd();
+    }
+    
+    this.currentPath = [];
+    this.lastSentPoint = null;
   }
 
   /**
-   * Render a stroke segment (for real-time drawing)
+   * Drop the press in progress without committing it: the stroke being
+   * drawn is aborted and the shape, erase or selection drag forgotten
    */
-  renderStrokeSegment(from, to, color, size, isEraser = false) {
-    this.ctx.save();
+  cancelDrawing() {
+    if (!this.isDrawing) return;
     
-    if (isEraser) {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)';
-    } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = color;
+    this.isDrawing = false;
+    
+    if (this.tool === 'select') {
+      if (this.selection.drag) this.selection.cancel();
+      return;
     }
     
-    this.ctx.lineWidth = size;
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
+    if (this.eraseTargets) {
+      this.eraseTargets = null;
+      this.lastErasePoint = null;
+      this.redrawCanvas();
+      return;
+    }
     
-    this.ctx.beginPath();
-    this.ctx.moveTo(from.x, from.y);
-    this.ctx.lineTo(to.x, to.y);
-    this.ctx.stroke();
+    if (this.shapeStart) {
+      this.shapeType = null;
+      this.shapeStart = null;
+      this.shapeEnd = null;
+      this.schedulePreviewRender();
+      return;
+    }
     
-    this.ctx.restore();
+    this.currentPath = [];
+    this.lastSentPoint = null;
+    if (this.onStrokeAbort) {
+      this.onStrokeAbort();
+    }
+    // Take the segments drawn so far off the canvas
+    this.redrawCanvas();
   }
 
   /**
-   * Render a complete stroke (for operations from history)
+   * Hide the objects on the active layer the object eraser touches moving
+   * from one point to another
    */
-  renderStroke(points, color, size, isEraser = false) {
-    if (points.length === 0) return;
-    
-    this.ctx.save();
+  eraseObjectsAlong(from, to) {
+    const radius = this.brushSize / 2;
+    const hit = this.findOperationsAlong(from, to, radius)
+      .filter(op => this.getLayerId(op) === this.activeLayerId && !this.eraseTargets.has(op.id));
+    if (hit.length === 0) return;
     
-    if (isEraser) {
-      this.ctx.globalCompositeOperation = 'destination-out';
-      this.ctx.strokeStyle = 'rgba(0,0,0,1)';
+    hit.forEach(op => this.eraseTargets.add(op.id));
+    this.redrawCanvas();
+  }
+
+  /**
+   * Delete the objects erased by the finished drag
+   */
+  finishObjectErase() {
+    const ids = this.eraseTargets;
+    this.eraseTargets = null;
+    this.lastErasePoint = null;
+    if (ids.size === 0) return;
+    
+    if (this.onDelete) {
+      this.onDelete([...ids]);
+    }
+  }
+
+  /**
+   * Check whether a tool draws shapes
+   */
+  isShapeTool(tool) {
+    return this.shapeTools.includes(tool);
+  }
+
+  /**
+   * Commit the shape being dragged out, unless the pointer barely moved
+   */
+  finishShape() {
+    const start = this.shapeStart;
+    const end = this.shapeEnd;
+    const shape = {
+      ...this.getShapeGeometry(this.shapeType, start, end, this.constrainShape),
+      layerId: this.activeLayerId
+    };
+    
+    this.shapeType = null;
+    this.shapeStart = null;
+    this.shapeEnd = null;
+    this.schedulePreviewRender();
+    
+    if (!this.isSignificantMove(start, end)) return;
+    
+    if (this.onShape) {
+      this.onShape(shape);
+    }
+  }
+
+  /**
+   * Build a shape operation from the drag start and end points
+   * @param {string} type - 'line', 'rect', 'ellipse' or 'arrow'
+   * @param {Object} start - Where the drag started
+   * @param {Object} end - Where the pointer is now
+   * @param {boolean} constrain - Snap lines to 45° steps, make rectangles square and ellipses round
+   * @returns {Object} Shape operation without ID
+   */
+  getShapeGeometry(type, start, end, constrain) {
+    const style = { type, color: this.color, size: this.brushSize };
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    
+    if (type === 'line' || type === 'arrow') {
+      if (constrain) {
+        const step = Math.PI / 4;
+        const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        dx = length * Math.cos(angle);
+        dy = length * Math.sin(angle);
+      }
+      return { ...style, x1: start.x, y1: start.y, x2: start.x + dx, y2: start.y + dy };
+    }
+    
+    // Rectangles and ellipses fill the box between the two points
+    if (constrain) {
+      const side = Math.max(Math.abs(dx), Math.abs(dy));
+      dx = dx < 0 ? -side : side;
+      dy = dy < 0 ? -side : side;
+    }
+    const x = Math.min(start.x, start.x + dx);
+    const y = Math.min(start.y, start.y + dy);
+    const width = Math.abs(dx);
+    const height = Math.abs(dy);
+    
+    if (type === 'rect') {
+      return { ...style, x, y, width, height };
+    }
+    return { ...style, cx: x + width / 2, cy: y + height / 2, rx: width / 2, ry: height / 2 };
+  }
+
+  /**
+   * Check whether a point is far enough from the previous one to be kept
+   * Dropping points that are too close together keeps strokes small
+   */
+  isSignificantMove(from, to, tolerance = 2 / this.view.zoom) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    return Math.sqrt(dx * dx + dy * dy) > tolerance;
+  }
+
+  /**
+   * Get the width of a stroke at one of its points: the brush size, or for
+   * pen strokes less the lighter the pen was pressed
+   * @param {Object} point - Stroke point
+   * @param {number} size - Brush size
+   * @returns {number} Line width
+   */
+  getPointWidth(point, size) {
+    if (point.pressure === undefined) return size;
+    return size * (this.minPressureWidth + (1 - this.minPressureWidth) * point.pressure);
+  }
+
+  /**
+   * Split a stroke into the quadratic curves through the midpoints of
+   * consecutive points that it is drawn with
+   * @param {Array} points - Stroke points
+   * @returns {Array} { from, control, to, point } - control is null for a
+   *   straight line, point is the stroke point that sets the curve's width
+   */
+  getStrokeCurves(points) {
+    if (points.length <= 2) {
+      // Just a line if only 2 points, or a dot for a single click
+      const end = points[points.length - 1];
+      return [{ from: points[0], control: null, to: end, point: end }];
+    }
+    
+    const curves = [];
+    let from = points[0];
+    for (let i = 1; i < points.length - 1; i++) {
+      const to = {
+        x: (points[i].x + points[i + 1].x) / 2,
+        y: (points[i].y + points[i + 1].y) / 2
+      };
+      curves.push({ from, control: points[i], to, point: points[i] });
+      from = to;
+    }
+    // Last segment
+    const end = points[points.length - 1];
+    curves.push({ from, control: points[points.length - 2], to: end, point: end });
+    return curves;
+  }
+
+  /**
+   * Render a stroke segment (for real-time drawing)
+   */
+  renderStrokeSegment(from, to, color, size, isEraser = false, ctx = this.ctx) {
+    ctx.save();
+    
+    if (isEraser) {
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.strokeStyle = 'rgba(0,0,0,1)';
     } else {
-      this.ctx.globalCompositeOperation = 'source-over';
-      this.ctx.strokeStyle = color;
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.strokeStyle = color;
     }
     
-    this.ctx.lineWidth = size;
-    this.ctx.lineCap = 'round';
-    this.ctx.lineJoin = 'round';
+    ctx.lineWidth = this.getPointWidth(to, size);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    
+    ctx.restore();
+  }
+
+  /**
+   * Render a complete stroke (for operations from history)
+   */
+  renderStroke(points, color, size, isEraser = false, ctx = this.ctx) {
+    if (points.length === 0) return;
+    
+    ctx.save();
     
-    this.ctx.beginPath();
-    this.ctx.moveTo(points[0].x, points[0].y);
+    if (isEraser) {
+      ctx.globalCompositeOperation = 'destination-out';
+      ctx.strokeStyle = 'rgba(0,0,0,1)';
+    } else {
+      ctx.globalCompositeOperation = 'source-over';
+      ctx.strokeStyle = color;
+    }
+    
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
     
     // Use quadratic curves for smoother lines
-    if (points.length > 2) {
-      for (let i = 1; i < points.length - 1; i++) {
-        const xc = (points[i].x + points[i + 1].x) / 2;
-        const yc = (points[i].y + points[i + 1].y) / 2;
-        this.ctx.quadraticCurveTo(points[i].x, points[i].y, xc, yc);
-      }
-      // Draw last segment
-      const lastPoint = points[points.length - 1];
-      const secondLast = points[points.length - 2];
-      this.ctx.quadraticCurveTo(secondLast.x, secondLast.y, lastPoint.x, lastPoint.y);
+    const curves = this.getStrokeCurves(points);
+    const traceCurve = ({ control, to }) => {
+      if (control) {
+        ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+      } else {
+        ctx.lineTo(to.x, to.y);
+      }
+    };
+    
+    if (points.some(point => point.pressure !== undefined)) {
+      // A pen stroke: every curve has the width at its point
+      for (const curve of curves) {
+        ctx.lineWidth = this.getPointWidth(curve.point, size);
+        ctx.beginPath();
+        ctx.moveTo(curve.from.x, curve.from.y);
+        traceCurve(curve);
+        ctx.stroke();
+      }
     } else {
-      // Just a line if only 2 points
-      this.ctx.lineTo(points[1].x, points[1].y);
+      ctx.lineWidth = size;
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      curves.forEach(traceCurve);
+      ctx.stroke();
     }
     
-    this.ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Get the two strokes of an arrow head, as [from, tip] pairs
+   * The head grows with the line width so thick arrows stay readable.
+   */
+  getArrowHead(op) {
+    const length = Math.max(10, op.size * 3);
+    const angle = Math.atan2(op.y2 - op.y1, op.x2 - op.x1);
+    const tip = { x: op.x2, y: op.y2 };
+    
+    return [-1, 1].map(side => [
+      {
+        x: tip.x - length * Math.cos(angle + side * Math.PI / 6),
+        y: tip.y - length * Math.sin(angle + side * Math.PI / 6)
+      },
+      tip
+    ]);
+  }
+
+  /**
+   * Render the outline of a shape operation
+   */
+  renderShape(op, ctx = this.ctx) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.strokeStyle = op.color;
+    ctx.lineWidth = op.size;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    
+    ctx.beginPath();
+    switch (op.type) {
+      case 'line':
+        ctx.moveTo(op.x1, op.y1);
+        ctx.lineTo(op.x2, op.y2);
+        break;
+      case 'arrow': {
+        const [left, right] = this.getArrowHead(op);
+        ctx.moveTo(op.x1, op.y1);
+        ctx.lineTo(op.x2, op.y2);
+        ctx.moveTo(left[0].x, left[0].y);
+        ctx.lineTo(op.x2, op.y2);
+        ctx.lineTo(right[0].x, right[0].y);
+        break;
+      }
+      case 'rect':
+        ctx.rect(op.x, op.y, op.width, op.height);
+        break;
+      case 'ellipse':
+        ctx.ellipse(op.cx, op.cy, op.rx, op.ry, 0, 0, 2 * Math.PI);
+        break;
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Render a text operation, one line per newline
+   */
+  renderText(op, ctx = this.ctx) {
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = op.color;
+    ctx.font = `${op.fontSize}px ${this.textFontFamily}`;
+    ctx.textBaseline = 'alphabetic';
+    
+    op.text.split('\n').forEach((line, i) => {
+      ctx.fillText(line, op.x, op.y + op.fontSize * (1 + i * this.textLineHeight));
+    });
+    ctx.restore();
+  }
+
+  /**
+   * Render an image operation, stretched to its box
+   */
+  renderImage(op, ctx = this.ctx) {
+    const image = this.images.get(op.imageId);
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    
+    if (image && image.bitmap) {
+      ctx.drawImage(image.bitmap, op.x, op.y, op.width, op.height);
+    } else {
+      this.loadImage(op.imageId);
+      ctx.fillStyle = 'rgba(128, 128, 128, 0.2)';
+      ctx.strokeStyle = 'rgba(128, 128, 128, 0.6)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([6, 4]);
+      ctx.fillRect(op.x, op.y, op.width, op.height);
+      ctx.strokeRect(op.x + 0.5, op.y + 0.5, op.width - 1, op.height - 1);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Start loading an image, redrawing once it's decoded
+   * Failed images keep their placeholder.
+   */
+  loadImage(imageId) {
+    if (this.images.has(imageId) || !this.imageLoader) return;
+    
+    const image = { bitmap: null };
+    this.images.set(imageId, image);
+    this.imageLoader(imageId)
+      .then(blob => createImageBitmap(blob))
+      .then(bitmap => {
+        image.bitmap = bitmap;
+        this.snapshotKey = null;
+        this.redrawCanvas();
+        if (this.onImageLoaded) this.onImageLoaded(imageId);
+      })
+      .catch(error => {
+        console.warn(`Couldn't load image ${imageId}:`, error.message);
+      });
+  }
+
+  /**
+   * Add a decoded image to the cache, e.g. one this user just uploaded
+   */
+  cacheImage(imageId, bitmap) {
+    this.images.set(imageId, { bitmap });
+  }
+
+  /**
+   * Measure text as renderText draws it
+   * @returns {Object} { width, height } of the text's box
+   */
+  measureText(text, fontSize) {
+    this.ctx.save();
+    this.ctx.font = `${fontSize}px ${this.textFontFamily}`;
+    const lines = text.split('\n');
+    const width = Math.max(...lines.map(line => this.ctx.measureText(line).width));
     this.ctx.restore();
+    
+    return { width, height: fontSize * this.textLineHeight * lines.length };
+  }
+
+  /**
+   * Find the topmost visible text at a point, with its edits applied
+   * @param {Object} pos - World position
+   * @returns {Object|null} The text operation, or null
+   */
+  findTextAt(pos) {
+    return this.findOperationAt(pos, op => op.type === 'text' && this.isSelectable(op));
+  }
+
+  /**
+   * Find the topmost visible object at a point, with its edits applied
+   * @param {Object} pos - World position
+   * @param {Function} filter - Which objects to consider, defaults to selectable ones
+   * @returns {Object|null} The operation, or null
+   */
+  findOperationAt(pos, filter = op => this.isSelectable(op)) {
+    const operations = this.getVisibleOperations();
+    
+    for (let i = operations.length - 1; i >= 0; i--) {
+      if (filter(operations[i]) && this.hitTestOperation(operations[i], pos)) {
+        return operations[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the visible selectable objects a line segment touches, as drawn
+   * with their line width
+   * @param {Object} from - Start of the segment
+   * @param {Object} to - End of the segment
+   * @param {number} radius - Distance from the segment that still counts
+   * @returns {Array} The operations, in drawing order
+   */
+  findOperationsAlong(from, to, radius) {
+    return this.getVisibleOperations().filter(op => {
+      if (!this.isSelectable(op)) return false;
+      
+      const geometry = this.getOperationGeometry(op);
+      if (geometry.polygon) {
+        const { polygon } = geometry;
+        return this.isPointInPolygon(from, polygon) ||
+          polygon.some((corner, i) =>
+            this.getSegmentsDistance(from, to, corner, polygon[(i + 1) % polygon.length]) <= radius
+          );
+      }
+      return geometry.segments.some(([start, end]) =>
+        this.getSegmentsDistance(from, to, start, end) <= geometry.radius + radius
+      );
+    });
+  }
+
+  /**
+   * Find the visible selectable objects that lie entirely inside a polygon
+   * @param {Array} polygon - Corner points, e.g. of a rectangle or lasso
+   * @returns {Array} The operations, in drawing order
+   */
+  findOperationsInPolygon(polygon) {
+    return this.getVisibleOperations().filter(op =>
+      this.isSelectable(op) &&
+      this.getOperationPoints(op).every(point => this.isPointInPolygon(point, polygon))
+    );
+  }
+
+  /**
+   * Check whether the select tool can pick an operation
+   * Eraser strokes only remove pixels, so they can't be picked, and nothing
+   * on a hidden or locked layer can. Neither can our pending operations
+   * until the server gives them an ID.
+   */
+  isSelectable(op) {
+    return this.selectableTypes.includes(op.type) && op.tool !== 'eraser' && !op.pending &&
+      this.isLayerEditable(this.getLayerId(op));
+  }
+
+  /**
+   * Get an operation's geometry in canvas coordinates, its transform applied
+   * Strokes and shapes are line segments with a radius (half their width),
+   * text and images the polygon of their box.
+   * @returns {Object} { segments, radius } or { polygon }
+   */
+  getOperationGeometry(op) {
+    const map = op.matrix ? (point) => this.applyMatrix(op.matrix, point) : (point) => point;
+    
+    if (op.type === 'text' || op.type === 'image') {
+      const size = op.type === 'text' ? this.measureText(op.text, op.fontSize) : op;
+      const corners = [
+        { x: op.x, y: op.y },
+        { x: op.x + size.width, y: op.y },
+        { x: op.x + size.width, y: op.y + size.height },
+        { x: op.x, y: op.y + size.height }
+      ];
+      return { polygon: corners.map(map) };
+    }
+    
+    let segments;
+    if (op.type === 'stroke') {
+      // The polyline through the points is close to the smoothed curve
+      const points = op.points.length > 1 ? op.points : [op.points[0], op.points[0]];
+      segments = points.slice(1).map((point, i) => [points[i], point]);
+    } else {
+      segments = this.getShapeSegments(op);
+    }
+    return {
+      segments: segments.map(segment => segment.map(map)),
+      radius: op.size / 2 * (op.matrix ? this.getMatrixScale(op.matrix) : 1)
+    };
+  }
+
+  /**
+   * Get the outline points of an operation, for containment tests and bounds
+   */
+  getOperationPoints(op) {
+    const geometry = this.getOperationGeometry(op);
+    return geometry.polygon || geometry.segments.flat();
+  }
+
+  /**
+   * Check whether a point touches an operation
+   * @param {Object} op - Operation with its edits applied
+   * @param {Object} pos - World position
+   * @param {number} tolerance - Extra distance that still counts, 4 screen pixels by default
+   */
+  hitTestOperation(op, pos, tolerance = 4 / this.view.zoom) {
+    const geometry = this.getOperationGeometry(op);
+    if (geometry.polygon) {
+      return this.isPointInPolygon(pos, geometry.polygon);
+    }
+    return geometry.segments.some(([from, to]) =>
+      this.getSegmentDistance(pos, from, to) <= geometry.radius + tolerance
+    );
+  }
+
+  /**
+   * Get the box around operations, including their line width
+   * @returns {Object|null} { x, y, width, height }, null for no operations
+   */
+  getOperationsBounds(operations) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    
+    for (const op of operations) {
+      const geometry = this.getOperationGeometry(op);
+      const radius = geometry.radius || 0;
+      for (const point of geometry.polygon || geometry.segments.flat()) {
+        minX = Math.min(minX, point.x - radius);
+        minY = Math.min(minY, point.y - radius);
+        maxX = Math.max(maxX, point.x + radius);
+        maxY = Math.max(maxY, point.y + radius);
+      }
+    }
+    
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  /**
+   * Get the outline of a shape as line segments, like the server's shapes.js
+   * @returns {Array} [from, to] pairs
+   */
+  getShapeSegments(op) {
+    switch (op.type) {
+      case 'line':
+        return [[{ x: op.x1, y: op.y1 }, { x: op.x2, y: op.y2 }]];
+      case 'arrow':
+        return [[{ x: op.x1, y: op.y1 }, { x: op.x2, y: op.y2 }], ...this.getArrowHead(op)];
+      case 'rect': {
+        const corners = [
+          { x: op.x, y: op.y },
+          { x: op.x + op.width, y: op.y },
+          { x: op.x + op.width, y: op.y + op.height },
+          { x: op.x, y: op.y + op.height }
+        ];
+        return corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+      }
+      default: { // ellipse, as 64 chords
+        const points = [];
+        for (let i = 0; i <= 64; i++) {
+          const angle = (i / 64) * 2 * Math.PI;
+          points.push({ x: op.cx + op.rx * Math.cos(angle), y: op.cy + op.ry * Math.sin(angle) });
+        }
+        return points.slice(1).map((point, i) => [points[i], point]);
+      }
+    }
+  }
+
+  /**
+   * Get the distance from a point to a line segment
+   */
+  getSegmentDistance(point, from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (from.x + t * dx), point.y - (from.y + t * dy));
+  }
+
+  /**
+   * Get the distance between two line segments, 0 if they cross
+   */
+  getSegmentsDistance(a1, a2, b1, b2) {
+    const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x);
+    const d1 = cross(b1, b2, a1);
+    const d2 = cross(b1, b2, a2);
+    const d3 = cross(a1, a2, b1);
+    const d4 = cross(a1, a2, b2);
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+      return 0;
+    }
+    return Math.min(
+      this.getSegmentDistance(a1, b1, b2),
+      this.getSegmentDistance(a2, b1, b2),
+      this.getSegmentDistance(b1, a1, a2),
+      this.getSegmentDistance(b2, a1, a2)
+    );
+  }
+
+  /**
+   * Check whether a point is inside a polygon (even-odd rule)
+   */
+  isPointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.y > point.y) !== (b.y > point.y) &&
+          point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Combine two transforms [a, b, c, d, e, f], as in the server's transforms.js
+   * @param {Array} m - Applied second
+   * @param {Array} n - Applied first
+   * @returns {Array} The matrix m × n
+   */
+  multiplyMatrix(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1],
+      m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3],
+      m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4],
+      m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+  }
+
+  /**
+   * Map a point through a transform
+   */
+  applyMatrix(m, point) {
+    return {
+      x: m[0] * point.x + m[2] * point.y + m[4],
+      y: m[1] * point.x + m[3] * point.y + m[5]
+    };
+  }
+
+  /**
+   * Get how much a transform scales line widths
+   */
+  getMatrixScale(m) {
+    return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+  }
+
+  /**
+   * Hide a text operation while it's being edited, null to show it again
+   */
+  setEditingText(id) {
+    this.editingTextId = id;
+    this.redrawCanvas();
+  }
+
+  /**
+   * Get the layer an operation belongs to
+   * @returns {string} Layer ID
+   */
+  getLayerId(op) {
+    return op.layerId || this.defaultLayerId;
+  }
+
+  /**
+   * Get a layer by ID
+   * @returns {Object|null} { id, name, visible, locked }, or null
+   */
+  getLayer(id) {
+    return this.layers.find(layer => layer.id === id) || null;
+  }
+
+  /**
+   * Check whether a layer can be drawn on and its objects picked: it must
+   * be shown and not locked
+   */
+  isLayerEditable(id) {
+    const layer = this.getLayer(id);
+    return !!layer && layer.visible && !layer.locked;
+  }
+
+  /**
+   * Apply a layer change, as the server's layers.js does
+   * @param {Array} layers - Layers bottom to top
+   * @param {Object} change - A `layer` log entry
+   * @returns {Array} The changed copy of the layers
+   */
+  changeLayers(layers, change) {
+    const index = layers.findIndex(layer => layer.id === change.layerId);
+    
+    if (change.action === 'add') {
+      if (index !== -1) return layers;
+      return layers.concat({
+        id: change.layerId,
+        name: change.name,
+        visible: change.visible !== false,
+        locked: change.locked === true
+      });
+    }
+    if (index === -1) return layers;
+    
+    const result = layers.slice();
+    switch (change.action) {
+      case 'rename':
+        result[index] = { ...result[index], name: change.name };
+        break;
+      case 'visibility':
+        result[index] = { ...result[index], visible: change.visible };
+        break;
+      case 'lock':
+        result[index] = { ...result[index], locked: change.locked };
+        break;
+      case 'move': {
+        const [layer] = result.splice(index, 1);
+        result.splice(Math.max(0, Math.min(result.length, change.index)), 0, layer);
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply a layer change from the server and redraw
+   */
+  handleLayerChange(change) {
+    this.layers = this.changeLayers(this.layers, change);
+    this.redrawCanvas();
+  }
+
+  /**
+   * Choose the layer new objects go on
+   */
+  setActiveLayer(id) {
+    if (!this.getLayer(id)) return;
+    this.activeLayerId = id;
+  }
+
+  /**
+   * Get the operations of one layer; clears empty every layer
+   * @param {Array} operations - Operations in drawing order
+   * @param {string} layerId - The layer
+   * @returns {Array} Its operations and the clears, in drawing order
+   */
+  getLayerOperations(operations, layerId) {
+    return operations.filter(op => op.type === 'clear' || this.getLayerId(op) === layerId);
+  }
+
+  /**
+   * Clear a whole context, whatever its transform
+   */
+  clearContext(ctx) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    ctx.restore();
+  }
+
+  /**
+   * Get the offscreen canvas of a layer, sized like the main canvas
+   * @returns {CanvasRenderingContext2D} Its context, drawing in world
+   *   coordinates through the view transform
+   */
+  getLayerContext(id) {
+    let canvas = this.layerCanvases.get(id);
+    if (!canvas) {
+      canvas = document.createElement('canvas');
+      this.layerCanvases.set(id, canvas);
+    }
+    if (canvas.width !== this.canvas.width || canvas.height !== this.canvas.height) {
+      canvas.width = this.canvas.width;
+      canvas.height = this.canvas.height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(...this.getRenderMatrix());
+    return ctx;
+  }
+
+  /**
+   * Draw the visible layer canvases onto the main canvas, bottom to top
+   */
+  compositeLayers() {
+    if (this.compositeFrame) {
+      cancelAnimationFrame(this.compositeFrame);
+      this.compositeFrame = null;
+    }
+    
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.renderFrame();
+    for (const layer of this.layers) {
+      if (layer.visible && this.layerCanvases.has(layer.id)) {
+        this.ctx.drawImage(this.layerCanvases.get(layer.id), 0, 0);
+      }
+    }
+  }
+
+  /**
+   * Outline the room's logical area on the main canvas
+   */
+  renderFrame() {
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.setTransform(...this.getRenderMatrix());
+    ctx.strokeStyle = this.frameColor;
+    ctx.lineWidth = 1 / this.view.zoom;
+    ctx.setLineDash([6 / this.view.zoom, 4 / this.view.zoom]);
+    ctx.strokeRect(0, 0, this.logicalSize.width, this.logicalSize.height);
+    ctx.restore();
+  }
+
+  /**
+   * Composite the layers on the next frame, once per frame at most
+   */
+  scheduleComposite() {
+    if (this.compositeFrame) return;
+    
+    this.compositeFrame = requestAnimationFrame(() => {
+      this.compositeFrame = null;
+      this.compositeLayers();
+    });
+  }
+
+  /**
+   * Render active operations layer by layer onto a context through the
+   * view transform, e.g. for history playback
+   * @param {Array} operations - Active operations in order
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Array} layers - Layers bottom to top
+   */
+  renderLayers(operations, ctx, layers) {
+    const updates = this.collectUpdates(operations);
+    const scratch = document.createElement('canvas');
+    scratch.width = ctx.canvas.width;
+    scratch.height = ctx.canvas.height;
+    const scratchCtx = scratch.getContext('2d');
+    
+    scratchCtx.setTransform(...this.getRenderMatrix());
+    
+    for (const layer of layers) {
+      if (!layer.visible) continue;
+      this.clearContext(scratchCtx);
+      this.renderOperations(this.getLayerOperations(operations, layer.id), scratchCtx, { updates });
+      ctx.drawImage(scratch, 0, 0);
+    }
+  }
+
+  /**
+   * Get the operations currently on the canvas (after the last clear, not
+   * undone) with their updates applied, our pending changes included
+   */
+  getVisibleOperations() {
+    const active = this.snapshotOperations.concat(this.getActiveOperations());
+    let start = 0;
+    active.forEach((op, index) => {
+      if (op.type === 'clear') start = index + 1;
+    });
+    
+    const operations = active.slice(start);
+    const updates = this.collectUpdates(operations);
+    return operations
+      .filter(op => !this.isEdit(op) && !(updates.has(op.id) && updates.get(op.id).deleted))
+      .map(op => updates.has(op.id) ? this.applyEdits(op, updates.get(op.id)) : op);
+  }
+
+  /**
+   * Get the history as it will be once the server has our pending changes
+   * @returns {Object} { operations, undone, targets }: the tail of the
+   *   history followed by the pending operations, the IDs undone, and the
+   *   operation each pending undo or redo changes (client ID -> operation ID).
+   *   Kept until invalidateHistory(), so don't change it.
+   */
+  getLocalHistory() {
+    if (this.localHistory) return this.localHistory;
+    
+    const operations = this.operations.slice();
+    const undone = new Set(this.undoneOperations);
+    const redoStack = this.redoStack.slice();
+    const targets = new Map();
+    
+    for (const op of this.pendingOperations) {
+      if (op.type === 'undo') {
+        let target = null;
+        for (let i = operations.length - 1; i >= 0 && !target; i--) {
+          const candidate = operations[i];
+          if (candidate.userId === this.userId && !undone.has(candidate.id)) target = candidate;
+        }
+        if (!target) continue;
+        undone.add(target.id);
+        redoStack.push(target.id);
+        targets.set(op.id, target.id);
+      } else if (op.type === 'redo') {
+        if (redoStack.length === 0) continue;
+        const id = redoStack.pop();
+        undone.delete(id);
+        targets.set(op.id, id);
+      } else {
+        operations.push(op);
+        redoStack.length = 0;
+      }
+    }
+    this.localHistory = { operations, undone, targets };
+    return this.localHistory;
+  }
+
+  /**
+   * Forget the local history, after the history, our pending changes or
+   * our redo stack changed
+   */
+  invalidateHistory() {
+    this.localHistory = null;
+  }
+
+  /**
+   * Get the tail operations that aren't undone, our pending ones included
+   */
+  getActiveOperations() {
+    const { operations, undone } = this.getLocalHistory();
+    return operations.filter(op => !undone.has(op.id));
+  }
+
+  /**
+   * Check whether an operation edits others: update, transform or delete
+   */
+  isEdit(op) {
+    return op.type === 'update' || op.type === 'transform' || op.type === 'delete';
+  }
+
+  /**
+   * Collect the edits of `update`, `transform` and `delete` operations by
+   * target ID
+   * @param {Array} operations - Active operations in order
+   * @returns {Map} Target ID -> { ...changed fields, matrix, deleted },
+   *   later edits winning and transforms combined
+   */
+  collectUpdates(operations) {
+    const updates = new Map();
+    const edit = (id) => {
+      if (!updates.has(id)) updates.set(id, {});
+      return updates.get(id);
+    };
+    
+    for (const op of operations) {
+      if (op.type === 'update') {
+        Object.assign(edit(op.targetId), op.changes);
+      } else if (op.type === 'transform') {
+        for (const id of op.targetIds) {
+          const changes = edit(id);
+          if (op.matrix) {
+            changes.matrix = changes.matrix ? this.multiplyMatrix(op.matrix, changes.matrix) : op.matrix;
+          }
+          if (op.color) changes.color = op.color;
+        }
+      } else if (op.type === 'delete') {
+        op.targetIds.forEach(id => { edit(id).deleted = true; });
+      }
+    }
+    return updates;
+  }
+
+  /**
+   * Apply collected edits to their target
+   * @param {Object} op - The target operation
+   * @param {Object} edits - Its entry of collectUpdates
+   * @returns {Object} Edited copy of the operation
+   */
+  applyEdits(op, edits) {
+    const { matrix, deleted, color, ...changes } = edits;
+    const edited = { ...op, ...changes };
+    // Images have no color to change
+    if (color && op.color !== undefined) edited.color = color;
+    if (matrix) edited.matrix = op.matrix ? this.multiplyMatrix(matrix, op.matrix) : matrix;
+    return edited;
+  }
+
+  /**
+   * Render active operations with their edits applied
+   * @param {Array} operations - Active operations in order
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} options
+   * @param {Map} options.updates - From collectUpdates, defaults to the edits among `operations`
+   * @param {Set} options.hiddenIds - Operations to leave out, e.g. text being edited
+   */
+  renderOperations(operations, ctx, { updates = this.collectUpdates(operations), hiddenIds = new Set() } = {}) {
+    for (const op of operations) {
+      if (hiddenIds.has(op.id)) continue;
+      const edits = updates.get(op.id);
+      if (edits && edits.deleted) continue;
+      this.renderOperation(edits ? this.applyEdits(op, edits) : op, ctx);
+    }
+  }
+
+  /**
+   * Get the operations hidden from the canvas: text open in the editor,
+   * selected objects while they're being transformed and objects the object
+   * eraser removed
+   * @returns {Set} Operation IDs
+   */
+  getHiddenIds() {
+    const hidden = new Set(this.selection.getHiddenIds());
+    if (this.editingTextId !== null) hidden.add(this.editingTextId);
+    if (this.eraseTargets) this.eraseTargets.forEach(id => hidden.add(id));
+    return hidden;
+  }
+
+  /**
+   * Render a single operation from history, through its transform if any
+   * Edits draw nothing themselves, see renderOperations.
+   */
+  renderOperation(op, ctx = this.ctx) {
+    if (op.matrix) {
+      ctx.save();
+      ctx.transform(...op.matrix);
+      this.renderOperation({ ...op, matrix: null }, ctx);
+      ctx.restore();
+      return;
+    }
+    
+    if (this.isShapeTool(op.type)) {
+      this.renderShape(op, ctx);
+    } else if (op.type === 'text') {
+      this.renderText(op, ctx);
+    } else if (op.type === 'image') {
+      this.renderImage(op, ctx);
+    } else if (op.type === 'stroke') {
+      this.renderStroke(
+        op.points,
+        op.color,
+        op.size,
+        op.tool === 'eraser',
+        ctx
+      );
+    } else if (op.type === 'clear') {
+      this.clearContext(ctx);
+    }
   }
 
   /**
@@ -299,85 +1892,392 @@ class CanvasManager {
     }
     
     this.operations.push(operation);
-    this.operationCount = this.operations.length;
-    
-    // Render the new operation if it's not undone
-    if (!this.undoneOperations.has(operation.id)) {
-      if (operation.type === 'stroke') {
-        this.renderStroke(
-          operation.points,
-          operation.color,
-          operation.size,
-          operation.tool === 'eraser'
-        );
-      } else if (operation.type === 'clear') {
-        this.clearCanvas();
+    this.invalidateHistory();
+    this.operationCount = this.snapshotOperations.length + this.operations.length;
+    this.trackRedoStack(operation);
+    if (this.confirmPending(operation)) return;
+    
+    // Render the new operation if it's not undone; an edit changes
+    // something already drawn, and anything below our pending operations
+    // goes under them, which takes a redraw
+    if (this.isEdit(operation) || operation.type === 'clear' || this.pendingOperations.length > 0) {
+      this.redrawCanvas();
+    } else if (!this.undoneOperations.has(operation.id)) {
+      const layerId = this.getLayerId(operation);
+      const layer = this.getLayer(layerId);
+      if (layer && layer.visible) {
+        this.renderOperation(operation, this.getLayerContext(layerId));
+        this.compositeLayers();
       }
     }
   }
 
+  /**
+   * Show our pending changes instead of the previous ones
+   * Changes added at the end are drawn on top of what's there; anything else
+   * (a change confirmed out of order, refused, an undo) takes a redraw.
+   * @param {Array} operations - From WebSocketManager.getPendingOperations
+   */
+  setPendingOperations(operations) {
+    const previous = this.pendingOperations;
+    this.pendingOperations = operations;
+    this.invalidateHistory();
+    
+    const kept = previous.every((op, i) => operations[i] && operations[i].id === op.id);
+    const added = operations.slice(previous.length);
+    if (!kept || added.some(op => this.isEdit(op) || op.type === 'undo' || op.type === 'redo')) {
+      this.scheduleRedraw();
+      return;
+    }
+    if (this.redrawFrame || added.length === 0) return;
+    
+    for (const op of added) {
+      const layer = this.getLayer(this.getLayerId(op));
+      if (layer && layer.visible) {
+        this.renderOperation(op, this.getLayerContext(layer.id));
+      }
+    }
+    this.compositeLayers();
+  }
+
+  /**
+   * Drop the pending change the server's copy of a change replaces
+   * @param {Object} entry - Operation, undo or redo from the server
+   * @returns {boolean} True if the canvas already shows the entry: it was
+   *   our first pending change and, for an undo or redo, changed the
+   *   operation we expected
+   */
+  confirmPending(entry) {
+    if (!entry.clientId || entry.userId !== this.userId) return false;
+    const index = this.pendingOperations.findIndex(op => op.id === entry.clientId);
+    if (index === -1) return false;
+    
+    let shown = index === 0;
+    if (shown && (entry.type === 'undo' || entry.type === 'redo')) {
+      shown = this.getLocalHistory().targets.get(entry.clientId) === entry.operationId;
+    }
+    this.pendingOperations = this.pendingOperations.filter((op, i) => i !== index);
+    this.invalidateHistory();
+    return shown;
+  }
+
+  /**
+   * Keep our redo stack as the server does (see server/drawing-state.js):
+   * our undos push onto it, our redos take off it, and a new operation of
+   * ours empties it
+   * @param {Object} entry - Operation, undo or redo from the server
+   */
+  trackRedoStack(entry) {
+    if (entry.userId !== this.userId || entry.scope === 'room') return;
+    
+    this.invalidateHistory();
+    if (entry.type === 'undo') {
+      this.redoStack.push(entry.operationId);
+    } else if (entry.type === 'redo') {
+      const index = this.redoStack.lastIndexOf(entry.operationId);
+      if (index !== -1) this.redoStack.splice(index, 1);
+    } else {
+      this.redoStack = [];
+    }
+  }
+
+  /**
+   * Start previewing another user's stroke in progress
+   */
+  beginLiveStroke(data) {
+    this.liveStrokes.set(data.tempId, {
+      points: [...data.points],
+      color: data.color,
+      size: data.size,
+      tool: data.tool,
+      layerId: data.layerId
+    });
+    this.schedulePreviewRender();
+  }
+
+  /**
+   * Extend a previewed stroke with newly streamed points
+   */
+  addLiveStrokePoints(tempId, points) {
+    const stroke = this.liveStrokes.get(tempId);
+    if (!stroke) return;
+    
+    stroke.points.push(...points);
+    this.schedulePreviewRender();
+  }
+
+  /**
+   * Stop previewing a stroke (committed or abandoned)
+   */
+  removeLiveStroke(tempId) {
+    if (this.liveStrokes.delete(tempId)) {
+      this.schedulePreviewRender();
+    }
+  }
+
+  /**
+   * Drop all previews, e.g. after losing the connection
+   */
+  clearLiveStrokes() {
+    this.liveStrokes.clear();
+    this.schedulePreviewRender();
+  }
+
+  /**
+   * Redraw the preview layer on the next frame, once per frame at most
+   */
+  schedulePreviewRender() {
+    if (!this.previewCtx || this.previewFrame) return;
+    
+    this.previewFrame = requestAnimationFrame(() => {
+      this.previewFrame = null;
+      this.renderPreview();
+    });
+  }
+
+  /**
+   * Render all strokes in progress, the shape being dragged out and the
+   * selection onto the preview layer
+   */
+  renderPreview() {
+    this.clearContext(this.previewCtx);
+    this.previewCtx.setTransform(...this.getRenderMatrix());
+    
+    for (const stroke of this.liveStrokes.values()) {
+      const layer = this.getLayer(this.getLayerId(stroke));
+      if (layer && !layer.visible) continue;
+      const isEraser = stroke.tool === 'eraser';
+      this.renderStroke(
+        stroke.points,
+        isEraser ? this.eraserPreviewColor : stroke.color,
+        stroke.size,
+        false,
+        this.previewCtx
+      );
+    }
+    
+    if (this.shapeStart) {
+      const shape = this.getShapeGeometry(this.shapeType, this.shapeStart, this.shapeEnd, this.constrainShape);
+      this.renderShape(shape, this.previewCtx);
+    }
+    
+    this.selection.render(this.previewCtx);
+  }
+
   /**
    * Initialize canvas with state from server
+   * The state is a snapshot of compacted history plus the recent tail
    */
   initializeState(state) {
+    this.snapshotOperations = state.snapshot ? state.snapshot.operations : [];
+    this.snapshotBaseId = state.snapshot ? state.snapshot.baseId : 0;
     this.operations = state.operations || [];
     this.undoneOperations = new Set(state.undoneOperations || []);
-    this.operationCount = this.operations.length;
+    this.invalidateHistory();
+    this.layers = state.layers || [{ id: this.defaultLayerId, name: 'Layer 1', visible: true, locked: false }];
+    if (!this.getLayer(this.activeLayerId)) {
+      this.activeLayerId = this.defaultLayerId;
+    }
+    this.operationCount = this.snapshotOperations.length + this.operations.length;
+    this.snapshotKey = null;
+    // What we undid before isn't known, redo waits for the server until we undo again
+    this.redoStack = [];
     this.redrawCanvas();
   }
 
   /**
-   * Redraw entire canvas from operation history
+   * Apply log entries (operations, undo/redo events and layer changes)
+   * missed while disconnected, then redraw once
+   */
+  applyEntries(entries) {
+    this.invalidateHistory();
+    for (const entry of entries) {
+      if (entry.type === 'undo') {
+        this.undoneOperations.add(entry.operationId);
+        this.trackRedoStack(entry);
+      } else if (entry.type === 'redo') {
+        this.undoneOperations.delete(entry.operationId);
+        this.trackRedoStack(entry);
+      } else if (entry.type === 'layer') {
+        this.layers = this.changeLayers(this.layers, entry);
+      } else if (!this.operations.some(op => op.id === entry.id)) {
+        this.operations.push(entry);
+        this.trackRedoStack(entry);
+      }
+    }
+    
+    this.operationCount = this.snapshotOperations.length + this.operations.length;
+    this.redrawCanvas();
+  }
+
+  /**
+   * Render the snapshot into offscreen canvases, one per visible layer, so
+   * redraws after undo/redo only replay the short tail of the history. It
+   * is rendered again only when edits in the tail (hidden operations,
+   * layers or the zoom) change how it looks, or the view moves out of the
+   * area rendered.
+   * @param {Map} updates - Edits of the active tail, from collectUpdates
+   * @param {Set} hiddenIds - Operations to leave out, from getHiddenIds
+   */
+  renderSnapshot(updates, hiddenIds) {
+    const inSnapshot = (id) => id < this.snapshotBaseId;
+    const visibleLayers = this.layers.filter(layer => layer.visible);
+    const scale = this.view.zoom * this.pixelRatio;
+    const key = JSON.stringify({
+      updates: [...updates].filter(([id]) => inSnapshot(id)),
+      hiddenIds: [...hiddenIds].filter(inSnapshot),
+      layers: visibleLayers.map(layer => layer.id),
+      scale
+    });
+    const visible = {
+      x: this.view.x,
+      y: this.view.y,
+      width: this.viewport.width / this.view.zoom,
+      height: this.viewport.height / this.view.zoom
+    };
+    if (key === this.snapshotKey && this.containsArea(this.snapshotRegion, visible)) return;
+    
+    this.snapshotKey = key;
+    this.snapshotCanvases = new Map();
+    const marginX = visible.width * this.snapshotMargin;
+    const marginY = visible.height * this.snapshotMargin;
+    this.snapshotRegion = {
+      x: visible.x - marginX,
+      y: visible.y - marginY,
+      width: visible.width + 2 * marginX,
+      height: visible.height + 2 * marginY
+    };
+    
+    // Only as much as the snapshot's content needs, with a pixel to spare
+    // for smoothing and antialiasing
+    const shown = this.snapshotOperations
+      .filter(op => op.type !== 'clear' && !this.isEdit(op) && !hiddenIds.has(op.id) &&
+        !(updates.has(op.id) && updates.get(op.id).deleted))
+      .map(op => updates.has(op.id) ? this.applyEdits(op, updates.get(op.id)) : op);
+    const bounds = this.getOperationsBounds(shown);
+    const pad = 2 / this.view.zoom;
+    const area = this.intersectAreas(this.snapshotRegion, bounds && {
+      x: bounds.x - pad,
+      y: bounds.y - pad,
+      width: bounds.width + 2 * pad,
+      height: bounds.height + 2 * pad
+    });
+    this.snapshotArea = area;
+    if (!area) return;
+    
+    for (const layer of visibleLayers) {
+      const operations = this.getLayerOperations(this.snapshotOperations, layer.id);
+      if (operations.length === 0) continue;
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.ceil(area.width * scale));
+      canvas.height = Math.max(1, Math.ceil(area.height * scale));
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(scale, 0, 0, scale, -area.x * scale, -area.y * scale);
+      // The server folded the snapshot's own edits into their targets
+      this.renderOperations(operations, ctx, { updates, hiddenIds });
+      this.snapshotCanvases.set(layer.id, canvas);
+    }
+  }
+
+  /**
+   * Check whether a world area lies entirely inside another
+   */
+  containsArea(outer, inner) {
+    return !!outer && inner.x >= outer.x && inner.y >= outer.y &&
+      inner.x + inner.width <= outer.x + outer.width &&
+      inner.y + inner.height <= outer.y + outer.height;
+  }
+
+  /**
+   * Get the overlap of two world areas
+   * @returns {Object|null} The overlap, or null if they don't overlap
+   */
+  intersectAreas(a, b) {
+    if (!a || !b) return null;
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+    const width = Math.min(a.x + a.width, b.x + b.width) - x;
+    const height = Math.min(a.y + a.height, b.y + b.height) - y;
+    return width > 0 && height > 0 ? { x, y, width, height } : null;
+  }
+
+  /**
+   * Redraw entire canvas from the snapshot and operation history, layer by
+   * layer
    */
   redrawCanvas() {
-    // Clear canvas
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.redrawFrame) {
+      cancelAnimationFrame(this.redrawFrame);
+      this.redrawFrame = null;
+    }
+    
+    const active = this.getActiveOperations();
+    const updates = this.collectUpdates(active);
+    const hiddenIds = this.getHiddenIds();
+    this.renderSnapshot(updates, hiddenIds);
     
-    // Redraw all active operations
-    for (const op of this.operations) {
-      if (this.undoneOperations.has(op.id)) continue;
+    for (const layer of this.layers) {
+      if (!layer.visible) continue;
+      const ctx = this.getLayerContext(layer.id);
+      this.clearContext(ctx);
       
-      if (op.type === 'stroke') {
-        this.renderStroke(
-          op.points,
-          op.color,
-          op.size,
-          op.tool === 'eraser'
+      if (this.snapshotCanvases.has(layer.id)) {
+        // At whole pixels, so the cached bitmap stays sharp
+        const { x, y } = this.worldToScreen(this.snapshotArea);
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(
+          this.snapshotCanvases.get(layer.id),
+          Math.round(x * this.pixelRatio),
+          Math.round(y * this.pixelRatio)
         );
-      } else if (op.type === 'clear') {
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.restore();
+      }
+      
+      // Redraw the layer's active operations, then the stroke we are drawing
+      // on it, which isn't an operation yet
+      this.renderOperations(this.getLayerOperations(active, layer.id), ctx, { updates, hiddenIds });
+      if (this.currentPath.length > 0 && layer.id === this.activeLayerId) {
+        this.renderStroke(this.currentPath, this.color, this.brushSize, this.tool === 'eraser', ctx);
       }
     }
+    this.compositeLayers();
+    
+    // Selected objects may have been undone, deleted or moved by others
+    this.selection.prune();
+    this.schedulePreviewRender();
   }
 
   /**
    * Handle undo operation
    */
   handleUndo(undoData) {
+    const shown = this.confirmPending(undoData);
     this.undoneOperations.add(undoData.operationId);
-    this.redrawCanvas();
+    this.invalidateHistory();
+    this.trackRedoStack(undoData);
+    if (!shown) this.redrawCanvas();
   }
 
   /**
    * Handle redo operation
    */
   handleRedo(redoData) {
+    const shown = this.confirmPending(redoData);
     this.undoneOperations.delete(redoData.operationId);
-    this.redrawCanvas();
-  }
-
-  /**
-   * Clear canvas
-   */
-  clearCanvas() {
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.invalidateHistory();
+    this.trackRedoStack(redoData);
+    if (!shown) this.redrawCanvas();
   }
 
   /**
    * Handle clear canvas operation
+   * The clear goes into the history like any operation, so redraws keep
+   * the canvas cleared and it can be undone.
    */
-  handleClear() {
-    this.clearCanvas();
+  handleClear(clearData) {
+    this.addOperation(clearData);
   }
 
   /**
@@ -385,7 +2285,50 @@ class CanvasManager {
    */
   setTool(tool) {
     this.tool = tool;
-    this.canvas.style.cursor = tool === 'eraser' ? 'grab' : 'crosshair';
+    if (tool !== 'select') {
+      this.selection.clear();
+    }
+    this.updateCursor();
+  }
+
+  /**
+   * Show the cursor of the tool, or a hand while moving the view
+   */
+  updateCursor() {
+    const tool = this.tool;
+    
+    if (this.panning) {
+      this.canvas.style.cursor = 'grabbing';
+    } else if (this.spaceHeld) {
+      this.canvas.style.cursor = 'grab';
+    } else if (this.readOnly || tool === 'select') {
+      this.canvas.style.cursor = 'default';
+    } else if (tool === 'eraser' || tool === 'object-eraser') {
+      this.canvas.style.cursor = 'grab';
+    } else {
+      this.canvas.style.cursor = tool === 'text' ? 'text' : 'crosshair';
+    }
+  }
+
+  /**
+   * Enable or disable drawing input
+   */
+  setReadOnly(readOnly) {
+    this.readOnly = readOnly;
+    if (readOnly) {
+      this.stopDrawing();
+      this.selection.clear();
+      this.updateCursor();
+    } else {
+      this.setTool(this.tool);
+    }
+  }
+
+  /**
+   * Set font size for new text
+   */
+  setFontSize(size) {
+    this.fontSize = size;
   }
 
   /**
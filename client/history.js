@@ -0,0 +1,228 @@
+/**
+ * HistoryPlayer - Replays a room's change log on a separate canvas
+ * The live canvas keeps receiving updates underneath, so reviewing the
+ * history never affects the room.
+ */
+class HistoryPlayer {
+  constructor(canvasElement, canvasManager) {
+    this.canvas = canvasElement;
+    this.ctx = canvasElement.getContext('2d', { alpha: false });
+    // Used for rendering, so playback looks exactly like the live canvas
+    this.canvasManager = canvasManager;
+
+    this.entries = [];
+    // Names of the users in the log, by stable user ID
+    this.userNames = new Map();
+    // Number of entries applied
+    this.position = 0;
+    this.operations = [];
+    this.undoneOperations = new Set();
+    this.layers = this.getInitialLayers();
+
+    // Playback
+    this.playTimer = null;
+    this.stepDelay = 100;
+    this.onChange = null;
+  }
+
+  /**
+   * Load a room's log and show the final state
+   * @param {Array} entries - Log entries (operations, undo/redo events and
+   *   layer changes) in order
+   */
+  load(entries) {
+    this.pause();
+    this.entries = entries;
+    this.userNames = new Map(
+      entries.filter(entry => entry.userName).map(entry => [entry.userId, entry.userName])
+    );
+    this.resize();
+    this.seek(entries.length);
+  }
+
+  /**
+   * Match the live canvas size
+   */
+  resize() {
+    const live = this.canvasManager.canvas;
+    this.canvas.width = live.width;
+    this.canvas.height = live.height;
+    this.canvas.style.width = live.style.width;
+    this.canvas.style.height = live.style.height;
+    this.render();
+  }
+
+  /**
+   * Show the drawing after the first `position` entries
+   */
+  seek(position) {
+    position = Math.max(0, Math.min(this.entries.length, position));
+
+    // Moving forward applies only the new entries, going back starts over
+    if (position < this.position) {
+      this.position = 0;
+      this.operations = [];
+      this.undoneOperations = new Set();
+      this.layers = this.getInitialLayers();
+    }
+
+    for (let i = this.position; i < position; i++) {
+      this.applyEntry(this.entries[i]);
+    }
+    this.position = position;
+
+    this.render();
+
+    if (this.onChange) {
+      this.onChange(this.position, this.getCurrentEntry());
+    }
+  }
+
+  /**
+   * Apply one log entry to the replayed state
+   */
+  applyEntry(entry) {
+    if (entry.type === 'undo') {
+      this.undoneOperations.add(entry.operationId);
+    } else if (entry.type === 'redo') {
+      this.undoneOperations.delete(entry.operationId);
+    } else if (entry.type === 'layer') {
+      this.layers = this.canvasManager.changeLayers(this.layers, entry);
+    } else {
+      this.operations.push(entry);
+    }
+  }
+
+  /**
+   * Get the layers of a room before its first entry
+   */
+  getInitialLayers() {
+    return [{ id: this.canvasManager.defaultLayerId, name: 'Layer 1', visible: true, locked: false }];
+  }
+
+  /**
+   * Draw the replayed state
+   */
+  render() {
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const active = this.operations.filter(op => !this.undoneOperations.has(op.id));
+    this.canvasManager.renderLayers(active, this.ctx, this.layers);
+  }
+
+  /**
+   * Step through the remaining history, starting over if at the end
+   */
+  play() {
+    if (this.playTimer) return;
+    if (this.position >= this.entries.length) {
+      this.seek(0);
+    }
+
+    this.playTimer = setInterval(() => {
+      if (this.position >= this.entries.length) {
+        this.pause();
+        return;
+      }
+      this.seek(this.position + 1);
+    }, this.stepDelay);
+
+    if (this.onChange) {
+      this.onChange(this.position, this.getCurrentEntry());
+    }
+  }
+
+  /**
+   * Stop playback
+   */
+  pause() {
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+
+    if (this.onChange) {
+      this.onChange(this.position, this.getCurrentEntry());
+    }
+  }
+
+  /**
+   * Check whether playback is running
+   */
+  isPlaying() {
+    return this.playTimer !== null;
+  }
+
+  /**
+   * Describe a log entry for the playback controls
+   */
+  describeEntry(entry) {
+    const name = this.userNames.get(entry.userId) || 'Someone';
+
+    switch (entry.type) {
+      case 'stroke':
+        return `${name} drew a stroke`;
+      case 'line':
+        return `${name} drew a line`;
+      case 'rect':
+        return `${name} drew a rectangle`;
+      case 'ellipse':
+        return `${name} drew an ellipse`;
+      case 'arrow':
+        return `${name} drew an arrow`;
+      case 'text':
+        return `${name} added text`;
+      case 'image':
+        return `${name} added an image`;
+      case 'update':
+        return `${name} edited an object`;
+      case 'transform': {
+        const count = entry.targetIds.length;
+        const objects = count === 1 ? 'an object' : `${count} objects`;
+        return entry.matrix ? `${name} moved ${objects}` : `${name} recolored ${objects}`;
+      }
+      case 'delete': {
+        const count = entry.targetIds.length;
+        return `${name} deleted ${count === 1 ? 'an object' : `${count} objects`}`;
+      }
+      case 'clear':
+        return `${name} cleared the canvas`;
+      case 'layer':
+        return this.describeLayerChange(name, entry);
+      case 'undo':
+        return entry.scope === 'room' ? 'Room owner undid a change' : `${name} undid a change`;
+      case 'redo':
+        return entry.scope === 'room' ? 'Room owner redid a change' : `${name} redid a change`;
+      default:
+        return `${name} made a change`;
+    }
+  }
+
+  /**
+   * Describe a layer change, by the layer's name at the time
+   */
+  describeLayerChange(name, entry) {
+    const layer = this.layers.find(l => l.id === entry.layerId);
+    const layerName = entry.action === 'add' || !layer ? entry.name : layer.name;
+
+    switch (entry.action) {
+      case 'add':
+        return `${name} added layer "${entry.name}"`;
+      case 'rename':
+        return `${name} renamed a layer to "${entry.name}"`;
+      case 'move':
+        return `${name} moved layer "${layerName}"`;
+      case 'visibility':
+        return `${name} ${entry.visible ? 'showed' : 'hid'} layer "${layerName}"`;
+      case 'lock':
+        return `${name} ${entry.locked ? 'locked' : 'unlocked'} layer "${layerName}"`;
+      default:
+        return `${name} changed a layer`;
+    }
+  }
+
+  /**
+   * Get the last applied entry
+   */
+  getCurrentEntry() {
+    return this.position > 0 ? this.entries[this.position - 1] : null;
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * ImagePlacer - Overlay for positioning a pasted or dropped image
+ * The image is shown over the canvas at the size it will be drawn. Dragging
+ * it moves it, dragging the corner handle scales it (keeping its aspect
+ * ratio). Enter or the ✓ button places it, Escape or ✕ cancels.
+ */
+class ImagePlacer {
+  /**
+   * @param {HTMLElement} container - Element the canvas fills, positioned
+   */
+  constructor(container) {
+    this.container = container;
+    this.minSize = 16;
+
+    this.element = document.createElement('div');
+    this.element.className = 'image-placer hidden';
+    this.image = document.createElement('img');
+    this.image.draggable = false;
+    this.handle = document.createElement('div');
+    this.handle.className = 'image-placer-handle';
+    this.handle.title = 'Drag to resize';
+
+    const actions = document.createElement('div');
+    actions.className = 'image-placer-actions';
+    this.placeButton = document.createElement('button');
+    this.placeButton.textContent = '✓';
+    this.placeButton.title = 'Place image (Enter)';
+    this.cancelButton = document.createElement('button');
+    this.cancelButton.textContent = '✕';
+    this.cancelButton.title = 'Cancel (Esc)';
+    actions.append(this.placeButton, this.cancelButton);
+
+    this.element.append(this.image, this.handle, actions);
+    container.appendChild(this.element);
+
+    // Box being placed: { x, y, width, height } in canvas coordinates
+    this.box = null;
+    this.onPlace = null;
+    this.onCancel = null;
+    // Active drag: { mode: 'move' | 'scale', start, box }
+    this.drag = null;
+
+    this.element.addEventListener('pointerdown', (e) => this.startDrag(e));
+    window.addEventListener('pointermove', (e) => this.moveDrag(e));
+    window.addEventListener('pointerup', () => { this.drag = null; });
+    this.placeButton.addEventListener('click', () => this.close(true));
+    this.cancelButton.addEventListener('click', () => this.close(false));
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen()) return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.close(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close(false);
+      }
+    });
+  }
+
+  /**
+   * Open the placer, cancelling any image still open
+   * The image is scaled down to fit half the canvas and centered on `center`.
+   * @param {Object} image - { src, width, height } natural size of the image
+   * @param {Object} center - Canvas position to center it on
+   * @param {Function} onPlace - Called with { x, y, width, height } when placed
+   * @param {Function} onCancel - Called when cancelled
+   */
+  open({ src, width, height }, center, onPlace, onCancel = null) {
+    this.close(false);
+
+    const scale = Math.min(
+      1,
+      this.container.clientWidth / 2 / width,
+      this.container.clientHeight / 2 / height
+    );
+    const size = { width: width * scale, height: height * scale };
+    this.box = {
+      x: center.x - size.width / 2,
+      y: center.y - size.height / 2,
+      ...size
+    };
+    this.onPlace = onPlace;
+    this.onCancel = onCancel;
+
+    this.image.src = src;
+    this.element.classList.remove('hidden');
+    this.layout();
+  }
+
+  /**
+   * Check whether an image is being placed
+   */
+  isOpen() {
+    return this.box !== null;
+  }
+
+  /**
+   * Position the overlay on the box
+   */
+  layout() {
+    if (!this.box) return;
+    const { x, y, width, height } = this.box;
+    Object.assign(this.element.style, {
+      left: `${x}px`,
+      top: `${y}px`,
+      width: `${width}px`,
+      height: `${height}px`
+    });
+  }
+
+  /**
+   * Start moving the image, or scaling it from the handle
+   */
+  startDrag(e) {
+    if (!this.box || e.target.closest('button')) return;
+    e.preventDefault();
+    this.drag = {
+      mode: e.target === this.handle ? 'scale' : 'move',
+      start: { x: e.clientX, y: e.clientY },
+      box: { ...this.box }
+    };
+  }
+
+  /**
+   * Follow the pointer during a drag
+   */
+  moveDrag(e) {
+    if (!this.drag || !this.box) return;
+    const { mode, start, box } = this.drag;
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+
+    if (mode === 'move') {
+      this.box.x = box.x + dx;
+      this.box.y = box.y + dy;
+    } else {
+      // Scale by whichever side grew more, keeping the aspect ratio
+      const scale = Math.max((box.width + dx) / box.width, (box.height + dy) / box.height);
+      const minScale = this.minSize / Math.min(box.width, box.height);
+      this.box.width = box.width * Math.max(scale, minScale);
+      this.box.height = box.height * Math.max(scale, minScale);
+    }
+    this.layout();
+  }
+
+  /**
+   * Close the placer
+   * @param {boolean} place - Hand the box to onPlace
+   */
+  close(place) {
+    if (!this.box) return;
+
+    const box = this.box;
+    const { onPlace, onCancel } = this;
+    this.box = null;
+    this.drag = null;
+    this.onPlace = null;
+    this.onCancel = null;
+    this.element.classList.add('hidden');
+    this.image.removeAttribute('src');
+
+    if (place && onPlace) {
+      onPlace(box);
+    } else if (!place && onCancel) {
+      onCancel();
+    }
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * LayerPanel - Lists the room's layers, top layer first
+ * Clicking a layer makes it the one new objects go on. Its buttons show or
+ * hide and lock or unlock a layer; double-clicking the name renames it. The
+ * buttons below add a layer and move the active one up or down. Changes are
+ * sent through onChange and only show once the server's copy arrives, so
+ * they're disabled while offline.
+ */
+class LayerPanel {
+  /**
+   * @param {HTMLElement} container - Element to build the panel in
+   * @param {CanvasManager} canvasManager - Holds the layers and the active one
+   */
+  constructor(container, canvasManager) {
+    this.canvasManager = canvasManager;
+    this.maxNameLength = 40;
+    this.onChange = null;
+    this.offline = false;
+
+    this.list = document.createElement('ul');
+    this.list.className = 'layer-list';
+
+    const actions = document.createElement('div');
+    actions.className = 'layer-actions';
+    this.addButton = this.createButton('+', 'Add a layer');
+    this.upButton = this.createButton('↑', 'Move the layer up');
+    this.downButton = this.createButton('↓', 'Move the layer down');
+    actions.append(this.addButton, this.upButton, this.downButton);
+
+    container.append(this.list, actions);
+
+    this.addButton.addEventListener('click', () => {
+      this.send({ action: 'add', name: `Layer ${this.canvasManager.layers.length + 1}` });
+    });
+    this.upButton.addEventListener('click', () => this.moveActive(1));
+    this.downButton.addEventListener('click', () => this.moveActive(-1));
+  }
+
+  /**
+   * Create a small panel button
+   */
+  createButton(label, title) {
+    const button = document.createElement('button');
+    button.className = 'layer-btn';
+    button.textContent = label;
+    button.title = title;
+    return button;
+  }
+
+  /**
+   * Send a layer change to the server
+   */
+  send(change) {
+    if (this.onChange) {
+      this.onChange(change);
+    }
+  }
+
+  /**
+   * Disable or enable the changes while the connection is down
+   */
+  setOffline(offline) {
+    this.offline = offline;
+    this.render();
+  }
+
+  /**
+   * Move the active layer up (1) or down (-1)
+   */
+  moveActive(step) {
+    const { layers, activeLayerId } = this.canvasManager;
+    const index = layers.findIndex(layer => layer.id === activeLayerId);
+    const target = index + step;
+    if (index === -1 || target < 0 || target >= layers.length) return;
+    this.send({ action: 'move', layerId: activeLayerId, index: target });
+  }
+
+  /**
+   * Show the layers as they are now
+   */
+  render() {
+    const { layers, activeLayerId } = this.canvasManager;
+    this.list.replaceChildren(...layers.slice().reverse().map(layer => this.renderLayer(layer)));
+
+    const index = layers.findIndex(layer => layer.id === activeLayerId);
+    this.addButton.disabled = this.offline;
+    this.upButton.disabled = this.offline || index === layers.length - 1;
+    this.downButton.disabled = this.offline || index <= 0;
+  }
+
+  /**
+   * Build the row of one layer
+   */
+  renderLayer(layer) {
+    const row = document.createElement('li');
+    row.className = 'layer-item';
+    row.classList.toggle('active', layer.id === this.canvasManager.activeLayerId);
+    row.classList.toggle('hidden-layer', !layer.visible);
+
+    const visibility = this.createButton(layer.visible ? '👁' : '–', layer.visible ? 'Hide' : 'Show');
+    visibility.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.send({ action: 'visibility', layerId: layer.id, visible: !layer.visible });
+    });
+    visibility.disabled = this.offline;
+
+    const lock = this.createButton(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock' : 'Lock');
+    lock.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.send({ action: 'lock', layerId: layer.id, locked: !layer.locked });
+    });
+    lock.disabled = this.offline;
+
+    const name = document.createElement('span');
+    name.className = 'layer-name';
+    name.textContent = layer.name;
+    name.title = 'Double-click to rename';
+    name.addEventListener('dblclick', () => {
+      if (!this.offline) this.startRename(layer, name);
+    });
+
+    row.append(visibility, lock, name);
+    row.addEventListener('click', () => {
+      this.canvasManager.setActiveLayer(layer.id);
+      this.render();
+    });
+    return row;
+  }
+
+  /**
+   * Replace a layer's name with an input: Enter or leaving it renames the
+   * layer, Escape keeps the old name
+   */
+  startRename(layer, nameElement) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'layer-name-input';
+    input.value = layer.name;
+    input.maxLength = this.maxNameLength;
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      const name = input.value.trim();
+      if (save && name && name !== layer.name) {
+        this.send({ action: 'rename', layerId: layer.id, name });
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      // Keep shortcuts like Delete and V from acting on the canvas
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+
+    nameElement.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+}
@@ -6,8 +6,18 @@
 // Initialize managers
 let canvasManager;
 let wsManager;
+let historyPlayer;
+let textEditor;
+let imagePlacer;
+let layerPanel;
 let cursorsLayer;
 let userCursors = new Map();
+let userCursorPositions = new Map(); // user ID -> world position, or null
+let pendingStatusTimer = null;
+
+// Images the server accepts (see server/images.js and IMAGE_MAX_BYTES)
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
 
 // Throttle function for performance
 function throttle(func, delay) {
@@ -42,39 +52,76 @@ async function init() {
  * Show welcome modal
  */
 function showWelcomeModal() {
-  const modal = document.getElementById('welcome-modal');
   const joinBtn = document.getElementById('join-btn');
+  const createBtn = document.getElementById('create-btn');
   const nameInput = document.getElementById('user-name-input');
   const roomInput = document.getElementById('room-id-input');
+  const passwordInput = document.getElementById('room-password-input');
   
   // Handle Enter key
-  nameInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') joinBtn.click();
+  [nameInput, roomInput, passwordInput].forEach(input => {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') joinBtn.click();
+    });
   });
   
-  roomInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') joinBtn.click();
-  });
+  joinBtn.addEventListener('click', () => submitWelcome('join'));
+  createBtn.addEventListener('click', () => submitWelcome('create'));
+}
+
+/**
+ * Join or create the room entered in the welcome modal
+ * @param {string} mode - 'join' or 'create'
+ */
+async function submitWelcome(mode) {
+  const modal = document.getElementById('welcome-modal');
+  const userName = document.getElementById('user-name-input').value.trim() || 'Anonymous';
+  const roomId = document.getElementById('room-id-input').value.trim() || 'default';
+  const password = document.getElementById('room-password-input').value || null;
+  const defaultRole = document.getElementById('default-role-select').value;
   
-  joinBtn.addEventListener('click', async () => {
-    const userName = nameInput.value.trim() || 'Anonymous';
-    const roomId = roomInput.value.trim() || 'default';
-    
-    modal.classList.add('hidden');
-    await startApplication(userName, roomId);
-  });
+  modal.classList.add('hidden');
+  showWelcomeError('');
+  
+  // Connect once; a failed join (e.g. wrong password) reuses the connection
+  if (!wsManager) {
+    const started = await startApplication();
+    if (!started) return;
+  }
+  
+  if (mode === 'create') {
+    wsManager.createRoom(roomId, userName, { password, defaultRole });
+  } else {
+    wsManager.joinRoom(roomId, userName, { password });
+  }
+  document.getElementById('room-id').textContent = roomId;
+}
+
+/**
+ * Show an error in the welcome modal (empty message hides it)
+ */
+function showWelcomeError(message) {
+  const error = document.getElementById('welcome-error');
+  error.textContent = message;
+  error.classList.toggle('hidden', !message);
 }
 
 /**
  * Start the main application
+ * @returns {boolean} True if connected to the server
  */
-async function startApplication(userName, roomId) {
+async function startApplication() {
   updateStatus('Connecting...', 'connecting');
   
   try {
     // Initialize canvas manager
     const canvas = document.getElementById('canvas');
-    canvasManager = new CanvasManager(canvas);
+    const previewCanvas = document.getElementById('preview-canvas');
+    canvasManager = new CanvasManager(canvas, previewCanvas);
+    historyPlayer = new HistoryPlayer(document.getElementById('history-canvas'), canvasManager);
+    textEditor = new TextEditor(document.querySelector('.canvas-container'), canvasManager);
+    imagePlacer = new ImagePlacer(document.querySelector('.canvas-container'));
+    layerPanel = new LayerPanel(document.getElementById('layer-panel'), canvasManager);
     cursorsLayer = document.getElementById('cursors-layer');
     
     // Initialize WebSocket manager
@@ -86,17 +133,16 @@ async function startApplication(userName, roomId) {
     setupWebSocketHandlers();
     setupUIHandlers();
     setupKeyboardShortcuts();
-    
-    // Join room
-    wsManager.joinRoom(roomId, userName);
-    document.getElementById('room-id').textContent = roomId;
+    setupImageHandlers();
     
     updateStatus('Connected', 'connected');
+    return true;
     
   } catch (error) {
     console.error('Failed to start application:', error);
     updateStatus('Connection Failed', 'disconnected');
     alert('Failed to connect to server. Please refresh and try again.');
+    return false;
   }
 }
 
@@ -104,9 +150,66 @@ async function startApplication(userName, roomId) {
  * Setup canvas event handlers
  */
 function setupCanvasHandlers() {
-  // Stroke complete - send to server
-  canvasManager.onStrokeComplete = (strokeData) => {
-    wsManager.sendStroke(strokeData);
+  // Strokes are streamed to the server while they are drawn
+  canvasManager.onStrokeBegin = (strokeData) => {
+    wsManager.beginStroke(strokeData);
+  };
+  
+  canvasManager.onStrokePoints = (points) => {
+    wsManager.addStrokePoints(points);
+  };
+  
+  canvasManager.onStrokeEnd = () => {
+    wsManager.endStroke();
+  };
+  
+  // A touch gesture started while drawing drops the stroke
+  canvasManager.onStrokeAbort = () => {
+    wsManager.abortStroke();
+  };
+  
+  // Two-finger tap undoes, three-finger tap redoes
+  canvasManager.onUndoGesture = () => {
+    if (wsManager.can('undo')) wsManager.requestUndo();
+  };
+  
+  canvasManager.onRedoGesture = () => {
+    if (wsManager.can('undo')) wsManager.requestRedo();
+  };
+  
+  // Shapes are sent once they are finished
+  canvasManager.onShape = (shape) => {
+    wsManager.sendShape(shape);
+  };
+  
+  // Select tool: transforms and deletes of the selection
+  canvasManager.onTransform = (targetIds, changes) => {
+    wsManager.transformOperations(targetIds, changes);
+  };
+  
+  canvasManager.onDelete = (targetIds) => {
+    wsManager.deleteOperations(targetIds);
+  };
+  
+  // Drawing on a hidden or locked layer
+  canvasManager.onLayerUnavailable = (layer) => {
+    const reason = layer && layer.locked ? 'locked' : 'hidden';
+    showNotification(`Layer "${layer ? layer.name : ''}" is ${reason}, pick another one to draw on`, 'warning');
+  };
+  
+  layerPanel.onChange = (change) => {
+    wsManager.changeLayer(change);
+  };
+  
+  // Text tool: click to place new text or to edit existing text
+  canvasManager.onTextClick = (pos) => {
+    editTextAt(pos);
+  };
+  
+  // Images are fetched from the server when first drawn
+  canvasManager.imageLoader = (imageId) => wsManager.fetchImage(imageId);
+  canvasManager.onImageLoaded = () => {
+    if (isHistoryOpen()) historyPlayer.render();
   };
   
   // Cursor move - send to server (throttled)
@@ -116,6 +219,15 @@ function setupCanvasHandlers() {
   
   canvasManager.onCursorMove = throttledCursorMove;
   
+  // Panning and zooming moves everything drawn over the canvas too
+  canvasManager.onViewChange = (view) => {
+    // 100% is the room's area fitting the window, whatever its size
+    document.getElementById('zoom-reset-btn').textContent = `${Math.round(canvasManager.getRelativeZoom() * 100)}%`;
+    userCursors.forEach(positionUserCursor);
+    textEditor.layout();
+    if (isHistoryOpen()) historyPlayer.render();
+  };
+  
   // Performance updates
   canvasManager.onPerformanceUpdate = (stats) => {
     document.getElementById('fps-counter').textContent = stats.fps;
@@ -129,8 +241,23 @@ function setupCanvasHandlers() {
 function setupWebSocketHandlers() {
   // Canvas initialization
   wsManager.on('initCanvas', (data) => {
+    canvasManager.userId = data.user.userId;
+    canvasManager.clearLiveStrokes();
+    canvasManager.setLogicalSize(data.canvasSize);
     canvasManager.initializeState(data.state);
+    layerPanel.render();
+    updateUsersList(data.users);
+    updatePermissionControls();
+    updateStatus(`Connected as ${data.user.name}`, 'connected');
+  });
+  
+  // Changes missed while disconnected
+  wsManager.on('resync', (data) => {
+    canvasManager.userId = data.user.userId;
+    canvasManager.applyEntries(data.entries);
+    layerPanel.render();
     updateUsersList(data.users);
+    updatePermissionControls();
     updateStatus(`Connected as ${data.user.name}`, 'connected');
   });
   
@@ -141,6 +268,57 @@ function setupWebSocketHandlers() {
     canvasManager.addOperation(operation);
   });
   
+  // Shapes, text and edits from server, like strokes
+  wsManager.on('drawShape', (operation) => {
+    canvasManager.addOperation(operation);
+  });
+  
+  wsManager.on('drawText', (operation) => {
+    canvasManager.addOperation(operation);
+  });
+  
+  wsManager.on('drawImage', (operation) => {
+    canvasManager.addOperation(operation);
+  });
+  
+  wsManager.on('updateOperation', (operation) => {
+    canvasManager.addOperation(operation);
+  });
+  
+  wsManager.on('transformOperation', (operation) => {
+    canvasManager.addOperation(operation);
+  });
+  
+  wsManager.on('deleteOperation', (operation) => {
+    canvasManager.addOperation(operation);
+  });
+  
+  // Layer changes; a layer we added becomes the active one
+  wsManager.on('layerChange', (change) => {
+    canvasManager.handleLayerChange(change);
+    if (change.action === 'add' && change.userId === wsManager.getCurrentUser().userId) {
+      canvasManager.setActiveLayer(change.layerId);
+    }
+    layerPanel.render();
+  });
+  
+  // Other users' strokes in progress
+  wsManager.on('strokeBegin', (data) => {
+    canvasManager.beginLiveStroke(data);
+  });
+  
+  wsManager.on('strokePointBatch', (data) => {
+    canvasManager.addLiveStrokePoints(data.tempId, data.points);
+  });
+  
+  wsManager.on('strokeEnd', (data) => {
+    canvasManager.removeLiveStroke(data.tempId);
+  });
+  
+  wsManager.on('strokeAbort', (data) => {
+    canvasManager.removeLiveStroke(data.tempId);
+  });
+  
   // Undo operation
   wsManager.on('undo', (undoData) => {
     canvasManager.handleUndo(undoData);
@@ -153,7 +331,7 @@ function setupWebSocketHandlers() {
   
   // Clear canvas
   wsManager.on('clearCanvas', (clearData) => {
-    canvasManager.handleClear();
+    canvasManager.handleClear(clearData);
   });
   
   // User joined
@@ -174,13 +352,65 @@ function setupWebSocketHandlers() {
     updateUserCursor(data);
   });
   
+  // The room owner changed our role
+  wsManager.on('roleChanged', (data) => {
+    updatePermissionControls();
+    updateUsersList(wsManager.getUsers());
+    showNotification(`You are now ${data.role === 'viewer' ? 'a viewer' : 'an ' + data.role}`, 'info');
+  });
+  
+  // Users list changed (e.g. roles)
+  wsManager.on('usersUpdated', (data) => {
+    updateUsersList(data.users);
+  });
+  
+  // Server refused a request
+  wsManager.on('requestRejected', (data) => {
+    // Joining failed: ask again
+    if (data.event === 'join-room' || data.event === 'create-room') {
+      showWelcomeError(data.message);
+      document.getElementById('welcome-modal').classList.remove('hidden');
+      updateStatus('Not in a room', 'disconnected');
+      return;
+    }
+    
+    // A stroke the server lost mid-stream is sent again as a whole
+    if (data.event === 'stroke-end' && data.code === 'UNKNOWN_STROKE' && data.clientId) return;
+    
+    // Nothing left to undo or redo: the undo we showed is taken back quietly
+    if ((data.event === 'undo' || data.event === 'redo') && data.code === 'NOT_FOUND') return;
+    
+    // Refused for the moment: queued changes are sent again later
+    const isTemporary = wsManager.retryCodes.includes(data.code);
+    showNotification(
+      isTemporary ? data.message : `Action refused: ${data.message}`,
+      isTemporary ? 'warning' : 'error'
+    );
+    
+    // Refused operations disappear along with their pending change; this
+    // removes what was painted of a stroke refused while it was drawn
+    if (data.event === 'stroke-begin' || data.event === 'stroke-point-batch') {
+      canvasManager.redrawCanvas();
+    }
+  });
+  
   // Connection events
   wsManager.on('connect', () => {
     updateStatus('Connected', 'connected');
   });
   
   wsManager.on('disconnect', () => {
+    // The server drops strokes in progress along with the connection
+    canvasManager.clearLiveStrokes();
     updateStatus('Disconnected', 'disconnected');
+    updatePendingStatus(wsManager.getPendingCount());
+    updateConnectionControls();
+  });
+  
+  // Changes the server hasn't confirmed yet, shown until it does
+  wsManager.on('pendingChange', (count) => {
+    canvasManager.setPendingOperations(wsManager.getPendingOperations());
+    updatePendingStatus(count);
   });
 }
 
@@ -189,13 +419,11 @@ function setupWebSocketHandlers() {
  */
 function setupUIHandlers() {
   // Tool buttons
-  document.getElementById('tool-brush').addEventListener('click', () => {
-    setTool('brush');
-  });
-  
-  document.getElementById('tool-eraser').addEventListener('click', () => {
-    setTool('eraser');
-  });
+  for (const tool of ['select', 'brush', 'eraser', 'object-eraser', ...canvasManager.shapeTools, 'text']) {
+    document.getElementById(`tool-${tool}`).addEventListener('click', () => {
+      setTool(tool);
+    });
+  }
   
   // Color picker
   const colorPicker = document.getElementById('color-picker');
@@ -226,6 +454,34 @@ function setupUIHandlers() {
   // Initialize brush preview
   updateBrushPreview(parseInt(brushSize.value), canvasManager.color);
   
+  // Font size, also applied to the text being edited
+  const fontSize = document.getElementById('font-size');
+  const fontSizeValue = document.getElementById('font-size-value');
+  
+  fontSize.addEventListener('input', (e) => {
+    const size = parseInt(e.target.value);
+    canvasManager.setFontSize(size);
+    textEditor.setStyle({ fontSize: size });
+    fontSizeValue.textContent = size + 'px';
+  });
+  
+  // View
+  document.getElementById('zoom-in-btn').addEventListener('click', () => {
+    canvasManager.zoomStepBy(1);
+  });
+  
+  document.getElementById('zoom-out-btn').addEventListener('click', () => {
+    canvasManager.zoomStepBy(-1);
+  });
+  
+  document.getElementById('zoom-reset-btn').addEventListener('click', () => {
+    canvasManager.resetView();
+  });
+  
+  document.getElementById('zoom-fit-btn').addEventListener('click', () => {
+    canvasManager.zoomToFit();
+  });
+  
   // Action buttons
   document.getElementById('undo-btn').addEventListener('click', () => {
     wsManager.requestUndo();
@@ -235,11 +491,61 @@ function setupUIHandlers() {
     wsManager.requestRedo();
   });
   
+  document.getElementById('room-undo-btn').addEventListener('click', () => {
+    wsManager.requestRoomUndo();
+  });
+  
+  document.getElementById('room-redo-btn').addEventListener('click', () => {
+    wsManager.requestRoomRedo();
+  });
+  
   document.getElementById('clear-btn').addEventListener('click', () => {
     if (confirm('Are you sure you want to clear the canvas for everyone?')) {
       wsManager.requestClear();
     }
   });
+  
+  // History playback
+  document.getElementById('history-btn').addEventListener('click', () => {
+    openHistory();
+  });
+  
+  document.getElementById('history-exit-btn').addEventListener('click', () => {
+    closeHistory();
+  });
+  
+  document.getElementById('history-play-btn').addEventListener('click', () => {
+    if (historyPlayer.isPlaying()) {
+      historyPlayer.pause();
+    } else {
+      historyPlayer.play();
+    }
+  });
+  
+  document.getElementById('history-scrubber').addEventListener('input', (e) => {
+    historyPlayer.pause();
+    historyPlayer.seek(parseInt(e.target.value));
+  });
+  
+  historyPlayer.onChange = updateHistoryControls;
+  
+  window.addEventListener('resize', () => {
+    if (isHistoryOpen()) historyPlayer.resize();
+  });
+  
+  // Import a drawing from a JSON file
+  const importInput = document.getElementById('import-input');
+  document.getElementById('import-btn').addEventListener('click', () => {
+    importInput.click();
+  });
+  
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (file) {
+      await importDrawing(file);
+    }
+  });
 }
 
 /**
@@ -247,16 +553,44 @@ function setupUIHandlers() {
  */
 function setupKeyboardShortcuts() {
   document.addEventListener('keydown', (e) => {
+    // Ignore shortcuts while typing in a form field
+    if (e.target.matches('input, select, textarea')) return;
+    
     // Ctrl/Cmd + Z for undo
     if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
       e.preventDefault();
-      wsManager.requestUndo();
+      if (wsManager.can('undo')) wsManager.requestUndo();
     }
     
     // Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y for redo
     if ((e.ctrlKey || e.metaKey) && (e.key === 'y' || (e.key === 'z' && e.shiftKey))) {
       e.preventDefault();
-      wsManager.requestRedo();
+      if (wsManager.can('undo')) wsManager.requestRedo();
+    }
+    
+    // + and - zoom, 0 shows the room's area, F fits the drawing
+    if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+      if (e.key === '+' || e.key === '=') canvasManager.zoomStepBy(1);
+      if (e.key === '-') canvasManager.zoomStepBy(-1);
+      if (e.key === '0') canvasManager.resetView();
+      if (e.key === 'f' || e.key === 'F') canvasManager.zoomToFit();
+    }
+    
+    // Drawing tool shortcuts are only useful to users who can draw
+    if (!wsManager.can('draw')) return;
+    
+    // Delete or Backspace deletes the selection, Escape selects nothing
+    if ((e.key === 'Delete' || e.key === 'Backspace') && !canvasManager.selection.isEmpty()) {
+      e.preventDefault();
+      canvasManager.selection.deleteSelected();
+    }
+    if (e.key === 'Escape') {
+      canvasManager.selection.clear();
+    }
+    
+    // V for select
+    if ((e.key === 'v' || e.key === 'V') && !e.ctrlKey && !e.metaKey) {
+      setTool('select');
     }
     
     // B for brush
@@ -264,10 +598,119 @@ function setupKeyboardShortcuts() {
       setTool('brush');
     }
     
-    // E for eraser
+    // E for eraser, Shift + E for the object eraser
     if (e.key === 'e' || e.key === 'E') {
-      setTool('eraser');
+      setTool(e.shiftKey ? 'object-eraser' : 'eraser');
+    }
+    
+    // T for text
+    if ((e.key === 't' || e.key === 'T') && !e.ctrlKey && !e.metaKey) {
+      setTool('text');
     }
+    
+    // L, R, O and A for the line, rectangle, ellipse and arrow shapes
+    const shapeKeys = { l: 'line', r: 'rect', o: 'ellipse', a: 'arrow' };
+    const shape = shapeKeys[e.key.toLowerCase()];
+    if (shape && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      setTool(shape);
+    }
+  });
+}
+
+/**
+ * Insert images pasted from the clipboard or dropped on the canvas
+ */
+function setupImageHandlers() {
+  const container = document.querySelector('.canvas-container');
+  
+  document.addEventListener('paste', (e) => {
+    // Pasting into a form field is left alone
+    if (e.target.matches('input, select, textarea')) return;
+    
+    const file = Array.from(e.clipboardData.files).find(item => item.type.startsWith('image/'));
+    if (!file) return;
+    e.preventDefault();
+    insertImage(file, canvasManager.screenToWorld({ x: container.clientWidth / 2, y: container.clientHeight / 2 }));
+  });
+  
+  container.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = wsManager.can('draw') ? 'copy' : 'none';
+  });
+  
+  container.addEventListener('drop', (e) => {
+    const file = Array.from(e.dataTransfer.files).find(item => item.type.startsWith('image/'));
+    if (!file) return;
+    e.preventDefault();
+    insertImage(file, canvasManager.getMousePos(e));
+  });
+}
+
+/**
+ * Let the user position an image file on the canvas, then add it
+ * The file is uploaded while it's being positioned.
+ * @param {File} file - Pasted or dropped file
+ * @param {Object} center - World position to show it at first
+ */
+async function insertImage(file, center) {
+  if (!wsManager.can('draw') || isHistoryOpen()) return;
+  
+  const layerId = canvasManager.activeLayerId;
+  if (!canvasManager.isLayerEditable(layerId)) {
+    canvasManager.onLayerUnavailable(canvasManager.getLayer(layerId));
+    return;
+  }
+  
+  if (!IMAGE_TYPES.includes(file.type)) {
+    showNotification('Only PNG, JPEG, GIF and WebP images can be added', 'error');
+    return;
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    showNotification(`Images can be at most ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB`, 'error');
+    return;
+  }
+  
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    showNotification(`${file.name} could not be read as an image`, 'error');
+    return;
+  }
+  
+  const upload = wsManager.uploadImage(file);
+  upload.catch(() => {}); // reported once the image is placed
+  
+  textEditor.close(true);
+  const src = URL.createObjectURL(file);
+  // The placer works on screen; the image lands where it was shown
+  const screenCenter = canvasManager.worldToScreen(center);
+  imagePlacer.open({ src, width: bitmap.width, height: bitmap.height }, screenCenter, async (screenBox) => {
+    URL.revokeObjectURL(src);
+    const corner = canvasManager.screenToWorld(screenBox);
+    const box = {
+      ...corner,
+      width: screenBox.width / canvasManager.view.zoom,
+      height: screenBox.height / canvasManager.view.zoom
+    };
+    try {
+      const imageId = await upload;
+      // Our own image needs no download
+      canvasManager.cacheImage(imageId, bitmap);
+      wsManager.sendImage({
+        imageId,
+        layerId,
+        x: Math.round(box.x),
+        y: Math.round(box.y),
+        width: Math.max(1, Math.round(box.width)),
+        height: Math.max(1, Math.round(box.height))
+      });
+    } catch (error) {
+      showNotification(`Image upload failed: ${error.message}`, 'error');
+    }
+  }, () => {
+    URL.revokeObjectURL(src);
   });
 }
 
@@ -283,21 +726,53 @@ function setTool(tool) {
     btn.classList.remove('active');
   });
   
-  if (tool === 'brush') {
-    document.getElementById('tool-brush').classList.add('active');
-  } else if (tool === 'eraser') {
-    document.getElementById('tool-eraser').classList.add('active');
-  }
+  document.getElementById(`tool-${tool}`).classList.add('active');
 }
 
 /**
  * Set drawing color
  */
 function setColor(color) {
+  // With objects selected, the color is applied to them
+  if (!canvasManager.selection.isEmpty()) {
+    canvasManager.selection.recolor(color);
+  }
   canvasManager.setColor(color);
+  textEditor.setStyle({ color });
   updateBrushPreview(canvasManager.brushSize, color);
 }
 
+/**
+ * Open the text editor at a canvas position: on the text there, if any,
+ * otherwise for new text
+ */
+function editTextAt(pos) {
+  const target = canvasManager.findTextAt(pos);
+  
+  if (!target) {
+    const style = { fontSize: canvasManager.fontSize, color: canvasManager.color };
+    const layerId = canvasManager.activeLayerId;
+    textEditor.open({ x: pos.x, y: pos.y, ...style }, (result) => {
+      wsManager.sendText({ x: pos.x, y: pos.y, ...result, layerId });
+    });
+    return;
+  }
+  
+  // Existing text is hidden while its editor is open
+  canvasManager.setEditingText(target.id);
+  textEditor.open(target, (result) => {
+    const changes = {};
+    for (const field of ['text', 'fontSize', 'color']) {
+      if (result[field] !== target[field]) changes[field] = result[field];
+    }
+    if (Object.keys(changes).length > 0) {
+      wsManager.updateOperation(target.id, changes);
+    }
+  }, () => {
+    canvasManager.setEditingText(null);
+  });
+}
+
 /**
  * Set brush size
  */
@@ -305,6 +780,86 @@ function setBrushSize(size) {
   canvasManager.setBrushSize(size);
 }
 
+/**
+ * Check whether history playback is shown
+ */
+function isHistoryOpen() {
+  return !document.getElementById('history-bar').classList.contains('hidden');
+}
+
+/**
+ * Load the room's history and show it instead of the live canvas
+ */
+async function openHistory() {
+  textEditor.close(true);
+  imagePlacer.close(false);
+  
+  let entries;
+  try {
+    entries = await wsManager.fetchHistory();
+  } catch (error) {
+    showNotification(`Couldn't load the history: ${error.message}`, 'error');
+    return;
+  }
+  
+  document.getElementById('history-scrubber').max = entries.length;
+  document.getElementById('history-canvas').classList.remove('hidden');
+  document.getElementById('history-bar').classList.remove('hidden');
+  document.querySelector('.canvas-container').classList.add('history-mode');
+  historyPlayer.load(entries);
+}
+
+/**
+ * Go back to the live canvas, which kept updating meanwhile
+ */
+function closeHistory() {
+  historyPlayer.pause();
+  document.getElementById('history-canvas').classList.add('hidden');
+  document.getElementById('history-bar').classList.add('hidden');
+  document.querySelector('.canvas-container').classList.remove('history-mode');
+}
+
+/**
+ * Reflect the playback position in the history controls
+ */
+function updateHistoryControls(position, entry) {
+  const total = historyPlayer.entries.length;
+  document.getElementById('history-scrubber').value = position;
+  document.getElementById('history-play-btn').textContent = historyPlayer.isPlaying() ? 'Pause' : 'Play';
+  
+  let label = `${position}/${total}`;
+  if (entry) {
+    const time = entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '';
+    label += ` · ${historyPlayer.describeEntry(entry)}${time ? ' · ' + time : ''}`;
+  }
+  document.getElementById('history-label').textContent = label;
+}
+
+/**
+ * Import a drawing from a JSON file into the current room
+ */
+async function importDrawing(file) {
+  let drawing;
+  try {
+    drawing = JSON.parse(await file.text());
+  } catch (error) {
+    showNotification(`${file.name} is not a valid JSON file`, 'error');
+    return;
+  }
+  
+  const replace = confirm(
+    'Replace the current drawing with the imported one?\n\n' +
+    'OK replaces it, Cancel adds the imported drawing on top.'
+  );
+  
+  try {
+    const result = await wsManager.importDrawing(drawing, { mode: replace ? 'replace' : 'append' });
+    showNotification(`Imported ${result.imported} operations`, 'success');
+  } catch (error) {
+    showNotification(`Import failed: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Update brush preview
  */
@@ -315,6 +870,46 @@ function updateBrushPreview(size, color) {
   preview.style.background = color;
 }
 
+/**
+ * Show only the controls the current user's role allows. Elements are
+ * tagged with the permission they need via data-permission.
+ */
+function updatePermissionControls() {
+  document.querySelectorAll('[data-permission]').forEach(element => {
+    element.classList.toggle('hidden', !wsManager.can(element.dataset.permission));
+  });
+  updateConnectionControls();
+  
+  canvasManager.setReadOnly(!wsManager.can('draw'));
+  if (!wsManager.can('draw')) {
+    textEditor.close(false);
+    imagePlacer.close(false);
+  }
+  document.getElementById('user-role').textContent = wsManager.getCurrentUser().role;
+}
+
+/**
+ * Disable the controls whose changes aren't queued while offline (layers,
+ * room undo/redo, clear and roles, tagged data-online) until we're back
+ * in the room
+ */
+function updateConnectionControls() {
+  const offline = !wsManager.isConnected();
+  document.querySelectorAll('[data-online]').forEach(element => {
+    element.disabled = offline;
+  });
+  layerPanel.setOffline(offline);
+}
+
+/**
+ * Escape text for use in HTML markup
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 /**
  * Update users list
  */
@@ -324,13 +919,27 @@ function updateUsersList(users) {
   
   userCount.textContent = users.length;
   
+  const canManage = wsManager.can('manage-roles');
+  
   usersList.innerHTML = users.map(user => `
     <div class="user-item">
       <div class="user-color" style="background: ${user.color}"></div>
-      <span class="user-name">${user.name}</span>
+      <span class="user-name">${escapeHtml(user.name)}</span>
+      ${canManage && user.role !== 'owner' ? `
+        <select class="role-select" data-user-id="${user.userId}" data-online title="Role">
+          <option value="editor" ${user.role === 'editor' ? 'selected' : ''}>editor</option>
+          <option value="viewer" ${user.role === 'viewer' ? 'selected' : ''}>viewer</option>
+        </select>
+      ` : `<span class="user-role">${user.role}</span>`}
       <div class="user-status"></div>
     </div>
   `).join('');
+  
+  usersList.querySelectorAll('.role-select').forEach(select => {
+    select.addEventListener('change', () => {
+      wsManager.setUserRole(select.dataset.userId, select.value);
+    });
+  });
 }
 
 /**
@@ -346,17 +955,27 @@ function updateUserCursor(data) {
     cursorElement.className = 'user-cursor';
     cursorElement.innerHTML = `
       <div class="cursor-dot" style="background: ${color}"></div>
-      <div class="cursor-label">${userName}</div>
+      <div class="cursor-label">${escapeHtml(userName)}</div>
     `;
     cursorsLayer.appendChild(cursorElement);
     userCursors.set(userId, cursorElement);
   }
   
-  // Update position
+  userCursorPositions.set(userId, cursor);
+  positionUserCursor(cursorElement, userId);
+}
+
+/**
+ * Place a user's cursor over the canvas: cursors are shared in world
+ * coordinates and shown through this user's view
+ */
+function positionUserCursor(cursorElement, userId) {
+  const cursor = userCursorPositions.get(userId);
   if (cursor) {
     const rect = canvasManager.canvas.getBoundingClientRect();
-    cursorElement.style.left = (rect.left + cursor.x) + 'px';
-    cursorElement.style.top = (rect.top + cursor.y) + 'px';
+    const pos = canvasManager.worldToScreen(cursor);
+    cursorElement.style.left = (rect.left + pos.x) + 'px';
+    cursorElement.style.top = (rect.top + pos.y) + 'px';
     cursorElement.style.display = 'block';
   } else {
     cursorElement.style.display = 'none';
@@ -371,6 +990,7 @@ function removeUserCursor(userId) {
   if (cursorElement) {
     cursorElement.remove();
     userCursors.delete(userId);
+    userCursorPositions.delete(userId);
   }
 }
 
@@ -392,12 +1012,46 @@ function updateStatus(text, status) {
   }
 }
 
+/**
+ * Show how many changes are waiting for the server in the status bar
+ * A change normally takes a moment to be confirmed, so the count only
+ * shows once changes have been waiting for a while, or while offline.
+ */
+function updatePendingStatus(count) {
+  const element = document.getElementById('pending-status');
+  clearTimeout(pendingStatusTimer);
+  pendingStatusTimer = null;
+  
+  if (count === 0) {
+    element.classList.add('hidden');
+    return;
+  }
+  
+  const show = () => {
+    element.textContent = `${count} pending`;
+    element.title = `${count} change${count === 1 ? '' : 's'} not saved yet, sent when the connection is back`;
+    element.classList.remove('hidden');
+  };
+  if (!element.classList.contains('hidden') || !wsManager.isConnected()) {
+    show();
+  } else {
+    pendingStatusTimer = setTimeout(show, 500);
+  }
+}
+
 /**
  * Show notification
  */
 function showNotification(message, type = 'info') {
-  // Simple console notification for now
   console.log(`[${type.toUpperCase()}] ${message}`);
+  
+  const container = document.getElementById('notifications');
+  const notification = document.createElement('div');
+  notification.className = `notification ${type}`;
+  notification.textContent = message;
+  container.appendChild(notification);
+  
+  setTimeout(() => notification.remove(), 4000);
 }
 
 // Update latency periodically
@@ -0,0 +1,374 @@
+/**
+ * SelectionTool - Selects objects on the canvas and transforms them
+ * Clicking an object selects it (Shift adds or removes it), dragging on
+ * empty canvas selects everything inside a rectangle, or inside a freehand
+ * lasso with Alt held. Selected objects are moved by dragging them, scaled
+ * from the corner handles and rotated from the handle above (Shift snaps to
+ * 15°). While dragging, the objects are drawn transformed on the preview
+ * layer; each drag is then sent as one transform operation through
+ * CanvasManager.onTransform, which shows on the canvas as a pending change.
+ */
+class SelectionTool {
+  /**
+   * @param {CanvasManager} canvasManager - Provides hit-testing and rendering
+   */
+  constructor(canvasManager) {
+    this.canvasManager = canvasManager;
+    this.ids = new Set();
+    this.handleSize = 8;
+    this.rotateHandleOffset = 24;
+    this.minScale = 0.05;
+    this.color = '#4A90E2';
+
+    // Drag in progress: { mode, start, ... }, mode being 'marquee', 'lasso',
+    // 'move', 'scale' or 'rotate'
+    this.drag = null;
+    // Transform being dragged
+    this.matrix = null;
+  }
+
+  /**
+   * Get the selected operations with their edits applied
+   */
+  getSelected() {
+    if (this.ids.size === 0) return [];
+    return this.canvasManager.getVisibleOperations().filter(op => this.ids.has(op.id));
+  }
+
+  /**
+   * Get the selected operation IDs
+   * @returns {Array} IDs in selection order
+   */
+  getIds() {
+    return [...this.ids];
+  }
+
+  /**
+   * Check whether anything is selected
+   */
+  isEmpty() {
+    return this.ids.size === 0;
+  }
+
+  /**
+   * Get the operations to hide from the canvas while they're drawn transformed
+   * on the preview layer
+   */
+  getHiddenIds() {
+    return this.matrix ? this.ids : [];
+  }
+
+  /**
+   * Get the size of a screen pixel in world units, so the box and its
+   * handles look the same at any zoom
+   */
+  getPixelSize() {
+    return 1 / this.canvasManager.view.zoom;
+  }
+
+  /**
+   * Get the scale and rotate handles of the selection box
+   * @param {Object} bounds - Box around the selection
+   * @returns {Array} { mode, x, y, anchor } with the point scaling keeps fixed
+   */
+  getHandles(bounds) {
+    const { x, y, width, height } = bounds;
+    const corners = [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height }
+    ];
+    return [
+      ...corners.map((corner, i) => ({ mode: 'scale', ...corner, anchor: corners[(i + 2) % 4] })),
+      { mode: 'rotate', x: x + width / 2, y: y - this.rotateHandleOffset * this.getPixelSize() }
+    ];
+  }
+
+  /**
+   * Delete the selected objects
+   */
+  deleteSelected() {
+    if (this.ids.size === 0 || this.drag) return;
+    if (this.canvasManager.onDelete) {
+      this.canvasManager.onDelete(this.getIds());
+    }
+  }
+
+  /**
+   * Give the selected objects a new color
+   */
+  recolor(color) {
+    if (this.ids.size === 0 || this.drag) return;
+    if (this.canvasManager.onTransform) {
+      this.canvasManager.onTransform(this.getIds(), { color });
+    }
+  }
+
+  /**
+   * Handle a press on the canvas
+   */
+  pointerDown(pos, e) {
+    const bounds = this.canvasManager.getOperationsBounds(this.getSelected());
+    const reach = this.handleSize * this.getPixelSize();
+    const handle = bounds && this.getHandles(bounds).find(h =>
+      Math.abs(h.x - pos.x) <= reach && Math.abs(h.y - pos.y) <= reach
+    );
+    if (handle) {
+      this.startTransform(handle.mode, pos, bounds, handle);
+      return;
+    }
+
+    const target = this.canvasManager.findOperationAt(pos);
+    if (target && e.shiftKey) {
+      if (this.ids.has(target.id)) {
+        this.ids.delete(target.id);
+      } else {
+        this.ids.add(target.id);
+      }
+      this.canvasManager.schedulePreviewRender();
+      return;
+    }
+    if (target) {
+      if (!this.ids.has(target.id)) {
+        this.ids = new Set([target.id]);
+      }
+      this.startTransform('move', pos);
+      return;
+    }
+    if (bounds && !e.shiftKey && this.canvasManager.isPointInPolygon(pos, this.getBoxCorners(bounds))) {
+      this.startTransform('move', pos);
+      return;
+    }
+
+    if (!e.shiftKey) {
+      this.ids.clear();
+    }
+    this.drag = { mode: e.altKey ? 'lasso' : 'marquee', start: pos, path: [pos] };
+    this.canvasManager.schedulePreviewRender();
+  }
+
+  /**
+   * Start moving, scaling or rotating the selection
+   */
+  startTransform(mode, pos, bounds = null, handle = null) {
+    this.drag = { mode, start: pos, bounds, handle };
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    // Hide the selection on the canvas, it's drawn on the preview layer now
+    this.canvasManager.redrawCanvas();
+  }
+
+  /**
+   * Handle the pointer moving during a press
+   */
+  pointerMove(pos, e) {
+    if (!this.drag) return;
+    const { mode, start, bounds, handle } = this.drag;
+
+    switch (mode) {
+      case 'marquee':
+        this.drag.path = [start, pos];
+        break;
+      case 'lasso':
+        if (this.canvasManager.isSignificantMove(this.drag.path[this.drag.path.length - 1], pos)) {
+          this.drag.path.push(pos);
+        }
+        break;
+      case 'move':
+        this.matrix = [1, 0, 0, 1, pos.x - start.x, pos.y - start.y];
+        break;
+      case 'scale': {
+        // Uniform scale about the opposite corner, following the pointer
+        // along the diagonal
+        const { anchor } = handle;
+        const vx = handle.x - anchor.x;
+        const vy = handle.y - anchor.y;
+        const projected = ((pos.x - anchor.x) * vx + (pos.y - anchor.y) * vy) / (vx * vx + vy * vy || 1);
+        const f = Math.max(this.minScale, projected);
+        this.matrix = [f, 0, 0, f, anchor.x * (1 - f), anchor.y * (1 - f)];
+        break;
+      }
+      case 'rotate': {
+        const cx = bounds.x + bounds.width / 2;
+        const cy = bounds.y + bounds.height / 2;
+        let angle = Math.atan2(pos.y - cy, pos.x - cx) - Math.atan2(start.y - cy, start.x - cx);
+        if (e.shiftKey) {
+          const step = Math.PI / 12;
+          angle = Math.round(angle / step) * step;
+        }
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.matrix = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+        break;
+      }
+    }
+    this.canvasManager.schedulePreviewRender();
+  }
+
+  /**
+   * Finish the press: select what the box or lasso encloses, or send the
+   * transform
+   */
+  pointerUp() {
+    if (!this.drag) return;
+    const { mode, start, path } = this.drag;
+    this.drag = null;
+
+    if (mode === 'marquee' || mode === 'lasso') {
+      const end = path[path.length - 1];
+      const polygon = mode === 'marquee'
+        ? this.getBoxCorners({
+          x: Math.min(start.x, end.x),
+          y: Math.min(start.y, end.y),
+          width: Math.abs(end.x - start.x),
+          height: Math.abs(end.y - start.y)
+        })
+        : path;
+      if (polygon.length >= 3) {
+        this.canvasManager.findOperationsInPolygon(polygon).forEach(op => this.ids.add(op.id));
+      }
+      this.canvasManager.schedulePreviewRender();
+      return;
+    }
+
+    // A click without moving changes nothing
+    const [a, b, c, d, e, f] = this.matrix;
+    const moved = Math.abs(a - 1) + Math.abs(b) + Math.abs(c) + Math.abs(d - 1) > 1e-3 ||
+      Math.abs(e) + Math.abs(f) > 0.5;
+    if (!moved || this.ids.size === 0) {
+      this.cancel();
+      return;
+    }
+    if (this.canvasManager.onTransform) {
+      this.canvasManager.onTransform(this.getIds(), { matrix: this.matrix });
+    }
+    // The pending transform draws them there from now on
+    this.matrix = null;
+    this.canvasManager.redrawCanvas();
+  }
+
+  /**
+   * Drop the transform being dragged, keeping the selection
+   */
+  cancel() {
+    const hadTransform = this.matrix !== null;
+    this.drag = null;
+    this.matrix = null;
+    if (hadTransform) {
+      this.canvasManager.redrawCanvas();
+    } else {
+      this.canvasManager.schedulePreviewRender();
+    }
+  }
+
+  /**
+   * Select nothing
+   */
+  clear() {
+    if (this.ids.size === 0 && !this.drag && !this.matrix) return;
+    this.ids.clear();
+    this.cancel();
+  }
+
+  /**
+   * Forget selected objects that are no longer on the canvas or can't be
+   * picked any more, e.g. because their layer was locked
+   */
+  prune() {
+    if (this.ids.size === 0) return;
+    const selectable = new Set(this.canvasManager.getVisibleOperations()
+      .filter(op => this.canvasManager.isSelectable(op))
+      .map(op => op.id));
+    for (const id of this.ids) {
+      if (!selectable.has(id)) this.ids.delete(id);
+    }
+  }
+
+  /**
+   * Get the corners of a box as a polygon
+   */
+  getBoxCorners({ x, y, width, height }) {
+    return [
+      { x, y },
+      { x: x + width, y },
+      { x: x + width, y: y + height },
+      { x, y: y + height }
+    ];
+  }
+
+  /**
+   * Draw the selection onto the preview layer: the objects being
+   * transformed, the selection box with its handles, and the rectangle or
+   * lasso being dragged
+   */
+  render(ctx) {
+    const manager = this.canvasManager;
+    const selected = this.getSelected();
+
+    if (this.matrix) {
+      for (const op of selected) {
+        manager.renderOperation({
+          ...op,
+          matrix: op.matrix ? manager.multiplyMatrix(this.matrix, op.matrix) : this.matrix
+        }, ctx);
+      }
+    }
+
+    const pixel = this.getPixelSize();
+    const dash = [4 * pixel, 3 * pixel];
+    ctx.save();
+    ctx.strokeStyle = this.color;
+    ctx.fillStyle = '#ffffff';
+    ctx.lineWidth = pixel;
+
+    const bounds = manager.getOperationsBounds(selected);
+    if (bounds) {
+      const matrix = this.matrix || [1, 0, 0, 1, 0, 0];
+      const corners = this.getBoxCorners(bounds).map(point => manager.applyMatrix(matrix, point));
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      corners.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+      ctx.closePath();
+      ctx.stroke();
+
+      // Handles are only offered between transforms
+      if (!this.matrix) {
+        ctx.setLineDash([]);
+        const size = this.handleSize * pixel;
+        const half = size / 2;
+        for (const handle of this.getHandles(bounds)) {
+          if (handle.mode === 'rotate') {
+            ctx.beginPath();
+            ctx.moveTo(handle.x, bounds.y);
+            ctx.lineTo(handle.x, handle.y);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, half, 0, 2 * Math.PI);
+          } else {
+            ctx.beginPath();
+            ctx.rect(handle.x - half, handle.y - half, size, size);
+          }
+          ctx.fill();
+          ctx.stroke();
+        }
+      }
+    }
+
+    if (this.drag && (this.drag.mode === 'marquee' || this.drag.mode === 'lasso')) {
+      const { path } = this.drag;
+      ctx.setLineDash(dash);
+      ctx.fillStyle = 'rgba(74, 144, 226, 0.1)';
+      ctx.beginPath();
+      if (this.drag.mode === 'marquee') {
+        const end = path[path.length - 1];
+        ctx.rect(path[0].x, path[0].y, end.x - path[0].x, end.y - path[0].y);
+      } else {
+        path.forEach((point, i) => i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y));
+        ctx.closePath();
+      }
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * TextEditor - Overlay for typing text onto the canvas
+ * A textarea is placed over the canvas where the text will be drawn and
+ * styled like CanvasManager.renderText, so the committed text lands where
+ * it was typed. Enter commits (Shift+Enter starts a new line), Escape
+ * cancels, and clicking elsewhere commits.
+ */
+class TextEditor {
+  /**
+   * @param {HTMLElement} container - Element the canvas fills, positioned
+   * @param {CanvasManager} canvasManager - Provides the text layout
+   */
+  constructor(container, canvasManager) {
+    this.canvasManager = canvasManager;
+    this.maxLength = 2000;
+
+    this.textarea = document.createElement('textarea');
+    this.textarea.className = 'text-editor hidden';
+    this.textarea.maxLength = this.maxLength;
+    this.textarea.spellcheck = false;
+    container.appendChild(this.textarea);
+
+    // Text being edited: { x, y, fontSize, color, matrix }
+    this.current = null;
+    this.onCommit = null;
+    this.onClose = null;
+
+    this.textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.close(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close(false);
+      }
+    });
+    this.textarea.addEventListener('input', () => this.layout());
+    this.textarea.addEventListener('blur', () => this.close(true));
+  }
+
+  /**
+   * Open the editor, committing any text still open
+   * @param {Object} text - { x, y, text, fontSize, color, matrix } to start
+   *   from; text that was moved, scaled or rotated is edited in place
+   * @param {Function} onCommit - Called with { text, fontSize, color } unless cancelled
+   * @param {Function} onClose - Called when the editor closes either way
+   */
+  open({ x, y, text = '', fontSize, color, matrix = null }, onCommit, onClose = null) {
+    this.close(true);
+
+    this.current = { x, y, fontSize, color, matrix };
+    this.onCommit = onCommit;
+    this.onClose = onClose;
+
+    this.textarea.value = text;
+    this.textarea.classList.remove('hidden');
+    this.layout();
+    this.textarea.focus();
+    this.textarea.setSelectionRange(text.length, text.length);
+  }
+
+  /**
+   * Check whether text is being edited
+   */
+  isOpen() {
+    return this.current !== null;
+  }
+
+  /**
+   * Change the font size or color of the open text
+   * @param {Object} style - { fontSize } and/or { color }
+   */
+  setStyle(style) {
+    if (!this.current) return;
+    Object.assign(this.current, style);
+    this.layout();
+  }
+
+  /**
+   * Position and size the textarea to fit its text
+   */
+  layout() {
+    if (!this.current) return;
+    const { x, y, fontSize, color } = this.current;
+    // Text is edited where it's shown: through its own transform and the view
+    const view = this.canvasManager.getViewMatrix();
+    const matrix = this.current.matrix ? this.canvasManager.multiplyMatrix(view, this.current.matrix) : view;
+    const lineHeight = this.canvasManager.textLineHeight;
+    // Room for the caret at the end of the longest line
+    const size = this.canvasManager.measureText(this.textarea.value || ' ', fontSize);
+
+    Object.assign(this.textarea.style, {
+      left: `${x}px`,
+      top: `${y}px`,
+      width: `${Math.ceil(size.width) + fontSize}px`,
+      height: `${Math.ceil(size.height)}px`,
+      color,
+      fontSize: `${fontSize}px`,
+      fontFamily: this.canvasManager.textFontFamily,
+      lineHeight: String(lineHeight),
+      // The matrix maps canvas positions, CSS transforms the box from its
+      // own top left corner at (x, y)
+      transform: `matrix(${[
+        ...matrix.slice(0, 4),
+        matrix[0] * x + matrix[2] * y + matrix[4] - x,
+        matrix[1] * x + matrix[3] * y + matrix[5] - y
+      ].join(', ')})`,
+      transformOrigin: '0 0'
+    });
+  }
+
+  /**
+   * Close the editor
+   * @param {boolean} commit - Hand the text to onCommit (skipped if empty)
+   */
+  close(commit) {
+    if (!this.current) return;
+
+    const { fontSize, color } = this.current;
+    const text = this.textarea.value.replace(/\s+$/, '');
+    const { onCommit, onClose } = this;
+
+    // Reset first: hiding the focused textarea fires blur again
+    this.current = null;
+    this.onCommit = null;
+    this.onClose = null;
+    this.textarea.classList.add('hidden');
+    this.textarea.blur();
+
+    if (onClose) onClose();
+    if (commit && text.trim() && onCommit) {
+      onCommit({ text, fontSize, color });
+    }
+  }
+}
@@ -7,12 +7,63 @@ class WebSocketManager {
     this.socket = null;
     this.connected = false;
     this.roomId = 'default';
+    this.userName = null;
+    this.password = null;
+    this.hasJoined = false;
+    // Last drawing state version applied, sent when resuming after a reconnect
+    this.version = 0;
     this.currentUser = null;
     this.currentUserId = null;
+    this.ownerId = null;
+    // Actions the current user's role allows ('draw', 'undo', 'clear', ...)
+    this.permissions = [];
+    this.userKey = this.loadUserKey();
     this.users = [];
+    // Stroke being drawn locally, streamed to the room in point batches
+    this.liveStroke = null;
+    this.strokeCounter = 0;
+    this.pointBatchDelay = 50;
+    this.pointBatchTimer = null;
+    // Operations, undos and redos the server hasn't confirmed yet, in the
+    // order they were made, each with a client ID. They are sent while we are in the room,
+    // again after every reconnect, and leave the queue when the server's
+    // copy, a duplicate notice or a rejection comes back. Sending is paced
+    // below the server's rate limits so replaying a backlog isn't refused;
+    // the room's limits are shared with everyone in it though, so an
+    // operation refused for the moment waits and is sent again.
+    this.outbox = []; // { event, data, sent, sentAt, retryAt, failures }
+    this.inRoom = false;
+    this.outboxBurst = 10;
+    this.outboxRate = 4; // operations per second after the burst
+    this.outboxTokens = this.outboxBurst;
+    this.outboxRefilledAt = 0;
+    this.outboxTimer = null;
+    // Rejections that aren't about the operation itself, retried after the
+    // server's retryAfterMs or, without one, a doubling delay up to the max
+    this.retryCodes = ['RATE_LIMITED', 'ROOM_RATE_LIMITED', 'MUTED', 'UNAVAILABLE'];
+    this.retryDelay = 1000;
+    this.maxRetryDelay = 30000;
+    // An operation sent without any answer this long is sent again: the
+    // server doesn't report every rate limit rejection, and a copy it
+    // already committed is only acknowledged
+    this.outboxAckTimeout = 10000;
+    // Operation type of each queued event, draw-shape payloads have their own
+    this.pendingTypes = {
+      'draw-stroke': 'stroke',
+      'draw-text': 'text',
+      'draw-image': 'image',
+      'update-operation': 'update',
+      'transform-operation': 'transform',
+      'delete-operation': 'delete',
+      undo: 'undo',
+      redo: 'redo'
+    };
+    // Reconnecting never stops, so queued changes are sent whenever the
+    // network comes back; only a first connection fails after a few tries
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 10000;
     
     // Latency tracking
     this.latency = 0;
@@ -23,7 +74,19 @@ class WebSocketManager {
       onConnect: null,
       onDisconnect: null,
       onInitCanvas: null,
+      onResync: null,
       onDrawStroke: null,
+      onDrawShape: null,
+      onDrawText: null,
+      onDrawImage: null,
+      onUpdateOperation: null,
+      onTransformOperation: null,
+      onDeleteOperation: null,
+      onLayerChange: null,
+      onStrokeBegin: null,
+      onStrokePointBatch: null,
+      onStrokeEnd: null,
+      onStrokeAbort: null,
       onUndo: null,
       onRedo: null,
       onClearCanvas: null,
@@ -31,7 +94,11 @@ class WebSocketManager {
       onUserLeft: null,
       onCursorMove: null,
       onUserToolChange: null,
-      onRoomStats: null
+      onRoomStats: null,
+      onRoleChanged: null,
+      onUsersUpdated: null,
+      onRequestRejected: null,
+      onPendingChange: null
     };
   }
 
@@ -46,12 +113,14 @@ class WebSocketManager {
           transports: ['websocket', 'polling'],
           reconnection: true,
           reconnectionDelay: this.reconnectDelay,
-          reconnectionAttempts: this.maxReconnectAttempts
+          reconnectionDelayMax: this.maxReconnectDelay,
+          reconnectionAttempts: Infinity
         });
 
-        // Connection successful
+        // Connection successful (also fires again after every reconnect)
         this.socket.on('connect', () => {
-          console.log('✓ Connected to server');
+          const isReconnect = this.hasJoined;
+          console.log(isReconnect ? '✓ Reconnected successfully' : '✓ Connected to server');
           this.connected = true;
           this.currentUserId = this.socket.id;
           this.reconnectAttempts = 0;
@@ -60,8 +129,16 @@ class WebSocketManager {
             this.eventHandlers.onConnect();
           }
           
-          // Start latency monitoring
-          this.startLatencyMonitoring();
+          if (isReconnect) {
+            // Rejoin the room, asking only for what we missed
+            this.joinRoom(this.roomId, this.userName, {
+              password: this.password,
+              resume: { version: this.version }
+            });
+          } else {
+            // Start latency monitoring
+            this.startLatencyMonitoring();
+          }
           
           resolve();
         });
@@ -81,25 +158,28 @@ class WebSocketManager {
           console.log('Disconnected:', reason);
           this.connected = false;
           
+          // Whatever wasn't confirmed is sent again once we're back
+          this.inRoom = false;
+          clearTimeout(this.outboxTimer);
+          this.outboxTimer = null;
+          this.outbox.forEach(entry => { entry.sent = false; });
+          
           if (this.eventHandlers.onDisconnect) {
             this.eventHandlers.onDisconnect(reason);
           }
         });
 
-        // Reconnection attempt
-        this.socket.on('reconnect_attempt', (attemptNumber) => {
+        // Reconnection attempt (reported by the underlying manager)
+        this.socket.io.on('reconnect_attempt', (attemptNumber) => {
           console.log(`Reconnection attempt ${attemptNumber}...`);
           this.reconnectAttempts = attemptNumber;
         });
 
-        // Successful reconnection
-        this.socket.on('reconnect', (attemptNumber) => {
-          console.log('✓ Reconnected successfully');
-          this.reconnectAttempts = 0;
-          
-          // Rejoin the room after reconnection
-          if (this.roomId && this.currentUser) {
-            this.joinRoom(this.roomId, this.currentUser.name);
+        // The browser is back online: don't wait for the next attempt
+        window.addEventListener('online', () => {
+          if (this.socket && !this.socket.connected) {
+            this.socket.disconnect();
+            this.socket.connect();
           }
         });
 
@@ -121,17 +201,134 @@ class WebSocketManager {
       console.log('Canvas initialized:', data);
       this.currentUser = data.user;
       this.users = data.users;
+      this.ownerId = data.ownerId;
+      this.permissions = data.permissions;
+      this.version = data.state.version || 0;
+      this.hasJoined = true;
+      this.inRoom = true;
+      const { snapshot, operations } = data.state;
+      this.confirmQueued((snapshot ? snapshot.operations : []).concat(operations));
       
       if (this.eventHandlers.onInitCanvas) {
         this.eventHandlers.onInitCanvas(data);
       }
+      this.pumpOutbox();
     });
 
-    // Drawing stroke from another user
+    // Changes missed while disconnected
+    this.socket.on('resync', (data) => {
+      console.log(`Resynced ${data.entries.length} missed changes`);
+      this.currentUser = data.user;
+      this.users = data.users;
+      this.ownerId = data.ownerId;
+      this.permissions = data.permissions;
+      this.version = data.version;
+      this.inRoom = true;
+      this.confirmQueued(data.entries);
+      
+      if (this.eventHandlers.onResync) {
+        this.eventHandlers.onResync(data);
+      }
+      this.pumpOutbox();
+    });
+
+    // Drawing stroke from any user, including this one. Our own operations
+    // leave the queue after the handler saw them, so it can tell which
+    // pending change they replace
     this.socket.on('draw-stroke', (operation) => {
+      this.trackVersion(operation);
       if (this.eventHandlers.onDrawStroke) {
         this.eventHandlers.onDrawStroke(operation);
       }
+      this.confirmQueued([operation]);
+    });
+
+    // Shape from any user, including this one
+    this.socket.on('draw-shape', (operation) => {
+      this.trackVersion(operation);
+      if (this.eventHandlers.onDrawShape) {
+        this.eventHandlers.onDrawShape(operation);
+      }
+      this.confirmQueued([operation]);
+    });
+
+    // Text from any user, including this one
+    this.socket.on('draw-text', (operation) => {
+      this.trackVersion(operation);
+      if (this.eventHandlers.onDrawText) {
+        this.eventHandlers.onDrawText(operation);
+      }
+      this.confirmQueued([operation]);
+    });
+
+    // An image placed by any user, including this one
+    this.socket.on('draw-image', (operation) => {
+      this.trackVersion(operation);
+      if (this.eventHandlers.onDrawImage) {
+        this.eventHandlers.onDrawImage(operation);
+      }
+      this.confirmQueued([operation]);
+    });
+
+    // An edit of an existing object
+    this.socket.on('update-operation', (operation) => {
+      this.trackVersion(operation);
+      if (this.eventHandlers.onUpdateOperation) {
+        this.eventHandlers.onUpdateOperation(operation);
+      }
+      this.confirmQueued([operation]);
+    });
+
+    this.socket.on('transform-operation', (operation) => {
+      this.trackVersion(operation);
+      if (this.eventHandlers.onTransformOperation) {
+        this.eventHandlers.onTransformOperation(operation);
+      }
+      this.confirmQueued([operation]);
+    });
+
+    this.socket.on('delete-operation', (operation) => {
+      this.trackVersion(operation);
+      if (this.eventHandlers.onDeleteOperation) {
+        this.eventHandlers.onDeleteOperation(operation);
+      }
+      this.confirmQueued([operation]);
+    });
+
+    // A layer was added, renamed, moved, hidden or locked
+    this.socket.on('layer-change', (change) => {
+      this.trackVersion(change);
+      if (this.eventHandlers.onLayerChange) {
+        this.eventHandlers.onLayerChange(change);
+      }
+    });
+
+    // Another user started a stroke
+    this.socket.on('stroke-begin', (data) => {
+      if (this.eventHandlers.onStrokeBegin) {
+        this.eventHandlers.onStrokeBegin(data);
+      }
+    });
+
+    // More points of another user's stroke in progress
+    this.socket.on('stroke-point-batch', (data) => {
+      if (this.eventHandlers.onStrokePointBatch) {
+        this.eventHandlers.onStrokePointBatch(data);
+      }
+    });
+
+    // Another user's stroke was committed (its draw-stroke arrives first)
+    this.socket.on('stroke-end', (data) => {
+      if (this.eventHandlers.onStrokeEnd) {
+        this.eventHandlers.onStrokeEnd(data);
+      }
+    });
+
+    // Another user's stroke was abandoned (e.g. they disconnected)
+    this.socket.on('stroke-abort', (data) => {
+      if (this.eventHandlers.onStrokeAbort) {
+        this.eventHandlers.onStrokeAbort(data);
+      }
     });
 
     // Cursor movement from another user
@@ -143,20 +340,25 @@ class WebSocketManager {
 
     // Undo operation
     this.socket.on('undo', (undoData) => {
+      this.trackVersion(undoData);
       if (this.eventHandlers.onUndo) {
         this.eventHandlers.onUndo(undoData);
       }
+      this.confirmQueued([undoData]);
     });
 
     // Redo operation
     this.socket.on('redo', (redoData) => {
+      this.trackVersion(redoData);
       if (this.eventHandlers.onRedo) {
         this.eventHandlers.onRedo(redoData);
       }
+      this.confirmQueued([redoData]);
     });
 
     // Clear canvas
     this.socket.on('clear-canvas', (clearData) => {
+      this.trackVersion(clearData);
       if (this.eventHandlers.onClearCanvas) {
         this.eventHandlers.onClearCanvas(clearData);
       }
@@ -189,6 +391,25 @@ class WebSocketManager {
       }
     });
 
+    // Our role was changed by the room owner
+    this.socket.on('role-changed', (data) => {
+      this.currentUser.role = data.role;
+      this.permissions = data.permissions;
+      
+      if (this.eventHandlers.onRoleChanged) {
+        this.eventHandlers.onRoleChanged(data);
+      }
+    });
+
+    // Users list changed without anyone joining or leaving
+    this.socket.on('users-updated', (data) => {
+      this.users = data.users;
+      
+      if (this.eventHandlers.onUsersUpdated) {
+        this.eventHandlers.onUsersUpdated(data);
+      }
+    });
+
     // Room statistics
     this.socket.on('room-stats', (stats) => {
       if (this.eventHandlers.onRoomStats) {
@@ -196,34 +417,431 @@ class WebSocketManager {
       }
     });
 
+    // A queued operation the room already had, from before a reconnect
+    this.socket.on('operation-duplicate', (data) => {
+      this.removeQueued(entry => entry.data.clientId === data.clientId);
+    });
+
+    // Server refused one of our requests (invalid payload, etc.)
+    this.socket.on('request-rejected', (data) => {
+      console.warn(`Request '${data.event}' rejected (${data.code}): ${data.message}`);
+      
+      if (data.clientId) {
+        this.settleRejected(data);
+      }
+      
+      if (this.eventHandlers.onRequestRejected) {
+        this.eventHandlers.onRequestRejected(data);
+      }
+    });
+
     // Pong response for latency measurement
     this.socket.on('pong', () => {
       this.latency = Date.now() - this.lastPingTime;
     });
   }
 
+  /**
+   * Remember the version of the latest change applied
+   */
+  trackVersion(entry) {
+    if (entry.version > this.version) {
+      this.version = entry.version;
+    }
+  }
+
+  /**
+   * Load the secret key that identifies this browser across reconnects,
+   * generating one on first use
+   */
+  loadUserKey() {
+    const storageKey = 'collaborative-canvas-user-key';
+    
+    try {
+      let userKey = localStorage.getItem(storageKey);
+      if (!userKey) {
+        userKey = this.generateKey();
+        localStorage.setItem(storageKey, userKey);
+      }
+      return userKey;
+    } catch (error) {
+      // Storage may be unavailable (private mode), fall back to a per-tab key
+      return this.generateKey();
+    }
+  }
+
+  /**
+   * Generate a random key
+   */
+  generateKey() {
+    if (window.crypto && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+
   /**
    * Join a drawing room
+   * @param {Object} options
+   * @param {string} options.password - Room password, if it has one
+   * @param {Object} options.resume - Last applied state ({ version }) when rejoining
    */
-  joinRoom(roomId, userName) {
+  joinRoom(roomId, userName, { password = null, resume = null } = {}) {
     this.roomId = roomId;
+    this.userName = userName;
+    this.password = password;
     
     this.socket.emit('join-room', {
       roomId: roomId,
-      userName: userName
+      userName: userName,
+      userKey: this.userKey,
+      password: password,
+      resume: resume
+    });
+  }
+
+  /**
+   * Create a new room owned by this user and join it
+   * @param {Object} options
+   * @param {string} options.password - Optional password other users need to join
+   * @param {string} options.defaultRole - Role for users who join later ('editor' or 'viewer')
+   */
+  createRoom(roomId, userName, { password = null, defaultRole = 'editor' } = {}) {
+    this.roomId = roomId;
+    this.userName = userName;
+    this.password = password;
+    
+    this.socket.emit('create-room', {
+      roomId: roomId,
+      userName: userName,
+      userKey: this.userKey,
+      password: password,
+      defaultRole: defaultRole
     });
   }
 
   /**
-   * Send drawing stroke to server
+   * Change another user's role (room owner only)
+   */
+  setUserRole(userId, role) {
+    if (!this.connected) return;
+    this.socket.emit('set-user-role', { userId, role });
+  }
+
+  /**
+   * Send a complete stroke to the server, queued while offline
    */
   sendStroke(strokeData) {
+    this.queueOperation('draw-stroke', strokeData);
+  }
+
+  /**
+   * Send a finished shape to the server, queued while offline
+   * @param {Object} shape - Shape operation from CanvasManager.getShapeGeometry
+   */
+  sendShape(shape) {
+    this.queueOperation('draw-shape', shape);
+  }
+
+  /**
+   * Send new text to the server
+   * @param {Object} text - { x, y, text, fontSize, color }
+   */
+  sendText(text) {
+    this.queueOperation('draw-text', text);
+  }
+
+  /**
+   * Place an uploaded image on the canvas
+   * @param {Object} image - { imageId, x, y, width, height }
+   */
+  sendImage(image) {
+    this.queueOperation('draw-image', image);
+  }
+
+  /**
+   * Change fields of an existing object, e.g. the content of a text
+   * @param {number} targetId - ID of the operation to change
+   * @param {Object} changes - New field values
+   */
+  updateOperation(targetId, changes) {
+    this.queueOperation('update-operation', { targetId, changes });
+  }
+
+  /**
+   * Move, scale, rotate and/or recolor existing objects
+   * @param {Array} targetIds - IDs of the operations to transform
+   * @param {Object} changes - { matrix, color }, either or both
+   */
+  transformOperations(targetIds, changes) {
+    this.queueOperation('transform-operation', { targetIds, ...changes });
+  }
+
+  /**
+   * Delete existing objects
+   * @param {Array} targetIds - IDs of the operations to delete
+   */
+  deleteOperations(targetIds) {
+    this.queueOperation('delete-operation', { targetIds });
+  }
+
+  /**
+   * Queue an operation for the server, sending it as soon as we can
+   * @param {string} event - Socket event, e.g. 'draw-shape'
+   * @param {Object} data - Payload
+   * @param {Object} options
+   * @param {string} options.clientId - The operation's client ID, new by default
+   * @param {boolean} options.sent - Already on its way another way (a streamed stroke)
+   */
+  queueOperation(event, data, { clientId = this.generateKey(), sent = false } = {}) {
+    this.outbox.push({ event, data: { ...data, clientId }, sent, sentAt: performance.now() });
+    this.notifyPending();
+    this.pumpOutbox();
+  }
+
+  /**
+   * Send queued operations in order, as fast as the pacing allows. One
+   * waiting to be retried holds back those after it, and those left
+   * unanswered are sent again.
+   */
+  pumpOutbox() {
+    clearTimeout(this.outboxTimer);
+    this.outboxTimer = null;
+    if (!this.connected || !this.inRoom) return;
+    
+    const now = performance.now();
+    this.outboxTokens = Math.min(
+      this.outboxBurst,
+      this.outboxTokens + (now - this.outboxRefilledAt) / 1000 * this.outboxRate
+    );
+    this.outboxRefilledAt = now;
+    
+    for (const entry of this.outbox) {
+      if (entry.sent && now - entry.sentAt >= this.outboxAckTimeout) {
+        entry.sent = false;
+      }
+    }
+    
+    let wakeAt = Infinity;
+    for (const entry of this.outbox) {
+      if (entry.sent) continue;
+      if (entry.retryAt > now) {
+        wakeAt = entry.retryAt;
+        break;
+      }
+      if (this.outboxTokens < 1) {
+        wakeAt = now + (1 - this.outboxTokens) / this.outboxRate * 1000;
+        break;
+      }
+      this.outboxTokens -= 1;
+      entry.sent = true;
+      entry.sentAt = now;
+      this.socket.emit(entry.event, entry.data);
+    }
+    
+    for (const entry of this.outbox) {
+      if (entry.sent) wakeAt = Math.min(wakeAt, entry.sentAt + this.outboxAckTimeout);
+    }
+    if (wakeAt !== Infinity) {
+      this.outboxTimer = setTimeout(() => this.pumpOutbox(), wakeAt - now);
+    }
+  }
+
+  /**
+   * Drop the queued operations the server has committed
+   * @param {Array} operations - Operations or log entries from the server
+   */
+  confirmQueued(operations) {
+    if (this.outbox.length === 0) return;
+    const clientIds = new Set(operations.map(op => op.clientId).filter(Boolean));
+    this.removeQueued(entry => clientIds.has(entry.data.clientId));
+  }
+
+  /**
+   * Handle the rejection of a queued operation: a streamed stroke the
+   * server lost is sent again whole, one refused for the moment (rate
+   * limits, the room unavailable) is sent again later, anything else is
+   * dropped
+   */
+  settleRejected({ event, code, clientId, retryAfterMs }) {
+    const index = this.outbox.findIndex(item => item.data.clientId === clientId);
+    if (index === -1) return;
+    const entry = this.outbox[index];
+    
+    if (event === 'stroke-end' && code === 'UNKNOWN_STROKE') {
+      entry.sent = false;
+      this.pumpOutbox();
+      return;
+    }
+    if (this.retryCodes.includes(code)) {
+      entry.failures = (entry.failures || 0) + 1;
+      const delay = retryAfterMs || Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (entry.failures - 1));
+      entry.retryAt = performance.now() + delay;
+      // Those sent after it ran into the same limit, the server just
+      // doesn't report every rejection. Any it did commit are only
+      // acknowledged when sent again.
+      this.outbox.slice(index).forEach(item => { item.sent = false; });
+      this.pumpOutbox();
+      return;
+    }
+    this.removeQueued(item => item === entry);
+  }
+
+  /**
+   * Remove queued operations
+   * @param {Function} predicate - Called with each entry, true to remove it
+   */
+  removeQueued(predicate) {
+    const count = this.outbox.length;
+    this.outbox = this.outbox.filter(entry => !predicate(entry));
+    if (this.outbox.length !== count) {
+      this.notifyPending();
+    }
+  }
+
+  /**
+   * Get the number of operations the server hasn't confirmed yet
+   */
+  getPendingCount() {
+    return this.outbox.length;
+  }
+
+  /**
+   * Get the queued changes as the operations, undos and redos the server
+   * will make of them, for drawing them before it does
+   * @returns {Array} Operations marked `pending`, with their client ID as
+   *   their ID, in the order they were made
+   */
+  getPendingOperations() {
+    const userId = this.currentUser ? this.currentUser.userId : null;
+    return this.outbox.map(({ event, data }) => ({
+      ...data,
+      type: this.pendingTypes[event] || data.type,
+      id: data.clientId,
+      userId,
+      pending: true
+    }));
+  }
+
+  /**
+   * Report the number of pending operations
+   */
+  notifyPending() {
+    if (this.eventHandlers.onPendingChange) {
+      this.eventHandlers.onPendingChange(this.outbox.length);
+    }
+  }
+
+  /**
+   * Change the room's layers
+   * @param {Object} change - { action, layerId, ... }, see server/layers.js;
+   *   the server picks the ID of an added layer
+   */
+  changeLayer(change) {
     if (!this.connected) {
       console.warn('Not connected to server');
       return;
     }
     
-    this.socket.emit('draw-stroke', strokeData);
+    this.socket.emit('layer-change', change);
+  }
+
+  /**
+   * Start streaming a stroke to the room
+   * @param {Object} stroke - { points, color, size, tool, layerId } with the first points
+   */
+  beginStroke(stroke) {
+    const tempId = (++this.strokeCounter).toString(36);
+    
+    this.liveStroke = {
+      tempId,
+      clientId: this.generateKey(),
+      stroke,
+      points: [...stroke.points],
+      pendingPoints: [],
+      // The server forgets live strokes when the connection drops
+      socketId: this.connected ? this.socket.id : null
+    };
+    
+    if (this.liveStroke.socketId) {
+      this.socket.emit('stroke-begin', { tempId, clientId: this.liveStroke.clientId, ...stroke });
+    }
+  }
+
+  /**
+   * Queue points of the current stroke, sent in batches
+   */
+  addStrokePoints(points) {
+    if (!this.liveStroke) return;
+    
+    this.liveStroke.points.push(...points);
+    this.liveStroke.pendingPoints.push(...points);
+    
+    if (!this.pointBatchTimer) {
+      this.pointBatchTimer = setTimeout(() => this.flushStrokePoints(), this.pointBatchDelay);
+    }
+  }
+
+  /**
+   * Send the queued points of the current stroke
+   */
+  flushStrokePoints() {
+    clearTimeout(this.pointBatchTimer);
+    this.pointBatchTimer = null;
+    
+    const liveStroke = this.liveStroke;
+    if (!liveStroke || liveStroke.pendingPoints.length === 0) return;
+    
+    if (this.isLiveStrokeStreaming()) {
+      this.socket.emit('stroke-point-batch', {
+        tempId: liveStroke.tempId,
+        points: liveStroke.pendingPoints
+      });
+    }
+    liveStroke.pendingPoints = [];
+  }
+
+  /**
+   * Finish the current stroke so the server commits it
+   * The whole stroke is queued under the streamed stroke's client ID, so it
+   * is sent again if the commit doesn't come back.
+   */
+  endStroke() {
+    if (!this.liveStroke) return;
+    
+    this.flushStrokePoints();
+    
+    const { tempId, clientId, stroke, points } = this.liveStroke;
+    let streamed = false;
+    if (this.isLiveStrokeStreaming()) {
+      // Committing it now would put it ahead of operations still queued
+      streamed = !this.outbox.some(entry => !entry.sent);
+      this.socket.emit(streamed ? 'stroke-end' : 'stroke-abort', { tempId, clientId });
+    }
+    this.queueOperation('draw-stroke', { ...stroke, points }, { clientId, sent: streamed });
+    this.liveStroke = null;
+  }
+
+  /**
+   * Drop the current stroke without committing it
+   */
+  abortStroke() {
+    if (!this.liveStroke) return;
+    
+    clearTimeout(this.pointBatchTimer);
+    this.pointBatchTimer = null;
+    
+    if (this.isLiveStrokeStreaming()) {
+      this.socket.emit('stroke-abort', { tempId: this.liveStroke.tempId });
+    }
+    this.liveStroke = null;
+  }
+
+  /**
+   * Check that the server still has the current stroke
+   */
+  isLiveStrokeStreaming() {
+    return this.connected && this.liveStroke.socketId === this.socket.id;
   }
 
   /**
@@ -238,18 +856,33 @@ class WebSocketManager {
 
   /**
    * Request undo operation
+   * Queued like operations, so it undoes what the server will have by then
    */
   requestUndo() {
-    if (!this.connected) return;
-    this.socket.emit('undo');
+    this.queueOperation('undo', {});
   }
 
   /**
    * Request redo operation
    */
   requestRedo() {
+    this.queueOperation('redo', {});
+  }
+
+  /**
+   * Request room-wide undo (room owner only)
+   */
+  requestRoomUndo() {
+    if (!this.connected) return;
+    this.socket.emit('room-undo');
+  }
+
+  /**
+   * Request room-wide redo (room owner only)
+   */
+  requestRoomRedo() {
     if (!this.connected) return;
-    this.socket.emit('redo');
+    this.socket.emit('room-redo');
   }
 
   /**
@@ -276,6 +909,105 @@ class WebSocketManager {
     this.socket.emit('get-room-stats');
   }
 
+  /**
+   * Import a drawing into the current room (room owner only)
+   * Everyone in the room, including us, then receives a fresh init-canvas.
+   * @param {Object} drawing - A getFullState() document or a room's JSON export
+   * @param {Object} options
+   * @param {string} options.mode - 'replace' the current drawing or 'append' to it
+   * @returns {Promise<Object>} { imported, operationCounter, version }
+   */
+  async importDrawing(drawing, { mode = 'replace' } = {}) {
+    const response = await fetch(
+      this.apiUrl(`/api/rooms/${encodeURIComponent(this.roomId)}/import?mode=${mode}`),
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.apiHeaders() },
+        body: JSON.stringify(drawing)
+      }
+    );
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Import failed (${response.status})`);
+    }
+    return result;
+  }
+
+  /**
+   * Upload an image file to the current room
+   * @param {Blob} file - PNG, JPEG, GIF or WebP image
+   * @returns {Promise<string>} ID for sendImage
+   */
+  async uploadImage(file) {
+    const response = await fetch(
+      this.apiUrl(`/api/rooms/${encodeURIComponent(this.roomId)}/images`),
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', ...this.apiHeaders() },
+        body: file
+      }
+    );
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Upload failed (${response.status})`);
+    }
+    return result.imageId;
+  }
+
+  /**
+   * Fetch an image of the current room
+   * @param {string} imageId - ID from the image operation
+   * @returns {Promise<Blob>} The image file
+   */
+  async fetchImage(imageId) {
+    const response = await fetch(
+      this.apiUrl(`/api/rooms/${encodeURIComponent(this.roomId)}/images/${encodeURIComponent(imageId)}`),
+      { headers: this.apiHeaders() }
+    );
+    
+    if (!response.ok) {
+      throw new Error(`Loading image failed (${response.status})`);
+    }
+    return response.blob();
+  }
+
+  /**
+   * Fetch the current room's complete change log, for history playback
+   * @returns {Promise<Array>} Log entries in order
+   */
+  async fetchHistory() {
+    const response = await fetch(
+      this.apiUrl(`/api/rooms/${encodeURIComponent(this.roomId)}/history`),
+      { headers: this.apiHeaders() }
+    );
+    
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || `Loading history failed (${response.status})`);
+    }
+    return result.entries;
+  }
+
+  /**
+   * Headers identifying us to the server's HTTP endpoints
+   */
+  apiHeaders() {
+    const headers = { 'X-User-Key': this.userKey };
+    if (this.password) {
+      headers['X-Room-Password'] = this.password;
+    }
+    return headers;
+  }
+
+  /**
+   * Get the URL of a server HTTP endpoint
+   */
+  apiUrl(path) {
+    return (SERVER_URL || '').replace(/\/$/, '') + path;
+  }
+
   /**
    * Start latency monitoring
    */
@@ -328,6 +1060,13 @@ class WebSocketManager {
     return this.currentUser;
   }
 
+  /**
+   * Check whether the current user's role allows an action
+   */
+  can(permission) {
+    return this.permissions.includes(permission);
+  }
+
   /**
    * Get all users
    */
@@ -0,0 +1,45 @@
+const { LocalHub, LocalAdapter, ClusterNode } = require('./cluster');
+const { createStorage } = require('./storage');
+const { createCanvasServer } = require('./server');
+const config = require('./config');
+
+/**
+ * Run several server nodes in one process, on consecutive ports starting at
+ * PORT, to try multi-node behavior on one machine. The nodes only talk
+ * through their cluster adapters (which share a LocalHub) and share the
+ * storage backend, like separate processes would.
+ *
+ *   CLUSTER_LOCAL_NODES=3 node cluster-local.js
+ */
+async function main() {
+  const hub = new LocalHub();
+  const storage = createStorage(config.storage);
+  const basePort = Number(config.port);
+  const servers = [];
+
+  for (let i = 0; i < config.cluster.localNodes; i++) {
+    const cluster = new ClusterNode({
+      adapter: new LocalAdapter(hub),
+      nodeId: `node-${i + 1}`,
+      leaseTtlMs: config.cluster.leaseTtlMs,
+      requestTimeoutMs: config.cluster.requestTimeoutMs
+    });
+    const server = createCanvasServer({ cluster, storage });
+    await server.listen(basePort + i);
+    servers.push(server);
+    console.log(`Node ${cluster.nodeId} listening on http://localhost:${basePort + i}`);
+  }
+
+  process.on('SIGTERM', async () => {
+    console.log('SIGTERM received, closing nodes...');
+    for (const server of servers) {
+      await server.close();
+    }
+    process.exit(0);
+  });
+}
+
+main().catch(error => {
+  console.error('Failed to start the local cluster:', error);
+  process.exit(1);
+});
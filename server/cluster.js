@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+
+/**
+ * Cluster coordination
+ *
+ * Several server processes (nodes) can serve the same rooms. Each room has a
+ * single authority: the node holding the room's lease. It loads the room,
+ * assigns operation IDs and versions, persists the log and publishes every
+ * change on the room's channel. Other nodes forward requests to the authority
+ * and relay what it publishes to their own sockets, so every client sees the
+ * same changes in the same order whichever node it is connected to.
+ *
+ * The transport is pluggable. An adapter implements:
+ * - publish(channel, message)
+ * - subscribe(channel, handler)    -> Promise of an unsubscribe function
+ * - acquire(key, holderId, ttlMs)  -> Promise of the holder after the attempt
+ *   (takes the key if it is free or expired, renews it if already held)
+ * - release(key, holderId)
+ * - holder(key)                    -> Promise of the current holder or null
+ *
+ * Messages on a channel must be delivered in the order they were published.
+ * LocalAdapter works inside one process; several server instances sharing a
+ * LocalHub behave like separate processes, which is how multi-node setups can
+ * be tried on one machine. A Redis or NATS adapter only has to implement the
+ * same methods.
+ */
+
+/**
+ * Channel a room's changes and presence events are published on
+ */
+function roomChannel(roomId) {
+  return `room:${roomId}`;
+}
+
+/**
+ * Channel a node receives requests and replies on
+ */
+function nodeChannel(nodeId) {
+  return `node:${nodeId}`;
+}
+
+/**
+ * Lease held by a room's authority
+ */
+function authorityKey(roomId) {
+  return `authority:${roomId}`;
+}
+
+/**
+ * Lease a node renews as long as it is alive
+ */
+function heartbeatKey(nodeId) {
+  return `alive:${nodeId}`;
+}
+
+/**
+ * LocalHub - In-process message broker and lease table
+ */
+class LocalHub {
+  constructor() {
+    this.subscribers = new Map(); // channel -> Set of handlers
+    this.leases = new Map(); // key -> { holderId, expiresAt }
+  }
+}
+
+const defaultHub = new LocalHub();
+
+/**
+ * LocalAdapter - Cluster adapter for nodes running in the same process
+ * Messages are delivered asynchronously and as copies, like they would be
+ * over the network, so code that works with it doesn't rely on sharing
+ * objects between nodes.
+ */
+class LocalAdapter {
+  constructor(hub = defaultHub) {
+    this.hub = hub;
+  }
+
+  publish(channel, message) {
+    const handlers = this.hub.subscribers.get(channel);
+    if (!handlers || handlers.size === 0) return;
+
+    const data = JSON.stringify(message);
+    // setImmediate callbacks run in the order they were scheduled, which
+    // keeps every channel in publish order
+    for (const handler of [...handlers]) {
+      setImmediate(() => handler(JSON.parse(data)));
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.hub.subscribers.has(channel)) {
+      this.hub.subscribers.set(channel, new Set());
+    }
+    this.hub.subscribers.get(channel).add(handler);
+
+    return async () => {
+      const handlers = this.hub.subscribers.get(channel);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.hub.subscribers.delete(channel);
+      }
+    };
+  }
+
+  async acquire(key, holderId, ttlMs) {
+    const lease = this.hub.leases.get(key);
+    if (!lease || lease.expiresAt <= Date.now() || lease.holderId === holderId) {
+      this.hub.leases.set(key, { holderId, expiresAt: Date.now() + ttlMs });
+      return holderId;
+    }
+    return lease.holderId;
+  }
+
+  async release(key, holderId) {
+    const lease = this.hub.leases.get(key);
+    if (lease && lease.holderId === holderId) {
+      this.hub.leases.delete(key);
+    }
+  }
+
+  async holder(key) {
+    const lease = this.hub.leases.get(key);
+    return lease && lease.expiresAt > Date.now() ? lease.holderId : null;
+  }
+}
+
+/**
+ * ClusterNode - This process's membership in the cluster
+ * Keeps the node's heartbeat alive, answers requests from other nodes and
+ * tracks the rooms this node is the authority for.
+ */
+class ClusterNode {
+  /**
+   * @param {Object} options
+   * @param {Object} options.adapter - Cluster adapter (see above)
+   * @param {string} options.nodeId - Unique name of this node, random if omitted
+   * @param {number} options.leaseTtlMs - How long node and room leases last without renewal
+   * @param {number} options.requestTimeoutMs - How long to wait for another node's reply
+   */
+  constructor({ adapter, nodeId = null, leaseTtlMs = 10000, requestTimeoutMs = 5000 }) {
+    this.adapter = adapter;
+    this.nodeId = nodeId || crypto.randomBytes(6).toString('hex');
+    this.leaseTtlMs = leaseTtlMs;
+    this.requestTimeoutMs = requestTimeoutMs;
+
+    this.handlers = new Map(); // request type -> handler
+    this.pending = new Map(); // request ID -> { resolve, reject, timer }
+    this.requestCounter = 0;
+    this.ownedRooms = new Set(); // rooms whose lease this node holds
+    this.unsubscribe = null;
+    this.heartbeatTimer = null;
+
+    // Called on every heartbeat, e.g. to renew room leases
+    this.onHeartbeat = null;
+  }
+
+  /**
+   * Join the cluster: listen for requests and start the heartbeat
+   */
+  async start() {
+    this.unsubscribe = await this.adapter.subscribe(
+      nodeChannel(this.nodeId),
+      (message) => this.handleMessage(message)
+    );
+    await this.heartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => console.error('Cluster heartbeat failed:', error));
+    }, this.leaseTtlMs / 3);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Leave the cluster, handing the rooms over to other nodes
+   */
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+
+    for (const roomId of [...this.ownedRooms]) {
+      await this.releaseRoom(roomId);
+    }
+    await this.adapter.release(heartbeatKey(this.nodeId), this.nodeId);
+    if (this.unsubscribe) {
+      await this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Renew this node's lease, which tells other nodes it is alive
+   */
+  async heartbeat() {
+    await this.adapter.acquire(heartbeatKey(this.nodeId), this.nodeId, this.leaseTtlMs);
+    if (this.onHeartbeat) {
+      await this.onHeartbeat();
+    }
+  }
+
+  /**
+   * Check whether a node is still alive
+   * @param {string} nodeId - The node to check
+   * @returns {Promise<boolean>} True if its heartbeat hasn't expired
+   */
+  async isAlive(nodeId) {
+    return (await this.adapter.holder(heartbeatKey(nodeId))) === nodeId;
+  }
+
+  /**
+   * Find the authority for a room, claiming the room if no node holds it.
+   * Called by the authority itself, this renews its lease.
+   * @param {string} roomId - The room identifier
+   * @returns {Promise<string>} The authority's node ID
+   */
+  async getAuthority(roomId) {
+    const holder = await this.adapter.acquire(authorityKey(roomId), this.nodeId, this.leaseTtlMs);
+    if (holder === this.nodeId) {
+      this.ownedRooms.add(roomId);
+    } else {
+      this.ownedRooms.delete(roomId);
+    }
+    return holder;
+  }
+
+  /**
+   * Give up the authority for a room
+   * @param {string} roomId - The room identifier
+   */
+  async releaseRoom(roomId) {
+    this.ownedRooms.delete(roomId);
+    await this.adapter.release(authorityKey(roomId), this.nodeId);
+  }
+
+  /**
+   * Register the handler for a request type
+   * @param {string} type - Request type
+   * @param {Function} handler - Called with the payload, returns the result (or a Promise of it)
+   */
+  onRequest(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Send a request to a node and wait for its reply
+   * @param {string} nodeId - The node to ask
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data
+   * @returns {Promise<*>} The handler's result
+   */
+  request(nodeId, type, payload) {
+    const id = `${this.nodeId}:${++this.requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`Request ${type} to node ${nodeId} timed out`));
+      }, this.requestTimeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.adapter.publish(nodeChannel(nodeId), {
+        kind: 'request',
+        id,
+        type,
+        payload,
+        replyTo: this.nodeId
+      });
+    });
+  }
+
+  /**
+   * Send a request to the authority of a room
+   * @param {string} roomId - The room identifier
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data, the room ID is added
+   * @returns {Promise<*>} The handler's result
+   */
+  async requestAuthority(roomId, type, payload = {}) {
+    const nodeId = await this.getAuthority(roomId);
+    return this.request(nodeId, type, { ...payload, roomId });
+  }
+
+  /**
+   * Publish a message on a channel
+   */
+  publish(channel, message) {
+    this.adapter.publish(channel, message);
+  }
+
+  /**
+   * Subscribe to a channel
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  subscribe(channel, handler) {
+    return this.adapter.subscribe(channel, handler);
+  }
+
+  /**
+   * Handle a request or reply sent to this node
+   */
+  async handleMessage(message) {
+    if (message.kind === 'reply') {
+      const pending = this.pending.get(message.id);
+      if (!pending) return; // timed out
+
+      this.pending.delete(message.id);
+      clearTimeout(pending.timer);
+      if (message.error) {
+        pending.reject(new Error(message.error));
+      } else {
+        pending.resolve(message.result);
+      }
+      return;
+    }
+
+    let reply;
+    try {
+      const handler = this.handlers.get(message.type);
+      if (!handler) {
+        throw new Error(`Unknown request type: ${message.type}`);
+      }
+      reply = { kind: 'reply', id: message.id, result: await handler(message.payload) };
+    } catch (error) {
+      reply = { kind: 'reply', id: message.id, error: error.message };
+    }
+    this.adapter.publish(nodeChannel(message.replyTo), reply);
+  }
+}
+
+/**
+ * Create the cluster adapter selected in the configuration
+ * @param {Object} options - { adapter } from config.cluster
+ * @returns {Object} Cluster adapter
+ */
+function createClusterAdapter(options) {
+  switch (options.adapter) {
+    case 'local':
+      return new LocalAdapter();
+    default:
+      throw new Error(`Unknown cluster adapter: ${options.adapter}`);
+  }
+}
+
+module.exports = {
+  LocalHub,
+  LocalAdapter,
+  ClusterNode,
+  createClusterAdapter,
+  roomChannel,
+  nodeChannel
+};
@@ -0,0 +1,201 @@
+const path = require('path');
+
+/**
+ * Server configuration
+ * Every value can be overridden with an environment variable
+ */
+
+/**
+ * Read a numeric environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} The parsed value
+ */
+function readNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : fallback;
+}
+
+module.exports = {
+  port: process.env.PORT || 3000,
+
+  cluster: {
+    // Transport between server processes. 'local' connects the nodes of one
+    // process: a single server, or several started by cluster-local.js
+    adapter: process.env.CLUSTER_ADAPTER || 'local',
+    // Unique name of this process in the cluster, random if unset
+    nodeId: process.env.NODE_ID || null,
+    // Room authorities and node heartbeats must renew their leases within
+    // this time, otherwise other nodes take over
+    leaseTtlMs: readNumber('CLUSTER_LEASE_TTL_MS', 10000),
+    // How long a node waits for another node to answer
+    requestTimeoutMs: readNumber('CLUSTER_REQUEST_TIMEOUT_MS', 5000),
+    // Server instances started by cluster-local.js, on consecutive ports
+    localNodes: readNumber('CLUSTER_LOCAL_NODES', 3)
+  },
+
+  storage: {
+    // 'file' keeps rooms across restarts, 'memory' only for the process lifetime
+    driver: process.env.STORAGE_DRIVER || 'file',
+    dir: process.env.STORAGE_DIR || path.join(__dirname, 'data')
+  },
+
+  compaction: {
+    // Compact a room's history once it holds this many operations
+    threshold: readNumber('COMPACT_THRESHOLD', 1000),
+    // Recent operations kept out of the snapshot (the undoable history)
+    tailSize: readNumber('COMPACT_TAIL_SIZE', 200)
+  },
+
+  // Limits enforced on inbound socket payloads
+  validation: {
+    maxPoints: readNumber('MAX_STROKE_POINTS', 5000),
+    // Points per `stroke-point-batch` message of a live stroke
+    maxBatchPoints: 500,
+    maxTempIdLength: 32,
+    maxClientIdLength: 64,
+    maxCoordinate: readNumber('MAX_COORDINATE', 100000),
+    minBrushSize: 1,
+    maxBrushSize: readNumber('MAX_BRUSH_SIZE', 50),
+    tools: ['brush', 'eraser'],
+    maxTextLength: readNumber('MAX_TEXT_LENGTH', 2000),
+    minFontSize: 8,
+    maxFontSize: 144,
+    // Objects one transform or delete may change
+    maxTargets: readNumber('MAX_SELECTION', 1000),
+    // Largest scale factor of one transform, and of all transforms of an object
+    maxTransformScale: 100,
+    // Layers per room, and the length of their names
+    maxLayers: readNumber('MAX_LAYERS', 20),
+    maxLayerNameLength: 40,
+    maxRoomIdLength: 64,
+    maxUserNameLength: 20,
+    maxUserKeyLength: 128,
+    maxPasswordLength: 128
+  },
+
+  // Token bucket limits per event: `socket` applies to each connection,
+  // `room` to all connections in a room together
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    events: {
+      'join-room': { socket: { capacity: 5, refillPerSecond: 0.5 } },
+      'create-room': { socket: { capacity: 3, refillPerSecond: 0.1 } },
+      'set-user-role': { socket: { capacity: 10, refillPerSecond: 1 } },
+      'draw-stroke': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'draw-shape': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'draw-text': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'draw-image': {
+        socket: { capacity: 10, refillPerSecond: 1 },
+        room: { capacity: 50, refillPerSecond: 10 }
+      },
+      'update-operation': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'transform-operation': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'delete-operation': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'layer-change': {
+        socket: { capacity: 10, refillPerSecond: 2 },
+        room: { capacity: 50, refillPerSecond: 10 }
+      },
+      'stroke-begin': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'stroke-point-batch': {
+        socket: { capacity: 40, refillPerSecond: 25 },
+        room: { capacity: 400, refillPerSecond: 200 }
+      },
+      'stroke-end': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'stroke-abort': {
+        socket: { capacity: 20, refillPerSecond: 5 },
+        room: { capacity: 100, refillPerSecond: 40 }
+      },
+      'cursor-move': {
+        socket: { capacity: 40, refillPerSecond: 25 },
+        room: { capacity: 400, refillPerSecond: 200 }
+      },
+      'clear-canvas': {
+        socket: { capacity: 2, refillPerSecond: 0.1 },
+        room: { capacity: 5, refillPerSecond: 0.2 }
+      },
+      'undo': { socket: { capacity: 20, refillPerSecond: 10 } },
+      'redo': { socket: { capacity: 20, refillPerSecond: 10 } },
+      'room-undo': { socket: { capacity: 20, refillPerSecond: 10 } },
+      'room-redo': { socket: { capacity: 20, refillPerSecond: 10 } },
+      'tool-change': { socket: { capacity: 10, refillPerSecond: 2 } },
+      'get-room-stats': { socket: { capacity: 5, refillPerSecond: 1 } }
+    },
+    // Mute a connection that hits its limits this many times within the window
+    muteAfter: readNumber('RATE_LIMIT_MUTE_AFTER', 10),
+    muteWindowMs: readNumber('RATE_LIMIT_MUTE_WINDOW_MS', 10 * 1000),
+    muteDurationMs: readNumber('RATE_LIMIT_MUTE_DURATION_MS', 30 * 1000),
+    // Report the same kind of rejection to a client at most this often
+    reportIntervalMs: 1000
+  },
+
+  export: {
+    // Largest PNG export, in pixels (width * height)
+    maxPngPixels: readNumber('EXPORT_MAX_PNG_PIXELS', 4000000),
+    maxPngScale: 8,
+    // Rendered PNGs kept in memory for repeated requests
+    cacheEntries: readNumber('EXPORT_CACHE_ENTRIES', 50)
+  },
+
+  // Uploaded images (PNG, JPEG, GIF or WebP), stored per room
+  images: {
+    maxBytes: readNumber('IMAGE_MAX_BYTES', 5 * 1024 * 1024),
+    // All images of one room together
+    maxRoomBytes: readNumber('IMAGE_MAX_ROOM_BYTES', 100 * 1024 * 1024)
+  },
+
+  import: {
+    // Largest JSON document accepted by the import endpoint
+    maxBodySize: process.env.IMPORT_MAX_BODY_SIZE || '10mb',
+    maxOperations: readNumber('IMPORT_MAX_OPERATIONS', 20000)
+  },
+
+  // Strokes a connection may have in progress at once; starting another
+  // drops the oldest
+  maxLiveStrokes: readNumber('MAX_LIVE_STROKES', 4),
+
+  // Logical size of a new room's canvas in world coordinates: the area every
+  // client fits into its window, so a drawing lands in the same place on
+  // any screen. Stored with the room, so changing it leaves rooms alone.
+  canvasSize: {
+    width: readNumber('CANVAS_WIDTH', 1920),
+    height: readNumber('CANVAS_HEIGHT', 1080)
+  },
+
+  // Recent changes kept per room so reconnecting clients can catch up
+  // incrementally; clients further behind get the full state
+  resyncWindow: readNumber('RESYNC_WINDOW', 500),
+
+  retention: {
+    // Unload a room from memory after it has been empty this long (it stays in storage)
+    unloadAfterMs: readNumber('ROOM_UNLOAD_AFTER_MS', 5 * 60 * 1000),
+    // Delete a stored room after this long without changes (0 keeps rooms forever)
+    retentionMs: readNumber('ROOM_RETENTION_MS', 0),
+    // How often stored rooms are checked against the retention period
+    sweepIntervalMs: readNumber('ROOM_RETENTION_SWEEP_MS', 60 * 60 * 1000)
+  }
+};
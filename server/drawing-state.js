@@ -1,15 +1,54 @@
+const { EDIT_TYPES, applyUpdates } = require('./updates');
+const { createDefaultLayers, applyLayerChange } = require('./layers');
+
 /**
  * DrawingState - Manages the global drawing state and operation history
- * Handles undo/redo operations across all users with conflict resolution
+ * Handles per-user undo/redo plus a room-wide undo for the room owner
+ *
+ * Every change is expressed as a log entry (an operation, or an undo/redo
+ * event) and goes through applyEntry(), so a stored log can be replayed to
+ * rebuild the exact same state.
+ *
+ * Old history is periodically compacted into a snapshot: the operations
+ * still visible at that point, with anything hidden by a clear or undone
+ * dropped. Only the tail after the snapshot can be undone or redone.
+ *
+ * The room's layers (see layers.js) are changed by `layer` entries, which
+ * aren't operations: they can't be undone and aren't compacted.
  */
 class DrawingState {
-  constructor() {
-    // Operation history - stores all drawing operations in order
+  /**
+   * @param {Object} options
+   * @param {number} options.resyncWindow - Number of recent entries kept for reconnecting clients
+   * @param {number} options.clientIdWindow - Number of recent client operation IDs remembered
+   */
+  constructor(options = {}) {
+    // Snapshot - visible operations folded out of the history by compact()
+    this.snapshot = { operations: [], baseId: 0 };
+    // Operation history since the snapshot - stores drawing operations in order
     this.operations = [];
     // Operation counter for unique IDs and ordering
     this.operationCounter = 0;
-    // Undo stack - stores operation IDs that have been undone
+    // Undone operation IDs, regardless of who undid them
     this.undoneOperations = new Set();
+    // Per-user redo stacks - userId -> operation IDs in the order they were undone
+    this.redoStacks = new Map();
+    // Redo stack for the room-wide undo
+    this.roomRedoStack = [];
+    // Layers, bottom to top
+    this.layers = createDefaultLayers();
+    // Version - incremented by every log entry (operations and undo/redo)
+    this.version = 0;
+    // Recent log entries, so reconnecting clients can catch up incrementally
+    this.recentEntries = [];
+    this.resyncWindow = options.resyncWindow || 500;
+    // IDs of recent operations by the ID their client gave them
+    // ("userId:clientId"), so an operation sent again after a reconnect
+    // isn't added twice
+    this.clientIds = new Map();
+    this.clientIdWindow = options.clientIdWindow || 1000;
+    // Called with every new log entry (used for persistence)
+    this.onChange = null;
   }
 
   /**
@@ -20,88 +59,417 @@ class DrawingState {
   addOperation(operation) {
     const op = {
       ...operation,
-      id: this.operationCounter++,
+      id: this.operationCounter,
       timestamp: Date.now()
     };
     
-    this.operations.push(op);
+    return this.commit(op);
+  }
+
+  /**
+   * Undo the last operation by the given user that hasn't been undone
+   * @param {string} userId - Stable ID of the user requesting the undo
+   * @param {string} clientId - ID the user's client gave the undo, if any
+   * @returns {Object|null} The undo result, or null if nothing to undo
+   */
+  undo(userId, clientId = null) {
+    const op = this.findLastActive(op => op.userId === userId);
+    if (!op) return null;
     
-    // Clear redo stack when new operation is added
-    this.undoneOperations.clear();
+    return this.commit({
+      type: 'undo',
+      operationId: op.id,
+      userId,
+      ...(clientId && { clientId }),
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Redo the last operation the given user undid
+   * @param {string} userId - Stable ID of the user requesting the redo
+   * @param {string} clientId - ID the user's client gave the redo, if any
+   * @returns {Object|null} The redo result, or null if nothing to redo
+   */
+  redo(userId, clientId = null) {
+    const stack = this.redoStacks.get(userId);
+    if (!stack || stack.length === 0) return null;
     
-    return op;
+    return this.commit({
+      type: 'redo',
+      operationId: stack[stack.length - 1],
+      userId,
+      ...(clientId && { clientId }),
+      timestamp: Date.now()
+    });
   }
 
   /**
-   * Undo the last operation that hasn't been undone
-   * @returns {Object|null} The operation that was undone, or null
+   * Undo the last operation in the room, whoever drew it
+   * @returns {Object|null} The undo result, or null if nothing to undo
    */
-  undo() {
-    // Find the last operation that hasn't been undone
-    for (let i = this.operations.length - 1; i >= 0; i--) {
-      const op = this.operations[i];
-      if (!this.undoneOperations.has(op.id)) {
-        this.undoneOperations.add(op.id);
-        return { type: 'undo', operationId: op.id };
+  undoRoom() {
+    const op = this.findLastActive(() => true);
+    if (!op) return null;
+    
+    return this.commit({ type: 'undo', operationId: op.id, scope: 'room', timestamp: Date.now() });
+  }
+
+  /**
+   * Redo the last operation undone with the room-wide undo
+   * @returns {Object|null} The redo result, or null if nothing to redo
+   */
+  redoRoom() {
+    if (this.roomRedoStack.length === 0) return null;
+    
+    const operationId = this.roomRedoStack[this.roomRedoStack.length - 1];
+    return this.commit({ type: 'redo', operationId, scope: 'room', timestamp: Date.now() });
+  }
+
+  /**
+   * Add, rename, move, hide or lock a layer
+   * @param {Object} change - { action, layerId, ... } as in layers.js, plus
+   *   who made it
+   * @returns {Object} The layer entry
+   */
+  changeLayer(change) {
+    return this.commit({ ...change, type: 'layer', timestamp: Date.now() });
+  }
+
+  /**
+   * Get a layer by ID
+   * @returns {Object|null} The layer, or null if the room has none by that ID
+   */
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || null;
+  }
+
+  /**
+   * Get an unused ID for a new layer
+   */
+  nextLayerId() {
+    let n = this.layers.length + 1;
+    while (this.getLayer(`layer-${n}`)) n++;
+    return `layer-${n}`;
+  }
+
+  /**
+   * Apply a new entry and report it to the change listener
+   * @param {Object} entry - Operation or undo/redo event
+   * @returns {Object} The entry
+   */
+  commit(entry) {
+    entry.version = this.version + 1;
+    this.applyEntry(entry);
+    
+    if (this.onChange) {
+      this.onChange(entry);
+    }
+    
+    return entry;
+  }
+
+  /**
+   * Apply a log entry to the state. Used both for new changes and for
+   * replaying a stored log.
+   * @param {Object} entry - Operation or undo/redo event
+   */
+  applyEntry(entry) {
+    if (entry.type === 'undo') {
+      this.undoneOperations.add(entry.operationId);
+      this.getRedoStack(entry).push(entry.operationId);
+      this.rememberClientId(entry);
+    } else if (entry.type === 'redo') {
+      this.undoneOperations.delete(entry.operationId);
+      const stack = this.getRedoStack(entry);
+      const index = stack.lastIndexOf(entry.operationId);
+      if (index !== -1) {
+        stack.splice(index, 1);
       }
+      this.rememberClientId(entry);
+    } else if (entry.type === 'layer') {
+      this.layers = applyLayerChange(this.layers, entry);
+    } else {
+      this.operations.push(entry);
+      this.operationCounter = Math.max(this.operationCounter, entry.id + 1);
+      this.rememberClientId(entry);
+      
+      // A new operation only invalidates its author's redo history, other
+      // users can still redo what they undid
+      this.redoStacks.delete(entry.userId);
+      this.roomRedoStack = [];
+    }
+    
+    this.version = entry.version || this.version + 1;
+    this.recentEntries.push(entry);
+    if (this.recentEntries.length > this.resyncWindow) {
+      this.recentEntries.shift();
+    }
+  }
+
+  /**
+   * Remember the client ID of an operation, undo or redo, forgetting the
+   * oldest beyond the window
+   * @param {Object} entry - Operation, undo or redo event
+   */
+  rememberClientId(entry) {
+    if (!entry.clientId) return;
+    
+    // An undo or redo is known by the operation it changed
+    const id = entry.type === 'undo' || entry.type === 'redo' ? entry.operationId : entry.id;
+    this.clientIds.set(`${entry.userId}:${entry.clientId}`, id);
+    if (this.clientIds.size > this.clientIdWindow) {
+      this.clientIds.delete(this.clientIds.keys().next().value);
     }
-    return null;
   }
 
   /**
-   * Redo the last undone operation
-   * @returns {Object|null} The operation that was redone, or null
+   * Find the operation (or undo or redo) a user's client already sent under
+   * a client ID
+   * @param {string} userId - Stable ID of the user
+   * @param {string} clientId - ID the client gave the operation
+   * @returns {number|undefined} The operation's ID, for an undo or redo the
+   *   ID of the operation it changed
    */
-  redo() {
-    // Find the most recently undone operation
-    let lastUndoneId = -1;
-    for (const op of this.operations) {
-      if (this.undoneOperations.has(op.id) && op.id > lastUndoneId) {
-        lastUndoneId = op.id;
+  findClientOperation(userId, clientId) {
+    return this.clientIds.get(`${userId}:${clientId}`);
+  }
+
+  /**
+   * Get the entries a client missed since the version it last applied
+   * @param {number} version - Last version the client applied
+   * @returns {Array|null} Missing entries in order, or null if they are no
+   *   longer available and the client needs the full state
+   */
+  getEntriesSince(version) {
+    if (!Number.isInteger(version) || version > this.version) return null;
+    if (version === this.version) return [];
+    
+    const oldest = this.recentEntries[0];
+    if (!oldest || oldest.version > version + 1) return null;
+    
+    return this.recentEntries.filter(entry => entry.version > version);
+  }
+
+  /**
+   * Fold all but the last `tailSize` operations into the snapshot.
+   * Folded operations can no longer be undone or redone.
+   * @param {number} tailSize - Number of recent operations to keep undoable
+   * @returns {boolean} True if anything was compacted
+   */
+  compact(tailSize) {
+    const foldCount = this.operations.length - tailSize;
+    if (foldCount <= 0) return false;
+    
+    const folded = this.operations.slice(0, foldCount);
+    let visible = this.snapshot.operations;
+    
+    for (const op of folded) {
+      if (this.undoneOperations.has(op.id)) {
+        this.undoneOperations.delete(op.id);
+      } else if (op.type === 'clear') {
+        visible = [];
+      } else if (EDIT_TYPES.includes(op.type)) {
+        // Fold the edit into its targets, which keep their place
+        visible = applyUpdates(visible.concat(op));
+      } else {
+        visible = visible.concat(op);
       }
     }
     
-    if (lastUndoneId !== -1) {
-      this.undoneOperations.delete(lastUndoneId);
-      return { type: 'redo', operationId: lastUndoneId };
+    // Undone operations that were folded away can't be redone any more
+    const foldedIds = new Set(folded.map(op => op.id));
+    const isKept = id => !foldedIds.has(id);
+    for (const [userId, stack] of this.redoStacks) {
+      this.redoStacks.set(userId, stack.filter(isKept));
+    }
+    this.roomRedoStack = this.roomRedoStack.filter(isKept);
+    
+    this.snapshot = {
+      operations: visible,
+      baseId: folded[folded.length - 1].id + 1
+    };
+    this.operations = this.operations.slice(foldCount);
+    
+    return true;
+  }
+
+  /**
+   * Serialize the complete internal state, including redo stacks
+   * @returns {Object} Plain JSON-compatible state
+   */
+  serialize() {
+    return {
+      snapshot: this.snapshot,
+      operations: this.operations,
+      undoneOperations: Array.from(this.undoneOperations),
+      operationCounter: this.operationCounter,
+      redoStacks: Array.from(this.redoStacks),
+      roomRedoStack: this.roomRedoStack,
+      layers: this.layers,
+      version: this.version,
+      clientIds: Array.from(this.clientIds)
+    };
+  }
+
+  /**
+   * Restore a state produced by serialize()
+   * @param {Object} state - Serialized state
+   */
+  restore(state) {
+    this.snapshot = state.snapshot;
+    this.operations = state.operations;
+    this.undoneOperations = new Set(state.undoneOperations);
+    this.operationCounter = state.operationCounter;
+    this.redoStacks = new Map(state.redoStacks);
+    this.roomRedoStack = state.roomRedoStack;
+    // Checkpoints written before layers existed
+    this.layers = state.layers || createDefaultLayers();
+    this.version = state.version || 0;
+    this.recentEntries = [];
+    // The state keeps no undo or redo entries, so their client IDs are only
+    // in the saved window. Checkpoints written before it was saved get the
+    // operations' back at least.
+    if (state.clientIds) {
+      this.clientIds = new Map(state.clientIds);
+    } else {
+      this.clientIds = new Map();
+      this.snapshot.operations.concat(this.operations).forEach(op => this.rememberClientId(op));
+    }
+  }
+
+  /**
+   * Get the redo stack an undo/redo entry belongs to
+   * @param {Object} entry - Undo or redo event
+   * @returns {Array} The redo stack
+   */
+  getRedoStack(entry) {
+    if (entry.scope === 'room') {
+      return this.roomRedoStack;
+    }
+    if (!this.redoStacks.has(entry.userId)) {
+      this.redoStacks.set(entry.userId, []);
+    }
+    return this.redoStacks.get(entry.userId);
+  }
+
+  /**
+   * Find the most recent operation that hasn't been undone
+   * @param {Function} predicate - Filter applied to candidate operations
+   * @returns {Object|null} The matching operation, or null
+   */
+  findLastActive(predicate) {
+    for (let i = this.operations.length - 1; i >= 0; i--) {
+      const op = this.operations[i];
+      if (!this.undoneOperations.has(op.id) && predicate(op)) {
+        return op;
+      }
     }
     return null;
   }
 
   /**
-   * Get all active operations (not undone)
+   * Find an operation that is still visible: not undone, deleted or hidden
+   * by a later clear
+   * @param {number} id - Operation ID
+   * @returns {Object|null} The operation as it was added, or null
+   */
+  findVisible(id) {
+    return this.findAllVisible([id])[0] || null;
+  }
+
+  /**
+   * Find the operations among some IDs that are still visible
+   * @param {Array} ids - Operation IDs
+   * @returns {Array} The visible ones as they were added, in drawing order
+   */
+  findAllVisible(ids) {
+    const wanted = new Set(ids);
+    const deleted = new Set();
+    const found = [];
+    
+    const active = this.getActiveOperations();
+    for (let i = active.length - 1; i >= 0 && wanted.size > found.length; i--) {
+      const op = active[i];
+      if (op.type === 'clear') break;
+      if (op.type === 'delete') {
+        op.targetIds.forEach(id => deleted.add(id));
+      } else if (wanted.has(op.id) && !deleted.has(op.id)) {
+        found.push(op);
+      }
+    }
+    return found.reverse();
+  }
+
+  /**
+   * Get all active operations (snapshot plus tail operations not undone)
    * @returns {Array} Array of active operations
    */
   getActiveOperations() {
-    return this.operations.filter(op => !this.undoneOperations.has(op.id));
+    return this.snapshot.operations.concat(
+      this.operations.filter(op => !this.undoneOperations.has(op.id))
+    );
   }
 
   /**
    * Get the full state for a new user joining
-   * @returns {Object} Complete state including operations and metadata
+   * @returns {Object} Snapshot plus the tail of the history and its metadata
    */
   getFullState() {
     return {
+      snapshot: this.snapshot,
       operations: this.operations,
       undoneOperations: Array.from(this.undoneOperations),
-      operationCounter: this.operationCounter
+      operationCounter: this.operationCounter,
+      layers: this.layers,
+      version: this.version
     };
   }
 
   /**
    * Clear all drawing state
+   * @param {string} userId - Stable ID of the user clearing the canvas
    */
-  clear() {
-    const clearOp = {
-      type: 'clear',
-      id: this.operationCounter++,
-      timestamp: Date.now()
-    };
+  clear(userId) {
+    return this.addOperation({ type: 'clear', userId });
+  }
+
+  /**
+   * Import operations from another room or a backup
+   * They are added like new operations, so they get IDs from this room's
+   * counter and are stored and undoable as usual.
+   * @param {Array} operations - Validated operations without IDs, in order
+   * @param {Object} options
+   * @param {string} options.userId - User the operations are attributed to
+   * @param {boolean} options.replace - Clear the current drawing first
+   * @param {Array} options.layers - Layers of the document; those the room
+   *   doesn't have yet are added on top, keeping their IDs
+   * @returns {Array} The added entries
+   */
+  importOperations(operations, { userId, replace = false, layers = [] }) {
+    const added = [];
+    
+    for (const layer of layers) {
+      if (this.getLayer(layer.id)) continue;
+      added.push(this.changeLayer({
+        action: 'add',
+        layerId: layer.id,
+        name: layer.name,
+        visible: layer.visible,
+        locked: layer.locked,
+        userId
+      }));
+    }
     
-    this.operations.push(clearOp);
-    this.undoneOperations.clear();
+    if (replace && this.getActiveOperations().length > 0) {
+      added.push(this.clear(userId));
+    }
+    
+    for (const operation of operations) {
+      added.push(this.addOperation({ ...operation, userId }));
+    }
     
-    return clearOp;
+    return added;
   }
 
   /**
@@ -111,7 +479,8 @@ class DrawingState {
     return {
       totalOperations: this.operations.length,
       activeOperations: this.getActiveOperations().length,
-      undoneOperations: this.undoneOperations.size
+      undoneOperations: this.undoneOperations.size,
+      snapshotOperations: this.snapshot.operations.length
     };
   }
 }
@@ -0,0 +1,508 @@
+const Raster = require('./raster');
+const { encodePng } = require('./png');
+const { isShape, getArrowHead, getShapeSegments } = require('./shapes');
+const { applyUpdates } = require('./updates');
+const { applyToPoint, getScale } = require('./transforms');
+const { getMimeType } = require('./images');
+const { getLayerId, groupByLayer } = require('./layers');
+
+// Text layout, as in CanvasManager.renderText: line i has its baseline at
+// y + fontSize * (1 + i * TEXT_LINE_HEIGHT)
+const TEXT_LINE_HEIGHT = 1.25;
+const TEXT_FONT_FAMILY = 'sans-serif';
+// Rough advance of a character in em, for bounds (the server has no fonts)
+const TEXT_CHAR_WIDTH = 0.6;
+// Share of the brush size a pen stroke keeps at no pressure, as in
+// CanvasManager.getPointWidth
+const MIN_PRESSURE_WIDTH = 0.2;
+
+/**
+ * Room export
+ *
+ * Replays the active operations of a room into a standalone image. Strokes
+ * are drawn the way CanvasManager.renderStroke draws them: quadratic curves
+ * through the midpoints of consecutive points, with round caps and joins;
+ * pen strokes give each curve the width of its point's pressure. Shapes are drawn as outlines like CanvasManager.renderShape, and text as
+ * in CanvasManager.renderText with its edits applied. Images are embedded
+ * stretched to their box, like CanvasManager.renderImage. Transformed objects
+ * are drawn through their matrix. Layers are drawn bottom to top, hidden
+ * ones left out. Eraser strokes remove everything drawn before them on
+ * their layer and a clear resets the output, so only operations after the
+ * last clear are rendered.
+ */
+
+/**
+ * Get the operations that are visible after the last clear, with their
+ * updates applied
+ * @param {Array} operations - Active operations in order
+ * @param {Array} layers - The room's layers, to leave out hidden ones; null
+ *   to keep every operation
+ * @returns {Array} Drawing operations after the last clear
+ */
+function getVisibleOperations(operations, layers = null) {
+  let start = 0;
+  operations.forEach((op, index) => {
+    if (op.type === 'clear') start = index + 1;
+  });
+  const shown = layers && new Set(layers.filter(layer => layer.visible).map(layer => layer.id));
+  return applyUpdates(operations.slice(start))
+    .filter(op => ['stroke', 'text', 'image'].includes(op.type) || isShape(op))
+    .filter(op => !shown || shown.has(getLayerId(op)));
+}
+
+/**
+ * Get the approximate box of a text operation
+ * @returns {Object} { x, y, width, height }
+ */
+function getTextBox(op) {
+  const lines = op.text.split('\n');
+  const longest = Math.max(...lines.map(line => line.length));
+  return {
+    x: op.x,
+    y: op.y,
+    width: longest * op.fontSize * TEXT_CHAR_WIDTH,
+    height: op.fontSize * (1 + (lines.length - 1) * TEXT_LINE_HEIGHT) + op.fontSize * 0.25
+  };
+}
+
+/**
+ * Get the area covered by brush strokes, shapes, text and images, including their width
+ * Eraser strokes don't extend the drawing, so they are ignored.
+ * @param {Array} operations - Visible operations
+ * @returns {Object|null} { x, y, width, height } or null if nothing is drawn
+ */
+function getBounds(operations) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (const op of operations) {
+    if (op.tool === 'eraser') continue;
+
+    let points;
+    let radius = 0;
+    if (op.type === 'text' || op.type === 'image') {
+      const box = op.type === 'text' ? getTextBox(op) : op;
+      points = [
+        { x: box.x, y: box.y },
+        { x: box.x + box.width, y: box.y },
+        { x: box.x + box.width, y: box.y + box.height },
+        { x: box.x, y: box.y + box.height }
+      ];
+    } else {
+      radius = op.size / 2;
+      points = isShape(op) ? getShapeSegments(op).flat() : op.points;
+    }
+    if (op.matrix) {
+      points = points.map(point => applyToPoint(op.matrix, point));
+      radius *= getScale(op.matrix);
+    }
+
+    for (const point of points) {
+      minX = Math.min(minX, point.x - radius);
+      minY = Math.min(minY, point.y - radius);
+      maxX = Math.max(maxX, point.x + radius);
+      maxY = Math.max(maxY, point.y + radius);
+    }
+  }
+
+  if (minX === Infinity) return null;
+
+  const x = Math.floor(minX);
+  const y = Math.floor(minY);
+  return { x, y, width: Math.ceil(maxX) - x, height: Math.ceil(maxY) - y };
+}
+
+/**
+ * Format a number for SVG output
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Check whether a stroke was drawn with a pen that reported pressure
+ */
+function hasPressure(points) {
+  return points.some(point => point.pressure !== undefined);
+}
+
+/**
+ * Get the width of a stroke at one of its points, matching
+ * CanvasManager.getPointWidth
+ * @param {Object} point - Stroke point
+ * @param {number} size - Brush size, the width at full pressure
+ * @returns {number} Line width
+ */
+function getPointWidth(point, size) {
+  if (point.pressure === undefined) return size;
+  return size * (MIN_PRESSURE_WIDTH + (1 - MIN_PRESSURE_WIDTH) * point.pressure);
+}
+
+/**
+ * Split a stroke into the curves CanvasManager.renderStroke draws
+ * @param {Array} points - Stroke points
+ * @returns {Array} { from, control, to, point } - control is null for a
+ *   straight line, point is the stroke point that sets the curve's width
+ */
+function getStrokeCurves(points) {
+  if (points.length <= 2) {
+    // A line, or a dot for a single point
+    const end = points[points.length - 1];
+    return [{ from: points[0], control: null, to: end, point: end }];
+  }
+
+  const curves = [];
+  let from = points[0];
+  for (let i = 1; i < points.length - 1; i++) {
+    const mid = {
+      x: (points[i].x + points[i + 1].x) / 2,
+      y: (points[i].y + points[i + 1].y) / 2
+    };
+    curves.push({ from, control: points[i], to: mid, point: points[i] });
+    from = mid;
+  }
+  // Last segment
+  const end = points[points.length - 1];
+  curves.push({ from, control: points[points.length - 2], to: end, point: end });
+  return curves;
+}
+
+/**
+ * Build SVG path data for consecutive stroke curves
+ * @param {Array} curves - From getStrokeCurves
+ * @returns {string} Path data
+ */
+function strokePathData(curves) {
+  const p = (point) => `${formatNumber(point.x)} ${formatNumber(point.y)}`;
+  const commands = [`M ${p(curves[0].from)}`];
+
+  for (const { control, to } of curves) {
+    commands.push(control ? `Q ${p(control)} ${p(to)}` : `L ${p(to)}`);
+  }
+
+  return commands.join(' ');
+}
+
+/**
+ * Build an SVG element for a stroke, one path per curve for pen strokes
+ */
+function strokeElement(op, color) {
+  const curves = getStrokeCurves(op.points);
+  if (!hasPressure(op.points)) {
+    return `<path d="${strokePathData(curves)}" fill="none" stroke="${color}" ` +
+      `stroke-width="${formatNumber(op.size)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+  }
+
+  const paths = curves.map(curve =>
+    `<path d="${strokePathData([curve])}" stroke-width="${formatNumber(getPointWidth(curve.point, op.size))}"/>`
+  );
+  return `<g fill="none" stroke="${color}" stroke-linecap="round" stroke-linejoin="round">${paths.join('')}</g>`;
+}
+
+/**
+ * Build an SVG element for a shape, matching CanvasManager.renderShape
+ */
+function shapeElement(op) {
+  const n = formatNumber;
+  const style = `fill="none" stroke="${op.color}" stroke-width="${n(op.size)}" ` +
+    'stroke-linecap="round" stroke-linejoin="round"';
+
+  switch (op.type) {
+    case 'line':
+      return `<line x1="${n(op.x1)}" y1="${n(op.y1)}" x2="${n(op.x2)}" y2="${n(op.y2)}" ${style}/>`;
+    case 'rect':
+      return `<rect x="${n(op.x)}" y="${n(op.y)}" width="${n(op.width)}" height="${n(op.height)}" ${style}/>`;
+    case 'ellipse':
+      return `<ellipse cx="${n(op.cx)}" cy="${n(op.cy)}" rx="${n(op.rx)}" ry="${n(op.ry)}" ${style}/>`;
+    default: { // arrow
+      const [left, right] = getArrowHead(op);
+      const p = (point) => `${n(point.x)} ${n(point.y)}`;
+      const d = `M ${n(op.x1)} ${n(op.y1)} L ${n(op.x2)} ${n(op.y2)} ` +
+        `M ${p(left[0])} L ${n(op.x2)} ${n(op.y2)} L ${p(right[0])}`;
+      return `<path d="${d}" ${style}/>`;
+    }
+  }
+}
+
+/**
+ * Escape text for SVG markup
+ */
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Build an SVG text element, one tspan per line, matching CanvasManager.renderText
+ */
+function textElement(op) {
+  const n = formatNumber;
+  const lines = op.text.split('\n').map((line, i) => {
+    const y = op.y + op.fontSize * (1 + i * TEXT_LINE_HEIGHT);
+    return `<tspan x="${n(op.x)}" y="${n(y)}">${escapeXml(line)}</tspan>`;
+  });
+  return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${n(op.fontSize)}" ` +
+    `fill="${op.color}" xml:space="preserve">${lines.join('')}</text>`;
+}
+
+/**
+ * Build an SVG image element with the image data inline, so the document
+ * stands alone
+ * @param {Object} op - Image operation
+ * @param {Buffer} data - The image file contents
+ */
+function imageElement(op, data) {
+  const n = formatNumber;
+  return `<image x="${n(op.x)}" y="${n(op.y)}" width="${n(op.width)}" height="${n(op.height)}" ` +
+    `preserveAspectRatio="none" href="data:${getMimeType(op.imageId)};base64,${data.toString('base64')}"/>`;
+}
+
+/**
+ * Wrap an element in a group with the operation's transform, if it has one
+ */
+function withTransform(op, element) {
+  if (!op.matrix) return element;
+  return `<g transform="matrix(${op.matrix.map(formatNumber).join(' ')})">${element}</g>`;
+}
+
+/**
+ * Render the operations of one layer as SVG elements
+ *
+ * Each run of consecutive eraser strokes becomes a mask (white everywhere,
+ * black along the eraser paths) applied to a group holding everything drawn
+ * before it on the layer, so later strokes and other layers are not erased.
+ *
+ * @param {Array} operations - Visible operations of the layer
+ * @param {Array} box - Formatted x, y, width and height of the exported area
+ * @param {Array} masks - Mask definitions, the layer's masks are added to it
+ * @param {Map} images - Image file contents by image ID
+ * @returns {string} SVG elements
+ */
+function renderSvgLayer(operations, box, masks, images) {
+  let content = '';
+  let eraserRun = null;
+
+  const closeEraserRun = () => {
+    if (!eraserRun || !content) {
+      // Nothing drawn yet for the eraser to remove
+      eraserRun = null;
+      return;
+    }
+    const id = `erase-${masks.length + 1}`;
+    masks.push(
+      `<mask id="${id}" maskUnits="userSpaceOnUse" x="${box[0]}" y="${box[1]}" ` +
+      `width="${box[2]}" height="${box[3]}">` +
+      `<rect x="${box[0]}" y="${box[1]}" width="${box[2]}" height="${box[3]}" fill="white"/>` +
+      eraserRun.join('') +
+      '</mask>'
+    );
+    content = `<g mask="url(#${id})">${content}</g>`;
+    eraserRun = null;
+  };
+
+  for (const op of operations) {
+    if (op.tool === 'eraser') {
+      eraserRun = eraserRun || [];
+      eraserRun.push(strokeElement(op, 'black'));
+    } else {
+      closeEraserRun();
+      if (op.type === 'text') {
+        content += withTransform(op, textElement(op));
+      } else if (op.type === 'image') {
+        if (images.has(op.imageId)) content += withTransform(op, imageElement(op, images.get(op.imageId)));
+      } else {
+        content += withTransform(op, isShape(op) ? shapeElement(op) : strokeElement(op, op.color));
+      }
+    }
+  }
+  closeEraserRun();
+
+  return content;
+}
+
+/**
+ * Render operations as an SVG document, one group per visible layer
+ * @param {Array} operations - Active operations in order
+ * @param {Object} options
+ * @param {Object} options.crop - { x, y, width, height } area to export,
+ *   defaults to the area covered by the drawing
+ * @param {string} options.background - Background color, transparent if omitted
+ * @param {Map} options.images - Image file contents by image ID; images
+ *   missing from it are left out
+ * @param {Array} options.layers - The room's layers, null to draw everything
+ *   as one layer
+ * @returns {string} SVG document
+ */
+function renderSvg(operations, { crop = null, background = null, images = new Map(), layers = null } = {}) {
+  const visible = getVisibleOperations(operations, layers);
+  const area = getExportArea(operations, crop, layers);
+  const box = [area.x, area.y, area.width, area.height].map(formatNumber);
+
+  const masks = [];
+  const content = (layers ? groupByLayer(visible, layers) : [visible])
+    .map(group => renderSvgLayer(group, box, masks, images))
+    .join('');
+
+  const backgroundRect = background
+    ? `<rect x="${box[0]}" y="${box[1]}" width="${box[2]}" height="${box[3]}" fill="${background}"/>`
+    : '';
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${box.join(' ')}" ` +
+    `width="${box[2]}" height="${box[3]}">` +
+    (masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '') +
+    backgroundRect +
+    content +
+    '</svg>\n';
+}
+
+/**
+ * Work out the pixel size of a raster export
+ * `width` and `height` fit the exported area inside that many pixels (both
+ * together make a thumbnail bounding box); otherwise `scale` pixels are used
+ * per canvas unit.
+ * @param {Object} area - { x, y, width, height } area to export
+ * @param {Object} size - { scale, width, height } from the request
+ * @returns {Object} { width, height, scale }
+ */
+function getOutputSize(area, { scale = 1, width = null, height = null }) {
+  if (width || height) {
+    const scales = [];
+    if (width) scales.push(width / area.width);
+    if (height) scales.push(height / area.height);
+    scale = Math.min(...scales);
+  }
+
+  return {
+    width: Math.max(1, Math.round(area.width * scale)),
+    height: Math.max(1, Math.round(area.height * scale)),
+    scale
+  };
+}
+
+/**
+ * Get the area a request exports: the crop region or the drawing's extent
+ * @param {Array} operations - Active operations in order
+ * @param {Object} crop - Requested crop region, if any
+ * @param {Array} layers - The room's layers, hidden ones don't count
+ * @returns {Object} { x, y, width, height }
+ */
+function getExportArea(operations, crop, layers = null) {
+  return crop || getBounds(getVisibleOperations(operations, layers)) || { x: 0, y: 0, width: 1, height: 1 };
+}
+
+/**
+ * Render operations as a PNG image
+ * Text and images are left out: the rasterizer has no fonts or image decoders.
+ * Each layer is rasterized on its own, so its erasers only erase it, and
+ * composited over the layers below.
+ * @param {Array} operations - Active operations in order
+ * @param {Object} options
+ * @param {Object} options.area - { x, y, width, height } area to export
+ * @param {Object} options.output - { width, height, scale } from getOutputSize
+ * @param {string} options.background - Background color, transparent if omitted
+ * @param {Array} options.layers - The room's layers, null to draw everything
+ *   as one layer
+ * @returns {Buffer} PNG file contents
+ */
+function renderPng(operations, { area, output, background = null, layers = null }) {
+  const visible = getVisibleOperations(operations, layers);
+  const groups = layers ? groupByLayer(visible, layers) : [visible];
+  const raster = new Raster(output.width, output.height);
+  const layerRaster = groups.length > 1 ? new Raster(output.width, output.height) : null;
+
+  for (const group of groups) {
+    if (!layerRaster) {
+      rasterizeOperations(raster, group, area, output);
+      continue;
+    }
+    layerRaster.pixels.fill(0);
+    rasterizeOperations(layerRaster, group, area, output);
+    raster.composite(layerRaster);
+  }
+
+  return encodePng(output.width, output.height, raster.toRGBA(background));
+}
+
+/**
+ * Draw strokes and shapes into a raster
+ * @param {Raster} raster - Target raster
+ * @param {Array} operations - Visible operations
+ * @param {Object} area - { x, y, width, height } area to export
+ * @param {Object} output - { width, height, scale } from getOutputSize
+ */
+function rasterizeOperations(raster, operations, area, output) {
+  const toPixels = (point) => ({
+    x: (point.x - area.x) * output.scale,
+    y: (point.y - area.y) * output.scale
+  });
+
+  for (const op of operations) {
+    if (op.type === 'text' || op.type === 'image') continue;
+
+    // Curves and outlines are affine invariant: transforming their control
+    // points transforms them exactly
+    const toOutput = op.matrix ? (point) => toPixels(applyToPoint(op.matrix, point)) : toPixels;
+    const size = op.size * output.scale * (op.matrix ? getScale(op.matrix) : 1);
+
+    if (isShape(op)) {
+      const segments = getShapeSegments(op).map(segment => segment.map(toOutput));
+      raster.drawSegments(segments, size, op.color);
+      continue;
+    }
+
+    const points = op.points.map(toOutput);
+    const widths = hasPressure(op.points) ? op.points.map(point => getPointWidth(point, size)) : null;
+    if (op.tool === 'eraser') {
+      raster.eraseStroke(points, size, widths);
+    } else {
+      raster.drawStroke(points, size, op.color, widths);
+    }
+  }
+}
+
+/**
+ * ExportCache - Small LRU cache for rendered exports
+ * Keys include the room's version, so any change to the drawing (including
+ * undo and redo) misses the cache and old entries simply age out.
+ */
+class ExportCache {
+  constructor(maxEntries = 50) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a cached export, marking it as recently used
+   */
+  get(key) {
+    const value = this.entries.get(key);
+    if (value !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, value);
+    }
+    return value;
+  }
+
+  /**
+   * Store an export, evicting the least recently used one when full
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = {
+  getVisibleOperations,
+  getBounds,
+  getExportArea,
+  getOutputSize,
+  renderSvg,
+  renderPng,
+  ExportCache
+};
@@ -0,0 +1,72 @@
+const DrawingState = require('./drawing-state');
+
+/**
+ * Room history playback
+ *
+ * A room's stored log holds every change ever made, in order: operations
+ * (timestamped when added) and undo/redo events (timestamped since history
+ * playback was added). Replaying a prefix of the log into a fresh
+ * DrawingState gives the drawing as it was at that point.
+ */
+
+/**
+ * Get the timestamp of every entry, for logs written before undo/redo
+ * events had one: those take the time of the entry before them
+ * @param {Array} entries - Log entries in order
+ * @returns {Array} Timestamps, one per entry
+ */
+function getEntryTimes(entries) {
+  let last = 0;
+  return entries.map(entry => {
+    last = typeof entry.timestamp === 'number' ? Math.max(last, entry.timestamp) : last;
+    return last;
+  });
+}
+
+/**
+ * Count the entries that had been applied at a point in history
+ * @param {Array} entries - Log entries in order
+ * @param {Object} point - One of { at } (timestamp in ms), { operation }
+ *   (operation ID, inclusive) or { version } (drawing state version)
+ * @returns {number} Number of entries to replay
+ */
+function countEntriesUntil(entries, point) {
+  if (point.version !== undefined) {
+    return entries.filter(entry => entry.version <= point.version).length;
+  }
+
+  if (point.operation !== undefined) {
+    const index = entries.findIndex(entry =>
+      entry.type !== 'undo' && entry.type !== 'redo' && entry.id === point.operation);
+    return index === -1 ? null : index + 1;
+  }
+
+  const times = getEntryTimes(entries);
+  let count = 0;
+  while (count < entries.length && times[count] <= point.at) count++;
+  return count;
+}
+
+/**
+ * Rebuild the drawing state as of a point in history
+ * @param {Array} entries - The room's complete log
+ * @param {Object} point - See countEntriesUntil()
+ * @returns {Object|null} { version, timestamp, entryCount, state } with
+ *   state in the shape of getFullState(), or null if the operation is unknown
+ */
+function getStateAt(entries, point) {
+  const count = countEntriesUntil(entries, point);
+  if (count === null) return null;
+
+  const drawingState = new DrawingState();
+  entries.slice(0, count).forEach(entry => drawingState.applyEntry(entry));
+
+  return {
+    version: drawingState.version,
+    timestamp: count > 0 ? getEntryTimes(entries)[count - 1] : null,
+    entryCount: count,
+    state: drawingState.getFullState()
+  };
+}
+
+module.exports = { getEntryTimes, countEntriesUntil, getStateAt };
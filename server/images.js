@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * Image blobs
+ *
+ * Images are uploaded over HTTP and stored per room, outside the operation
+ * log; `image` operations only reference them by ID. The ID is the SHA-256
+ * of the content plus the type's extension, so uploading the same image
+ * twice stores it once and a stored image never changes.
+ *
+ * The type is detected from the content, never taken from the request, and
+ * only raster formats browsers decode safely are accepted (no SVG).
+ */
+
+const IMAGE_TYPES = [
+  {
+    extension: 'png',
+    mimeType: 'image/png',
+    matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    extension: 'jpg',
+    mimeType: 'image/jpeg',
+    matches: (data) => data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff
+  },
+  {
+    extension: 'gif',
+    mimeType: 'image/gif',
+    matches: (data) => /^GIF8[79]a$/.test(data.subarray(0, 6).toString('latin1'))
+  },
+  {
+    extension: 'webp',
+    mimeType: 'image/webp',
+    matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' &&
+      data.subarray(8, 12).toString('latin1') === 'WEBP'
+  }
+];
+
+const IMAGE_ID_PATTERN = new RegExp(`^[0-9a-f]{64}\\.(${IMAGE_TYPES.map(type => type.extension).join('|')})$`);
+
+/**
+ * Detect the type of image data from its first bytes
+ * @param {Buffer} data - Image file contents
+ * @returns {Object|null} Entry of IMAGE_TYPES, or null if not accepted
+ */
+function detectImageType(data) {
+  return IMAGE_TYPES.find(type => type.matches(data)) || null;
+}
+
+/**
+ * Get the ID an image is stored under
+ * @param {Buffer} data - Image file contents
+ * @param {Object} type - Its entry of IMAGE_TYPES
+ * @returns {string} Content hash plus extension
+ */
+function getImageId(data, type) {
+  return `${crypto.createHash('sha256').update(data).digest('hex')}.${type.extension}`;
+}
+
+/**
+ * Check whether a value is a well-formed image ID
+ */
+function isImageId(value) {
+  return typeof value === 'string' && IMAGE_ID_PATTERN.test(value);
+}
+
+/**
+ * Get the MIME type of a stored image from its ID
+ * @param {string} imageId - A valid image ID
+ * @returns {string} MIME type
+ */
+function getMimeType(imageId) {
+  const extension = imageId.slice(imageId.indexOf('.') + 1);
+  return IMAGE_TYPES.find(type => type.extension === extension).mimeType;
+}
+
+module.exports = { IMAGE_TYPES, detectImageType, getImageId, isImageId, getMimeType };
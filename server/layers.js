@@ -0,0 +1,101 @@
+/**
+ * Layers
+ *
+ * A room's drawing is split into layers, drawn bottom to top. Every
+ * operation belongs to the layer named by its `layerId`; operations without
+ * one (drawn before layers existed) are on the default layer every room
+ * starts with. Layers are changed by `layer` log entries:
+ *   { type: 'layer', action: 'add', layerId, name, visible?, locked? }
+ *   { type: 'layer', action: 'rename', layerId, name }
+ *   { type: 'layer', action: 'move', layerId, index }  - new position, 0 is the bottom
+ *   { type: 'layer', action: 'visibility', layerId, visible }
+ *   { type: 'layer', action: 'lock', layerId, locked }
+ * Hidden layers are left out of the canvas and exports, locked layers can't
+ * be drawn on or edited. Eraser strokes only erase their own layer, and a
+ * clear empties every layer.
+ */
+
+const DEFAULT_LAYER_ID = 'default';
+
+const LAYER_ACTIONS = ['add', 'rename', 'move', 'visibility', 'lock'];
+
+/**
+ * Get the layers of a new room
+ * @returns {Array} Just the default layer
+ */
+function createDefaultLayers() {
+  return [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+}
+
+/**
+ * Get the layer an operation belongs to
+ * @returns {string} Layer ID
+ */
+function getLayerId(op) {
+  return op.layerId || DEFAULT_LAYER_ID;
+}
+
+/**
+ * Apply a layer change
+ * @param {Array} layers - Layers bottom to top
+ * @param {Object} change - A `layer` log entry
+ * @returns {Array} The changed copy of the layers
+ */
+function applyLayerChange(layers, change) {
+  const index = layers.findIndex(layer => layer.id === change.layerId);
+
+  if (change.action === 'add') {
+    if (index !== -1) return layers;
+    return layers.concat({
+      id: change.layerId,
+      name: change.name,
+      visible: change.visible !== false,
+      locked: change.locked === true
+    });
+  }
+  if (index === -1) return layers;
+
+  const result = layers.slice();
+  switch (change.action) {
+    case 'rename':
+      result[index] = { ...result[index], name: change.name };
+      break;
+    case 'visibility':
+      result[index] = { ...result[index], visible: change.visible };
+      break;
+    case 'lock':
+      result[index] = { ...result[index], locked: change.locked };
+      break;
+    case 'move': {
+      const [layer] = result.splice(index, 1);
+      result.splice(Math.max(0, Math.min(result.length, change.index)), 0, layer);
+      break;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split operations by layer, for drawing the layers one after the other
+ * @param {Array} operations - Operations in drawing order
+ * @param {Array} layers - Layers bottom to top
+ * @returns {Array} One list of operations per visible layer, bottom to top;
+ *   operations on hidden or unknown layers are left out
+ */
+function groupByLayer(operations, layers) {
+  const groups = new Map(layers.filter(layer => layer.visible).map(layer => [layer.id, []]));
+  for (const op of operations) {
+    const group = groups.get(getLayerId(op));
+    if (group) group.push(op);
+  }
+  return Array.from(groups.values());
+}
+
+module.exports = {
+  DEFAULT_LAYER_ID,
+  LAYER_ACTIONS,
+  createDefaultLayers,
+  getLayerId,
+  applyLayerChange,
+  groupByLayer
+};
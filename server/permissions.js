@@ -0,0 +1,37 @@
+/**
+ * Room roles and the actions each one may perform
+ *
+ *   owner  - created the room; everything, including clearing the canvas,
+ *            room-wide undo, assigning roles and importing drawings
+ *   editor - draw and undo/redo their own changes
+ *   viewer - watch only
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['draw', 'undo', 'clear', 'room-undo', 'manage-roles', 'import'],
+  editor: ['draw', 'undo'],
+  viewer: []
+};
+
+// Roles an owner can hand out (there is exactly one owner per room)
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - The user's role
+ * @param {string} permission - The permission to check
+ * @returns {boolean} True if allowed
+ */
+function can(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Get the permissions a role grants
+ * @param {string} role - The user's role
+ * @returns {Array} Permission names
+ */
+function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = { ASSIGNABLE_ROLES, can, getPermissions };
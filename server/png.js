@@ -0,0 +1,87 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal PNG encoder for 8-bit RGBA images
+ */
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC-32 lookup table (polynomial 0xedb88320) used by PNG chunk checksums
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC
+ */
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC of type + data
+ * @param {string} type - Four letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Encoded chunk
+ */
+function chunk(type, data) {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Uint8Array} pixels - width * height * 4 bytes, row by row, not premultiplied
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(width, height, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // color type: RGBA
+  header[10] = 0; // compression: deflate
+  header[11] = 0; // filter method
+  header[12] = 0; // no interlacing
+
+  // Every scanline starts with its filter type; "Sub" (1) stores each byte
+  // as the difference from the pixel to its left, which compresses flat
+  // areas and strokes well
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (stride + 1);
+    const source = y * stride;
+    raw[rowStart] = 1;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 4 ? pixels[source + i - 4] : 0;
+      raw[rowStart + 1 + i] = (pixels[source + i] - left) & 0xff;
+    }
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = { encodePng, crc32 };
@@ -0,0 +1,259 @@
+/**
+ * Raster - Software rasterizer for strokes
+ *
+ * Draws the stroke model of DrawingState into an in-memory RGBA image without
+ * a browser or GPU. Pixels are stored as premultiplied floats so brush
+ * strokes (source-over) and eraser strokes (destination-out) composite the
+ * same way they do on the canvas.
+ *
+ * A stroke is flattened into line segments (quadratic curves through the
+ * midpoints of consecutive points, as in CanvasManager.renderStroke), shapes
+ * into the segments of their outline. The coverage is the set of pixels
+ * within half the brush size of any segment, which gives round caps and joins;
+ * pen strokes give each curve the width at its point. Coverage is anti-aliased over one pixel
+ * and taken as the maximum over all segments, so overlapping segments of the
+ * same stroke don't darken each other.
+ */
+class Raster {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.pixels = new Float32Array(width * height * 4); // premultiplied RGBA, 0-1
+  }
+
+  /**
+   * Draw a brush stroke
+   * @param {Array} points - Stroke points in pixel coordinates
+   * @param {number} size - Brush size in pixels
+   * @param {string} color - Hex color
+   * @param {Array} widths - Width at each point in pixels, for pen strokes
+   */
+  drawStroke(points, size, color, widths = null) {
+    this.drawSegments(Raster.flatten(points, widths), size, color);
+  }
+
+  /**
+   * Draw line segments as one outline, e.g. a shape
+   * @param {Array} segments - [from, to] pairs in pixel coordinates, or
+   *   [from, to, width] to override the line width
+   * @param {number} size - Line width in pixels
+   * @param {string} color - Hex color
+   */
+  drawSegments(segments, size, color) {
+    const [red, green, blue] = Raster.parseColor(color);
+    const pixels = this.pixels;
+
+    this.forEachCovered(segments, size, (index, coverage) => {
+      const keep = 1 - coverage;
+      pixels[index] = red * coverage + pixels[index] * keep;
+      pixels[index + 1] = green * coverage + pixels[index + 1] * keep;
+      pixels[index + 2] = blue * coverage + pixels[index + 2] * keep;
+      pixels[index + 3] = coverage + pixels[index + 3] * keep;
+    });
+  }
+
+  /**
+   * Erase along a stroke, making what was drawn before transparent
+   * @param {Array} points - Stroke points in pixel coordinates
+   * @param {number} size - Eraser size in pixels
+   * @param {Array} widths - Width at each point in pixels, for pen strokes
+   */
+  eraseStroke(points, size, widths = null) {
+    const pixels = this.pixels;
+
+    this.forEachCovered(Raster.flatten(points, widths), size, (index, coverage) => {
+      const keep = 1 - coverage;
+      pixels[index] *= keep;
+      pixels[index + 1] *= keep;
+      pixels[index + 2] *= keep;
+      pixels[index + 3] *= keep;
+    });
+  }
+
+  /**
+   * Draw another raster of the same size over this one (source-over)
+   * @param {Raster} other - E.g. a layer drawn on its own
+   */
+  composite(other) {
+    const pixels = this.pixels;
+    const source = other.pixels;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      const keep = 1 - source[i + 3];
+      if (keep === 1) continue;
+      pixels[i] = source[i] + pixels[i] * keep;
+      pixels[i + 1] = source[i + 1] + pixels[i + 1] * keep;
+      pixels[i + 2] = source[i + 2] + pixels[i + 2] * keep;
+      pixels[i + 3] = source[i + 3] + pixels[i + 3] * keep;
+    }
+  }
+
+  /**
+   * Compute the coverage of a stroke and call back for every covered pixel
+   * @param {Array} segments - [from, to] or [from, to, width] in pixel coordinates
+   * @param {number} size - Brush size in pixels, for segments without a width
+   * @param {Function} apply - Called with (pixel index, coverage 0-1)
+   */
+  forEachCovered(segments, size, apply) {
+    const radius = segments.reduce((widest, [, , width = size]) => Math.max(widest, width), 0) / 2;
+
+    // Bounding box of the stroke, clipped to the image
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const point of segments.flatMap(([from, to]) => [from, to])) {
+      minX = Math.min(minX, point.x);
+      minY = Math.min(minY, point.y);
+      maxX = Math.max(maxX, point.x);
+      maxY = Math.max(maxY, point.y);
+    }
+    const left = Math.max(0, Math.floor(minX - radius - 1));
+    const top = Math.max(0, Math.floor(minY - radius - 1));
+    const right = Math.min(this.width, Math.ceil(maxX + radius + 1));
+    const bottom = Math.min(this.height, Math.ceil(maxY + radius + 1));
+    if (left >= right || top >= bottom) return;
+
+    const maskWidth = right - left;
+    const mask = new Float32Array(maskWidth * (bottom - top));
+
+    for (const [from, to, width = size] of segments) {
+      this.coverSegment(mask, { left, top, right, bottom, maskWidth }, from, to, width / 2);
+    }
+
+    for (let y = top; y < bottom; y++) {
+      for (let x = left; x < right; x++) {
+        const coverage = mask[(y - top) * maskWidth + (x - left)];
+        if (coverage > 0) {
+          apply((y * this.width + x) * 4, coverage);
+        }
+      }
+    }
+  }
+
+  /**
+   * Add the coverage of one thick segment to a stroke's mask
+   */
+  coverSegment(mask, area, from, to, radius) {
+    const x0 = Math.max(area.left, Math.floor(Math.min(from.x, to.x) - radius - 1));
+    const y0 = Math.max(area.top, Math.floor(Math.min(from.y, to.y) - radius - 1));
+    const x1 = Math.min(area.right, Math.ceil(Math.max(from.x, to.x) + radius + 1));
+    const y1 = Math.min(area.bottom, Math.ceil(Math.max(from.y, to.y) + radius + 1));
+
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    for (let y = y0; y < y1; y++) {
+      const py = y + 0.5;
+      for (let x = x0; x < x1; x++) {
+        const px = x + 0.5;
+
+        // Distance from the pixel center to the closest point of the segment
+        let t = lengthSquared > 0 ? ((px - from.x) * dx + (py - from.y) * dy) / lengthSquared : 0;
+        t = Math.max(0, Math.min(1, t));
+        const ex = px - (from.x + t * dx);
+        const ey = py - (from.y + t * dy);
+        const distance = Math.sqrt(ex * ex + ey * ey);
+
+        const coverage = Math.min(1, radius + 0.5 - distance);
+        if (coverage > 0) {
+          const index = (y - area.top) * area.maskWidth + (x - area.left);
+          if (coverage > mask[index]) mask[index] = coverage;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the image as 8-bit RGBA over a background color
+   * @param {string} background - Hex color, or null for transparent
+   * @returns {Uint8Array} Pixels, not premultiplied
+   */
+  toRGBA(background = null) {
+    const [bgRed, bgGreen, bgBlue] = background ? Raster.parseColor(background) : [0, 0, 0];
+    const bgAlpha = background ? 1 : 0;
+    const out = new Uint8Array(this.width * this.height * 4);
+
+    for (let i = 0; i < out.length; i += 4) {
+      const keep = 1 - this.pixels[i + 3];
+      const alpha = this.pixels[i + 3] + bgAlpha * keep;
+      if (alpha === 0) continue;
+
+      out[i] = Math.round(((this.pixels[i] + bgRed * bgAlpha * keep) / alpha) * 255);
+      out[i + 1] = Math.round(((this.pixels[i + 1] + bgGreen * bgAlpha * keep) / alpha) * 255);
+      out[i + 2] = Math.round(((this.pixels[i + 2] + bgBlue * bgAlpha * keep) / alpha) * 255);
+      out[i + 3] = Math.round(alpha * 255);
+    }
+    return out;
+  }
+
+  /**
+   * Flatten a stroke into line segments, following the quadratic curves
+   * CanvasManager.renderStroke draws
+   * @param {Array} points - Stroke points
+   * @param {Array} widths - Width at each point, for pen strokes: every curve
+   *   takes the width of the point that shapes it
+   * @returns {Array} [from, to] pairs, or [from, to, width] with widths
+   */
+  static flatten(points, widths = null) {
+    const last = points.length - 1;
+    const withWidth = (segment, index) => (widths ? [...segment, widths[index]] : segment);
+
+    if (points.length <= 2) {
+      // A line, or a dot for a single point
+      return [withWidth([points[0], points[last]], last)];
+    }
+
+    const segments = [];
+    let current = points[0];
+
+    const curveTo = (control, end, index) => {
+      // Enough steps to keep each chord about 2px long
+      const length = Math.hypot(control.x - current.x, control.y - current.y) +
+        Math.hypot(end.x - control.x, end.y - control.y);
+      const steps = Math.max(1, Math.ceil(length / 2));
+      let previous = current;
+
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        const next = {
+          x: a * current.x + b * control.x + c * end.x,
+          y: a * current.y + b * control.y + c * end.y
+        };
+        segments.push(withWidth([previous, next], index));
+        previous = next;
+      }
+      current = end;
+    };
+
+    for (let i = 1; i < last; i++) {
+      curveTo(points[i], {
+        x: (points[i].x + points[i + 1].x) / 2,
+        y: (points[i].y + points[i + 1].y) / 2
+      }, i);
+    }
+    // Last segment
+    curveTo(points[last - 1], points[last], last);
+
+    return segments;
+  }
+
+  /**
+   * Parse a #rgb or #rrggbb color into 0-1 components
+   * @param {string} color - Hex color
+   * @returns {Array} [red, green, blue]
+   */
+  static parseColor(color) {
+    let hex = color.slice(1);
+    if (hex.length === 3) {
+      hex = hex.split('').map(digit => digit + digit).join('');
+    }
+    return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16) / 255);
+  }
+}
+
+module.exports = Raster;
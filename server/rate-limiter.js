@@ -0,0 +1,184 @@
+/**
+ * TokenBucket - Classic token bucket
+ * Holds up to `capacity` tokens and refills continuously at `refillPerSecond`
+ */
+class TokenBucket {
+  constructor(capacity, refillPerSecond, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Add the tokens accumulated since the last update
+   */
+  refill(now) {
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Check whether a token is available without taking it
+   */
+  hasToken(now) {
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  /**
+   * Milliseconds until the next token is available
+   */
+  getRetryAfter() {
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * RateLimiter - Per-socket and per-room rate limits for socket events
+ *
+ * Each limited event has its own bucket per socket and per room. A socket
+ * that keeps hitting its own limits is muted for a while: all its limited
+ * events are rejected until the mute expires. Hitting a room limit never
+ * counts against a socket, since the socket may not be the one flooding.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.events - event -> { socket: {capacity, refillPerSecond}, room: {...} }
+   * @param {number} options.muteAfter - Violations within muteWindowMs that trigger a mute
+   * @param {number} options.muteWindowMs - Window for counting violations
+   * @param {number} options.muteDurationMs - How long a mute lasts
+   * @param {number} options.reportIntervalMs - Minimum time between reports of the same rejection
+   */
+  constructor(options) {
+    this.options = options;
+    this.buckets = new Map(); // "socket:<id>:<event>" or "room:<id>:<event>" -> TokenBucket
+    this.sockets = new Map(); // socketId -> { violations, mutedUntil, lastReports }
+  }
+
+  /**
+   * Check whether an event from a socket may be processed, and consume a
+   * token if so
+   * @param {string} socketId - The sender's socket ID
+   * @param {string} roomId - The sender's room
+   * @param {string} event - The event name
+   * @returns {Object} { allowed: true } or { allowed: false, code, message, retryAfterMs, report }
+   */
+  check(socketId, roomId, event, now = Date.now()) {
+    const limits = this.options.events[event];
+    if (!limits) return { allowed: true };
+
+    const socketState = this.getSocketState(socketId);
+    if (socketState.mutedUntil > now) {
+      return this.rejection(socketState, event, 'MUTED', socketState.mutedUntil - now, now);
+    }
+
+    const socketBucket = this.getBucket(`socket:${socketId}:${event}`, limits.socket, now);
+    const roomBucket = this.getBucket(`room:${roomId}:${event}`, limits.room, now);
+
+    if (socketBucket && !socketBucket.hasToken(now)) {
+      this.recordViolation(socketState, now);
+      const code = socketState.mutedUntil > now ? 'MUTED' : 'RATE_LIMITED';
+      const retryAfterMs = code === 'MUTED'
+        ? socketState.mutedUntil - now
+        : socketBucket.getRetryAfter();
+      return this.rejection(socketState, event, code, retryAfterMs, now);
+    }
+
+    if (roomBucket && !roomBucket.hasToken(now)) {
+      return this.rejection(socketState, event, 'ROOM_RATE_LIMITED', roomBucket.getRetryAfter(), now);
+    }
+
+    if (socketBucket) socketBucket.take();
+    if (roomBucket) roomBucket.take();
+    return { allowed: true };
+  }
+
+  /**
+   * Forget everything about a disconnected socket
+   */
+  removeSocket(socketId) {
+    this.sockets.delete(socketId);
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith(`socket:${socketId}:`)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drop buckets that have refilled completely, they carry no state
+   */
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.isFull(now)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  getBucket(key, limit, now) {
+    if (!limit) return null;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(limit.capacity, limit.refillPerSecond, now));
+    }
+    return this.buckets.get(key);
+  }
+
+  getSocketState(socketId) {
+    if (!this.sockets.has(socketId)) {
+      this.sockets.set(socketId, { violations: [], mutedUntil: 0, lastReports: new Map() });
+    }
+    return this.sockets.get(socketId);
+  }
+
+  /**
+   * Count a violation and mute the socket if it has too many recent ones
+   */
+  recordViolation(socketState, now) {
+    const { muteAfter, muteWindowMs, muteDurationMs } = this.options;
+    socketState.violations = socketState.violations.filter(time => now - time < muteWindowMs);
+    socketState.violations.push(now);
+
+    if (socketState.violations.length >= muteAfter) {
+      socketState.mutedUntil = now + muteDurationMs;
+      socketState.violations = [];
+    }
+  }
+
+  /**
+   * Build a rejection result. `report` is only set for the first rejection
+   * of an event per report interval, so a flooding client isn't answered
+   * with a flood of errors.
+   */
+  rejection(socketState, event, code, retryAfterMs, now) {
+    const reportKey = `${event}:${code}`;
+    const lastReport = socketState.lastReports.get(reportKey) || 0;
+    const report = now - lastReport >= this.options.reportIntervalMs;
+    if (report) {
+      socketState.lastReports.set(reportKey, now);
+    }
+
+    const messages = {
+      MUTED: `Too many requests, you are muted for ${Math.ceil(retryAfterMs / 1000)}s`,
+      RATE_LIMITED: 'Slow down, too many requests',
+      ROOM_RATE_LIMITED: 'The room is busy, try again in a moment'
+    };
+
+    return { allowed: false, code, message: messages[code], retryAfterMs, report };
+  }
+}
+
+module.exports = { RateLimiter, TokenBucket };
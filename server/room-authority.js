@@ -0,0 +1,492 @@
+const { can } = require('./permissions');
+const { roomChannel } = require('./cluster');
+const { canUpdate, canTransform } = require('./updates');
+const { DEFAULT_LAYER_ID, getLayerId } = require('./layers');
+const config = require('./config');
+
+// Socket.IO event that carries each kind of log entry to the clients
+const ENTRY_EVENTS = {
+  stroke: 'draw-stroke',
+  line: 'draw-shape',
+  rect: 'draw-shape',
+  ellipse: 'draw-shape',
+  arrow: 'draw-shape',
+  text: 'draw-text',
+  image: 'draw-image',
+  update: 'update-operation',
+  transform: 'transform-operation',
+  delete: 'delete-operation',
+  layer: 'layer-change',
+  clear: 'clear-canvas',
+  undo: 'undo',
+  redo: 'redo'
+};
+
+/**
+ * RoomAuthority - Serves requests for the rooms this node is the authority for
+ *
+ * Every change to a room goes through its authority, which commits it to the
+ * room's DrawingState (assigning operation IDs and versions) and publishes it
+ * on the room's channel right away. Commit order is publish order, so all
+ * nodes relay the same changes in the same order. Presence (users joining,
+ * leaving and changing roles) goes the same way, so every node sees the same
+ * user list.
+ *
+ * Handlers answer with `{ error: { code, message } }` when a request is
+ * refused; thrown errors mean the request could not be served at all.
+ */
+class RoomAuthority {
+  /**
+   * @param {ClusterNode} cluster - This node's cluster membership
+   * @param {RoomManager} roomManager - Rooms loaded on this node
+   */
+  constructor(cluster, roomManager) {
+    this.cluster = cluster;
+    this.roomManager = roomManager;
+
+    cluster.onRequest('join', (payload) => this.join(payload));
+    cluster.onRequest('rejoin', (payload) => this.rejoin(payload));
+    cluster.onRequest('leave', (payload) => this.leave(payload));
+    cluster.onRequest('command', (payload) => this.command(payload));
+    cluster.onRequest('set-role', (payload) => this.setRole(payload));
+    cluster.onRequest('import', (payload) => this.importDrawing(payload));
+    cluster.onRequest('read', (payload) => this.read(payload));
+    cluster.onRequest('authorize', (payload) => this.authorize(payload));
+  }
+
+  /**
+   * Make sure this node is still the room's authority before touching it
+   * @param {string} roomId - The room identifier
+   */
+  async claim(roomId) {
+    const holder = await this.cluster.getAuthority(roomId);
+    if (holder !== this.cluster.nodeId) {
+      // The lease moved while the request was on its way
+      this.roomManager.unloadRoom(roomId);
+      throw new Error(`Room ${roomId} is served by node ${holder}`);
+    }
+  }
+
+  /**
+   * Publish a message to every node relaying the room
+   */
+  publish(roomId, message) {
+    this.cluster.publish(roomChannel(roomId), message);
+  }
+
+  /**
+   * Publish a Socket.IO event for the room's clients
+   * @param {string} except - Socket ID that should not receive it
+   */
+  broadcast(roomId, event, data, except = null) {
+    this.publish(roomId, { kind: 'broadcast', event, data, except });
+  }
+
+  /**
+   * Add a user to a room, creating the room first for `create`
+   * A reconnecting client sends `resume` with the last version it applied
+   * and only gets the entries it missed when they are still available.
+   */
+  async join({ roomId, create, socketId, nodeId, userId, userName, password, defaultRole, resume }) {
+    await this.claim(roomId);
+    const roomManager = this.roomManager;
+
+    if (create) {
+      if (roomManager.hasRoom(roomId)) {
+        return { error: { code: 'ROOM_EXISTS', message: `Room "${roomId}" already exists` } };
+      }
+      roomManager.createRoom(roomId, { ownerId: userId, password, defaultRole });
+      console.log(`Room ${roomId} created${password ? ' with a password' : ''}`);
+    } else {
+      // The owner can always get back in, everyone else needs the password
+      const isOwner = roomManager.getUserRole(roomId, userId) === 'owner';
+      if (!isOwner && !roomManager.checkPassword(roomId, password)) {
+        return { error: { code: 'AUTH_FAILED', message: 'Wrong or missing room password' } };
+      }
+    }
+
+    const user = roomManager.addUser(roomId, socketId, { name: userName, userId, nodeId });
+    const room = roomManager.getRoom(roomId);
+    const missedEntries = resume
+      ? room.drawingState.getEntriesSince(resume.version)
+      : null;
+    const users = roomManager.getRoomUsers(roomId);
+
+    this.broadcast(roomId, 'user-joined', { user, users }, socketId);
+
+    return {
+      user,
+      version: room.drawingState.version,
+      // Only what the client missed while disconnected, or the full state
+      entries: missedEntries,
+      state: missedEntries ? null : room.drawingState.getFullState(),
+      users,
+      ownerId: room.ownerId,
+      canvasSize: room.canvasSize
+    };
+  }
+
+  /**
+   * Re-register the users of a node after this node took over the room
+   */
+  async rejoin({ roomId, nodeId, users }) {
+    await this.claim(roomId);
+
+    const restored = users.map(user => this.roomManager.addUser(roomId, user.id, {
+      name: user.name,
+      userId: user.userId,
+      nodeId
+    }));
+    this.broadcast(roomId, 'users-updated', { users: this.roomManager.getRoomUsers(roomId) });
+
+    return { users: restored };
+  }
+
+  /**
+   * Remove a user from a room
+   */
+  async leave({ roomId, socketId }) {
+    await this.claim(roomId);
+    this.removeUser(roomId, socketId);
+    return {};
+  }
+
+  /**
+   * Remove a user and tell the others
+   */
+  removeUser(roomId, socketId) {
+    const user = this.roomManager.getUser(roomId, socketId);
+    if (!user) return;
+
+    this.roomManager.removeUser(roomId, socketId);
+    this.broadcast(roomId, 'user-left', {
+      userId: socketId,
+      userName: user.name,
+      users: this.roomManager.getRoomUsers(roomId)
+    });
+  }
+
+  /**
+   * Apply a change to a room's drawing and publish the resulting log entry
+   * Permissions are checked by the node the request came from.
+   * @param {Object} params
+   * @param {string} params.clientId - Client ID of an undo or redo, if any;
+   *   operations carry their own
+   * @returns {Object} { entry }, where entry is null if nothing changed, or
+   *   { entry: null, duplicateOf } when the operation's client already sent it
+   */
+  async command({ roomId, action, userId, operation, clientId }) {
+    await this.claim(roomId);
+    const drawingState = this.roomManager.getRoom(roomId).drawingState;
+
+    // A client replaying its queue after a reconnect may send an operation,
+    // undo or redo the room already has
+    const sent = operation || { userId, clientId };
+    if (sent.clientId) {
+      const existingId = drawingState.findClientOperation(sent.userId, sent.clientId);
+      if (existingId !== undefined) {
+        return { entry: null, duplicateOf: existingId };
+      }
+    }
+
+    let entry;
+    switch (action) {
+      case 'add-operation': {
+        const layerError = this.checkLayers(drawingState, [operation]);
+        if (layerError) return layerError;
+        if (operation.type === 'image' && !this.roomManager.storage.hasBlob(roomId, operation.imageId)) {
+          return { error: { code: 'NOT_FOUND', message: 'Upload the image before placing it' } };
+        }
+        entry = drawingState.addOperation(operation);
+        break;
+      }
+      case 'update-operation': {
+        // The target may have been undone or cleared since the client saw it
+        const target = drawingState.findVisible(operation.targetId);
+        if (!target) {
+          return { error: { code: 'NOT_FOUND', message: 'The object was removed or undone' } };
+        }
+        if (!canUpdate(target, operation.changes)) {
+          return { error: { code: 'INVALID_PAYLOAD', message: `A ${target.type} can't be changed that way` } };
+        }
+        const layerError = this.checkLayers(drawingState, [target]);
+        if (layerError) return layerError;
+        entry = drawingState.addOperation(operation);
+        break;
+      }
+      case 'transform-operation':
+      case 'delete-operation': {
+        // Targets removed meanwhile are left out, the others still change
+        const targets = drawingState.findAllVisible(operation.targetIds);
+        if (targets.length === 0) {
+          return { error: { code: 'NOT_FOUND', message: 'The objects were removed or undone' } };
+        }
+        const fixed = targets.find(target => !canTransform(target));
+        if (fixed) {
+          return { error: { code: 'INVALID_PAYLOAD', message: `Operation ${fixed.id} can't be selected` } };
+        }
+        const layerError = this.checkLayers(drawingState, targets);
+        if (layerError) return layerError;
+        entry = drawingState.addOperation({ ...operation, targetIds: targets.map(target => target.id) });
+        break;
+      }
+      case 'layer-change': {
+        if (operation.action === 'add') {
+          const { maxLayers } = config.validation;
+          if (drawingState.layers.length >= maxLayers) {
+            return { error: { code: 'INVALID_PAYLOAD', message: `A room can have at most ${maxLayers} layers` } };
+          }
+          entry = drawingState.changeLayer({ ...operation, layerId: drawingState.nextLayerId() });
+          break;
+        }
+        if (!drawingState.getLayer(operation.layerId)) {
+          return { error: { code: 'NOT_FOUND', message: 'The layer doesn\'t exist' } };
+        }
+        entry = drawingState.changeLayer(operation);
+        break;
+      }
+      case 'undo':
+        entry = drawingState.undo(userId, clientId);
+        // Refused so a client that showed the undo takes it back
+        if (!entry) return { error: { code: 'NOT_FOUND', message: 'Nothing to undo' } };
+        break;
+      case 'redo':
+        entry = drawingState.redo(userId, clientId);
+        if (!entry) return { error: { code: 'NOT_FOUND', message: 'Nothing to redo' } };
+        break;
+      case 'room-undo':
+        entry = drawingState.undoRoom();
+        break;
+      case 'room-redo':
+        entry = drawingState.redoRoom();
+        break;
+      case 'clear':
+        entry = drawingState.clear(userId);
+        break;
+      default:
+        throw new Error(`Unknown command: ${action}`);
+    }
+
+    if (entry) {
+      this.publish(roomId, {
+        kind: 'entry',
+        event: ENTRY_EVENTS[entry.type],
+        version: entry.version,
+        entry
+      });
+    }
+    return { entry: entry || null };
+  }
+
+  /**
+   * Check that operations may be added to or changed on their layers
+   * @param {DrawingState} drawingState - The room's drawing state
+   * @param {Array} operations - New operations, or the targets of an edit
+   * @returns {Object|null} An error response, or null if all layers allow it
+   */
+  checkLayers(drawingState, operations) {
+    for (const op of operations) {
+      const layer = drawingState.getLayer(getLayerId(op));
+      if (!layer) {
+        return { error: { code: 'NOT_FOUND', message: 'The layer doesn\'t exist' } };
+      }
+      if (layer.locked) {
+        return { error: { code: 'FORBIDDEN', message: `Layer "${layer.name}" is locked` } };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Change a user's role and tell each of their connections
+   */
+  async setRole({ roomId, userId, role }) {
+    await this.claim(roomId);
+
+    const sessions = this.roomManager.setUserRole(roomId, userId, role);
+    if (sessions.length > 0) {
+      this.publish(roomId, { kind: 'role-changed', userId, role });
+    }
+    this.broadcast(roomId, 'users-updated', { users: this.roomManager.getRoomUsers(roomId) });
+    return {};
+  }
+
+  /**
+   * Import operations into a room, creating it (owned by the importer) if
+   * it doesn't exist yet. Connected users reload the whole canvas.
+   * @param {Object} payload
+   * @param {Array} payload.images - [{ imageId, data }] with base64 data, from
+   *   the document; image operations may also use images the room already has
+   * @param {Array} payload.layers - Layers of the document; operations may
+   *   also be on layers the room already has
+   */
+  async importDrawing({ roomId, userId, operations, images = [], layers = [], replace }) {
+    await this.claim(roomId);
+    const roomManager = this.roomManager;
+    const storage = roomManager.storage;
+
+    const exists = roomManager.hasRoom(roomId);
+    if (exists && !can(roomManager.getUserRole(roomId, userId), 'import')) {
+      return { error: { code: 'FORBIDDEN', message: 'Only the room owner can import' } };
+    }
+
+    const provided = new Set(images.map(image => image.imageId));
+    const missing = operations.find(op =>
+      op.type === 'image' && !provided.has(op.imageId) && !storage.hasBlob(roomId, op.imageId));
+    if (missing) {
+      return { error: { code: 'INVALID_PAYLOAD', message: `Image ${missing.imageId} is not in the document` } };
+    }
+    // The room's layers plus those of the document
+    const roomLayers = exists ? roomManager.getRoom(roomId).drawingState.layers : [{ id: DEFAULT_LAYER_ID }];
+    const layerIds = new Set(roomLayers.concat(layers).map(layer => layer.id));
+    const stray = operations.find(op => op.type !== 'clear' && !layerIds.has(getLayerId(op)));
+    if (stray) {
+      return { error: { code: 'INVALID_PAYLOAD', message: `Layer ${stray.layerId} is not in the document` } };
+    }
+    if (layerIds.size > config.validation.maxLayers) {
+      return { error: { code: 'INVALID_PAYLOAD', message: `A room can have at most ${config.validation.maxLayers} layers` } };
+    }
+
+    const added = images
+      .filter(image => !storage.hasBlob(roomId, image.imageId))
+      .reduce((total, image) => total + Buffer.byteLength(image.data, 'base64'), 0);
+    if (storage.blobUsage(roomId) + added > config.images.maxRoomBytes) {
+      return { error: { code: 'INVALID_PAYLOAD', message: 'The room has no space left for these images' } };
+    }
+
+    if (!exists) {
+      roomManager.createRoom(roomId, { ownerId: userId });
+    }
+    for (const image of images) {
+      storage.saveBlob(roomId, image.imageId, Buffer.from(image.data, 'base64'));
+    }
+
+    const room = roomManager.getRoom(roomId);
+    room.drawingState.importOperations(operations, { userId, replace, layers });
+    console.log(`Imported ${operations.length} operations into room ${roomId}`);
+
+    const state = room.drawingState.getFullState();
+    this.publish(roomId, {
+      kind: 'reload',
+      version: state.version,
+      state,
+      users: roomManager.getRoomUsers(roomId),
+      ownerId: room.ownerId,
+      canvasSize: room.canvasSize
+    });
+
+    return {
+      imported: operations.length,
+      operationCounter: room.drawingState.operationCounter,
+      version: room.drawingState.version
+    };
+  }
+
+  /**
+   * Read a room without changing it
+   * @param {Object} payload
+   * @param {string} payload.view - 'stats', 'state', 'operations', 'history',
+   *   or 'access' to only check read access
+   * @param {Object} payload.access - { userId, password } to check read access
+   *   against a password-protected room, null to skip the check
+   */
+  async read({ roomId, view, access = null }) {
+    await this.claim(roomId);
+    const roomManager = this.roomManager;
+
+    if (!roomManager.hasRoom(roomId)) {
+      return { error: { code: 'NOT_FOUND', message: 'Room not found' } };
+    }
+    if (access && !this.canRead(roomId, access)) {
+      return { error: { code: 'AUTH_FAILED', message: 'Wrong or missing room password' } };
+    }
+
+    const room = roomManager.getRoom(roomId);
+    switch (view) {
+      case 'access':
+        return {};
+      case 'stats':
+        return { stats: roomManager.getRoomStats(roomId) };
+      case 'state':
+        return { state: room.drawingState.getFullState() };
+      case 'operations':
+        return {
+          operations: room.drawingState.getActiveOperations(),
+          layers: room.drawingState.layers,
+          version: room.drawingState.version,
+          createdAt: room.createdAt
+        };
+      case 'history':
+        return { entries: roomManager.getHistory(roomId) };
+      default:
+        throw new Error(`Unknown view: ${view}`);
+    }
+  }
+
+  /**
+   * Check that a user is in a room, on any node, and has a permission there
+   * Used for HTTP requests that act for a member, such as image uploads.
+   */
+  async authorize({ roomId, userId, permission }) {
+    await this.claim(roomId);
+    const roomManager = this.roomManager;
+
+    const isMember = roomManager.hasRoom(roomId) &&
+      roomManager.getRoomUsers(roomId).some(user => user.userId === userId);
+    if (!isMember) {
+      return { error: { code: 'NOT_FOUND', message: 'Join the room first' } };
+    }
+    if (!can(roomManager.getUserRole(roomId, userId), permission)) {
+      return { error: { code: 'FORBIDDEN', message: `Your role may not ${permission} in this room` } };
+    }
+    return {};
+  }
+
+  /**
+   * Check read access: password-protected rooms need the password or the
+   * owner's user ID
+   */
+  canRead(roomId, { userId, password }) {
+    if (userId && this.roomManager.getUserRole(roomId, userId) === 'owner') {
+      return true;
+    }
+    return this.roomManager.checkPassword(roomId, password);
+  }
+
+  /**
+   * Keep the leases of the loaded rooms, release the others and remove users
+   * whose node stopped sending heartbeats
+   */
+  async renewLeases() {
+    const loaded = new Set(this.roomManager.getAllRooms());
+    const alive = new Map(); // nodeId -> boolean, checked once per round
+
+    for (const roomId of [...this.cluster.ownedRooms]) {
+      if (!loaded.has(roomId)) {
+        await this.cluster.releaseRoom(roomId);
+      }
+    }
+
+    for (const roomId of loaded) {
+      const holder = await this.cluster.getAuthority(roomId);
+      if (holder !== this.cluster.nodeId) {
+        // Another node took over, its copy of the room is the real one now
+        this.roomManager.unloadRoom(roomId);
+        console.warn(`Lost the lease for room ${roomId} to node ${holder}`);
+        continue;
+      }
+
+      for (const user of this.roomManager.getRoomUsers(roomId)) {
+        if (!user.nodeId || user.nodeId === this.cluster.nodeId) continue;
+        if (!alive.has(user.nodeId)) {
+          alive.set(user.nodeId, await this.cluster.isAlive(user.nodeId));
+        }
+        if (!alive.get(user.nodeId)) {
+          this.removeUser(roomId, user.id);
+        }
+      }
+    }
+  }
+}
+
+module.exports = RoomAuthority;
@@ -0,0 +1,153 @@
+const { roomChannel } = require('./cluster');
+
+/**
+ * RoomChannels - The room channels this node relays to its sockets
+ *
+ * A node subscribes to a room's channel while any of its sockets is in the
+ * room (or joining it) and keeps the sockets' user objects, so it can apply
+ * role changes and reloads and re-register the users when another node takes
+ * the room over.
+ *
+ * Recent versioned messages are kept so a socket whose join was answered
+ * with an older version can be sent what it missed: those messages were
+ * relayed before the socket was added to the Socket.IO room.
+ */
+class RoomChannels {
+  /**
+   * @param {ClusterNode} cluster - This node's cluster membership
+   * @param {Object} options
+   * @param {Function} options.onMessage - Called with (channel, message) for every message
+   * @param {number} options.recentSize - Versioned messages kept per room
+   */
+  constructor(cluster, { onMessage, recentSize = 500 }) {
+    this.cluster = cluster;
+    this.onMessage = onMessage;
+    this.recentSize = recentSize;
+    this.channels = new Map(); // roomId -> channel
+  }
+
+  /**
+   * Start relaying a room, or count one more socket for it
+   * @param {string} roomId - The room identifier
+   * @returns {Promise<Object>} The channel
+   */
+  async open(roomId) {
+    let channel = this.channels.get(roomId);
+    if (!channel) {
+      channel = {
+        roomId,
+        refs: 0,
+        users: new Map(), // socketId -> user object of this node's sockets
+        recent: [],
+        authority: null,
+        subscribed: null
+      };
+      channel.subscribed = this.cluster.subscribe(
+        roomChannel(roomId),
+        (message) => this.receive(channel, message)
+      );
+      this.channels.set(roomId, channel);
+    }
+
+    channel.refs++;
+    await channel.subscribed;
+    return channel;
+  }
+
+  /**
+   * Stop relaying a room once no socket needs it anymore
+   * @param {string} roomId - The room identifier
+   */
+  close(roomId) {
+    const channel = this.channels.get(roomId);
+    if (!channel || --channel.refs > 0) return;
+
+    this.channels.delete(roomId);
+    channel.subscribed
+      .then(unsubscribe => unsubscribe())
+      .catch(error => console.error(`Failed to unsubscribe from room ${roomId}:`, error));
+  }
+
+  /**
+   * Get the channel of a room, if this node relays it
+   */
+  get(roomId) {
+    return this.channels.get(roomId) || null;
+  }
+
+  /**
+   * Handle a message published on a room's channel
+   */
+  receive(channel, message) {
+    if (this.channels.get(channel.roomId) !== channel) return; // closed
+
+    if (message.version !== undefined) {
+      channel.recent.push(message);
+      if (channel.recent.length > this.recentSize) {
+        channel.recent.shift();
+      }
+    }
+    this.onMessage(channel, message);
+  }
+
+  /**
+   * Get the versioned messages relayed after a version, in order
+   * @param {Object} channel - The room's channel
+   * @param {number} version - Last version the socket has
+   * @returns {Array} Messages
+   */
+  missedSince(channel, version) {
+    return channel.recent.filter(message => message.version > version);
+  }
+
+  /**
+   * Send a request to a room's authority
+   * If the authority changed since the last request, this node's users are
+   * re-registered with the new one first.
+   * @param {string} roomId - The room identifier
+   * @param {string} type - Request type
+   * @param {Object} payload - Request data
+   * @returns {Promise<*>} The authority's result
+   */
+  async request(roomId, type, payload = {}) {
+    const channel = this.channels.get(roomId);
+    const authority = await this.cluster.getAuthority(roomId);
+
+    if (channel) {
+      await this.followAuthority(channel, authority);
+    }
+    return this.cluster.request(authority, type, { ...payload, roomId });
+  }
+
+  /**
+   * Check every relayed room for a new authority, e.g. after a node died
+   */
+  async checkAuthorities() {
+    for (const channel of [...this.channels.values()]) {
+      if (channel.users.size === 0) continue;
+      await this.followAuthority(channel, await this.cluster.getAuthority(channel.roomId));
+    }
+  }
+
+  /**
+   * Remember a room's authority, re-registering this node's users if it changed
+   */
+  async followAuthority(channel, authority) {
+    const previous = channel.authority;
+    if (previous && previous !== authority && channel.users.size > 0) {
+      const { users } = await this.cluster.request(authority, 'rejoin', {
+        roomId: channel.roomId,
+        nodeId: this.cluster.nodeId,
+        users: [...channel.users.values()]
+      });
+      // Colors may have been reassigned
+      for (const user of users) {
+        const local = channel.users.get(user.id);
+        if (local) Object.assign(local, user);
+      }
+    }
+    channel.authority = authority;
+  }
+}
+
+module.exports = RoomChannels;
@@ -1,11 +1,41 @@
+const crypto = require('crypto');
 const DrawingState = require('./drawing-state');
+const { MemoryStorage } = require('./storage');
+const { ASSIGNABLE_ROLES } = require('./permissions');
 
 /**
  * RoomManager - Manages multiple drawing rooms
- * Each room has its own canvas state and user list
+ * Each room has its own canvas state and user list. Rooms are persisted
+ * through a storage backend and loaded lazily on first access.
  */
 class RoomManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - Storage backend (see storage.js)
+   * @param {Object} options.retention - Retention policy ({ unloadAfterMs, retentionMs, sweepIntervalMs })
+   * @param {Object} options.compaction - When to compact history ({ threshold, tailSize })
+   * @param {number} options.resyncWindow - Recent entries kept per room for reconnecting clients
+   * @param {Object} options.canvasSize - Logical { width, height } of new rooms
+   * @param {Function} options.claimRoom - Resolves to true if this process may delete a
+   *   stored room (with several server processes, only the room's authority may)
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || new MemoryStorage();
+    this.retention = {
+      unloadAfterMs: 5 * 60 * 1000,
+      retentionMs: 0,
+      sweepIntervalMs: 60 * 60 * 1000,
+      ...options.retention
+    };
+    this.compaction = {
+      threshold: 1000,
+      tailSize: 200,
+      ...options.compaction
+    };
+    this.resyncWindow = options.resyncWindow || 500;
+    this.canvasSize = options.canvasSize || { width: 1920, height: 1080 };
+    this.claimRoom = options.claimRoom || (async () => true);
+    this.retentionTimer = null;
     this.rooms = new Map();
     this.userColors = [
       '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', 
@@ -15,55 +45,226 @@ class RoomManager {
   }
 
   /**
-   * Get or create a room
+   * Get or create a room, loading it from storage if it isn't in memory
    * @param {string} roomId - The room identifier
    * @returns {Object} The room object
    */
   getRoom(roomId = 'default') {
     if (!this.rooms.has(roomId)) {
-      this.rooms.set(roomId, {
-        id: roomId,
-        drawingState: new DrawingState(),
-        users: new Map(), // socketId -> user object
-        usedColors: new Set(),
-        createdAt: Date.now()
-      });
+      this.rooms.set(roomId, this.loadRoom(roomId));
+      // A room loaded only to be read (e.g. for stats) is unloaded again later
+      this.scheduleUnload(roomId);
     }
     return this.rooms.get(roomId);
   }
 
+  /**
+   * Build a room from storage, or a fresh room if it was never stored
+   * @param {string} roomId - The room identifier
+   * @returns {Object} The room object
+   */
+  loadRoom(roomId) {
+    const stored = this.storage.load(roomId);
+    const meta = stored?.meta || {};
+    const drawingState = new DrawingState({ resyncWindow: this.resyncWindow });
+    
+    if (stored) {
+      if (stored.checkpoint) {
+        drawingState.restore(stored.checkpoint);
+      }
+      stored.entries.forEach(entry => drawingState.applyEntry(entry));
+      console.log(`Loaded room ${roomId} from storage (${stored.entries.length} entries)`);
+      this.compactRoom(roomId, drawingState);
+    }
+    
+    drawingState.onChange = (entry) => {
+      this.storage.append(roomId, entry);
+      this.compactRoom(roomId, drawingState);
+    };
+    
+    const room = {
+      id: roomId,
+      drawingState,
+      users: new Map(), // socketId -> user object
+      userColors: new Map(), // userId -> color, kept so rejoining users get their color back
+      ownerId: meta.ownerId || null, // stable ID of the user who created the room
+      passwordHash: meta.passwordHash || null, // "salt:hash" from scrypt, null if open
+      defaultRole: meta.defaultRole || 'editor', // role given to users without an explicit one
+      roles: new Map(Object.entries(meta.roles || {})), // userId -> role assigned by the owner
+      canvasSize: meta.canvasSize || { ...this.canvasSize }, // logical size all clients map to
+      createdAt: meta.createdAt || Date.now(),
+      unloadTimer: null
+    };
+    
+    if (!stored) {
+      this.saveRoomMeta(room);
+    }
+    
+    return room;
+  }
+
+  /**
+   * Compact a room's history once it passes the threshold and checkpoint the
+   * result, so late joiners and reloads only deal with a short tail
+   * @param {string} roomId - The room identifier
+   * @param {DrawingState} drawingState - The room's drawing state
+   */
+  compactRoom(roomId, drawingState) {
+    if (drawingState.operations.length < this.compaction.threshold) return;
+    
+    drawingState.compact(this.compaction.tailSize);
+    this.storage.saveCheckpoint(roomId, drawingState.serialize());
+  }
+
+  /**
+   * Persist a room's metadata
+   * @param {Object} room - The room object
+   */
+  saveRoomMeta(room) {
+    this.storage.saveMeta(room.id, {
+      ownerId: room.ownerId,
+      passwordHash: room.passwordHash,
+      defaultRole: room.defaultRole,
+      roles: Object.fromEntries(room.roles),
+      canvasSize: room.canvasSize,
+      createdAt: room.createdAt
+    });
+  }
+
+  /**
+   * Create a new room owned by the given user
+   * @param {string} roomId - The room identifier (must not exist yet)
+   * @param {Object} options
+   * @param {string} options.ownerId - Stable ID of the creating user
+   * @param {string} options.password - Optional password required to join
+   * @param {string} options.defaultRole - Role for users joining later ('editor' or 'viewer')
+   * @returns {Object} The room object
+   */
+  createRoom(roomId, { ownerId, password, defaultRole = 'editor' }) {
+    const room = this.getRoom(roomId);
+    room.ownerId = ownerId;
+    room.passwordHash = password ? RoomManager.hashPassword(password) : null;
+    room.defaultRole = defaultRole;
+    this.saveRoomMeta(room);
+    return room;
+  }
+
+  /**
+   * Check a password against a room's password
+   * @param {string} roomId - The room identifier
+   * @param {string} password - The password to check
+   * @returns {boolean} True if the room is open or the password matches
+   */
+  checkPassword(roomId, password) {
+    const room = this.getRoom(roomId);
+    if (!room.passwordHash) return true;
+    if (typeof password !== 'string') return false;
+    
+    const [salt, hash] = room.passwordHash.split(':');
+    const candidate = crypto.scryptSync(password, salt, 32);
+    return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+  }
+
+  /**
+   * Get a user's role in a room
+   * @param {string} roomId - The room identifier
+   * @param {string} userId - The user's stable ID
+   * @returns {string} 'owner', 'editor' or 'viewer'
+   */
+  getUserRole(roomId, userId) {
+    const room = this.getRoom(roomId);
+    if (room.ownerId === userId) return 'owner';
+    return room.roles.get(userId) || room.defaultRole;
+  }
+
+  /**
+   * Assign a role to a user and update their connected sessions
+   * @param {string} roomId - The room identifier
+   * @param {string} userId - The user's stable ID
+   * @param {string} role - 'editor' or 'viewer'
+   * @returns {Array} The user's updated session objects (one per socket)
+   */
+  setUserRole(roomId, userId, role) {
+    const room = this.getRoom(roomId);
+    if (!ASSIGNABLE_ROLES.includes(role) || room.ownerId === userId) return [];
+    
+    room.roles.set(userId, role);
+    this.saveRoomMeta(room);
+    
+    const sessions = Array.from(room.users.values()).filter(user => user.userId === userId);
+    sessions.forEach(user => {
+      user.role = role;
+    });
+    return sessions;
+  }
+
   /**
    * Add a user to a room
    * @param {string} roomId - The room identifier
    * @param {string} socketId - The user's socket ID
-   * @param {Object} userInfo - User information (name, etc.)
+   * @param {Object} userInfo - User information (name, userId, nodeId)
    * @returns {Object} The user object with assigned color
    */
   addUser(roomId, socketId, userInfo) {
     const room = this.getRoom(roomId);
     
-    // Assign a unique color to the user
-    const availableColors = this.userColors.filter(
-      color => !room.usedColors.has(color)
-    );
-    const color = availableColors.length > 0 
-      ? availableColors[0] 
-      : this.userColors[room.users.size % this.userColors.length];
-    
-    room.usedColors.add(color);
+    const userId = userInfo.userId || socketId;
+    const color = this.assignColor(room, userId);
     
     const user = {
       id: socketId,
+      userId,
       name: userInfo.name || `User${room.users.size + 1}`,
       color: color,
-      cursor: null,
+      role: null,
+      nodeId: userInfo.nodeId || null, // server node the socket is connected to
       joinedAt: Date.now()
     };
     
     room.users.set(socketId, user);
+    clearTimeout(room.unloadTimer);
+    
+    // The first user to join a room becomes its owner
+    if (!room.ownerId) {
+      room.ownerId = user.userId;
+      this.saveRoomMeta(room);
+    }
+    user.role = this.getUserRole(roomId, user.userId);
+    
     return user;
   }
 
+  /**
+   * Pick a color for a user: the color they had before if no one else has
+   * taken it, otherwise the first color not in use
+   * @param {Object} room - The room object
+   * @param {string} userId - The user's stable ID
+   * @returns {string} The assigned color
+   */
+  assignColor(room, userId) {
+    const usedColors = new Set();
+    for (const user of room.users.values()) {
+      if (user.userId !== userId) {
+        usedColors.add(user.color);
+      }
+    }
+    
+    const previousColor = room.userColors.get(userId);
+    if (previousColor && !usedColors.has(previousColor)) {
+      return previousColor;
+    }
+    
+    const availableColors = this.userColors.filter(
+      color => !usedColors.has(color)
+    );
+    const color = availableColors.length > 0 
+      ? availableColors[0] 
+      : this.userColors[room.users.size % this.userColors.length];
+    
+    room.userColors.set(userId, color);
+    return color;
+  }
+
   /**
    * Remove a user from a room
    * @param {string} roomId - The room identifier
@@ -73,37 +274,87 @@ class RoomManager {
     const room = this.rooms.get(roomId);
     if (!room) return;
     
-    const user = room.users.get(socketId);
-    if (user) {
-      room.usedColors.delete(user.color);
-      room.users.delete(socketId);
-    }
+    room.users.delete(socketId);
     
-    // Clean up empty rooms after 5 minutes
     if (room.users.size === 0) {
-      setTimeout(() => {
-        const currentRoom = this.rooms.get(roomId);
-        if (currentRoom && currentRoom.users.size === 0) {
-          this.rooms.delete(roomId);
-        }
-      }, 5 * 60 * 1000);
+      this.scheduleUnload(roomId);
     }
   }
 
   /**
-   * Update user's cursor position
+   * Unload a room from memory once it has been empty for the configured time.
+   * Its drawing stays in storage and is reloaded on the next access.
    * @param {string} roomId - The room identifier
-   * @param {string} socketId - The user's socket ID
-   * @param {Object} cursor - Cursor position {x, y}
    */
-  updateUserCursor(roomId, socketId, cursor) {
+  scheduleUnload(roomId) {
     const room = this.rooms.get(roomId);
     if (!room) return;
     
-    const user = room.users.get(socketId);
-    if (user) {
-      user.cursor = cursor;
+    clearTimeout(room.unloadTimer);
+    room.unloadTimer = setTimeout(() => {
+      const currentRoom = this.rooms.get(roomId);
+      if (currentRoom === room && room.users.size === 0) {
+        this.rooms.delete(roomId);
+        console.log(`Unloaded idle room ${roomId}`);
+      }
+    }, this.retention.unloadAfterMs);
+    room.unloadTimer.unref();
+  }
+
+  /**
+   * Drop a room from memory right away, without waiting for it to be idle
+   * @param {string} roomId - The room identifier
+   */
+  unloadRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return;
+    
+    clearTimeout(room.unloadTimer);
+    this.rooms.delete(roomId);
+  }
+
+  /**
+   * Delete stored rooms that have had no changes for longer than the
+   * retention period. Rooms with connected users are always kept.
+   * @returns {Promise<Array>} IDs of the deleted rooms
+   */
+  async sweepRetention() {
+    if (!this.retention.retentionMs) return [];
+    
+    const cutoff = Date.now() - this.retention.retentionMs;
+    const expired = this.storage.list().filter(({ roomId, updatedAt }) => {
+      const room = this.rooms.get(roomId);
+      return updatedAt < cutoff && (!room || room.users.size === 0);
+    });
+    
+    const deleted = [];
+    for (const { roomId } of expired) {
+      if (!(await this.claimRoom(roomId))) continue;
+      
+      // Users may have joined while the room was being claimed
+      const room = this.rooms.get(roomId);
+      if (room && room.users.size > 0) continue;
+      
+      this.unloadRoom(roomId);
+      this.storage.remove(roomId);
+      deleted.push(roomId);
+      console.log(`Deleted room ${roomId} (retention period expired)`);
     }
+    
+    return deleted;
+  }
+
+  /**
+   * Start periodically applying the retention policy
+   */
+  startRetention() {
+    if (!this.retention.retentionMs || this.retentionTimer) return;
+    
+    this.retentionTimer = setInterval(
+      () => this.sweepRetention().catch(error => console.error('Retention sweep failed:', error)),
+      this.retention.sweepIntervalMs
+    );
+    this.retentionTimer.unref();
   }
 
   /**
@@ -136,25 +387,71 @@ class RoomManager {
    * @returns {Object} Room statistics
    */
   getRoomStats(roomId) {
-    const room = this.rooms.get(roomId);
-    if (!room) return null;
+    if (!this.hasRoom(roomId)) return null;
+    const room = this.getRoom(roomId);
     
     return {
       id: roomId,
       userCount: room.users.size,
       users: this.getRoomUsers(roomId),
+      ownerId: room.ownerId,
+      passwordProtected: Boolean(room.passwordHash),
+      canvasSize: room.canvasSize,
       drawingStats: room.drawingState.getStats(),
       createdAt: room.createdAt
     };
   }
 
   /**
-   * Get all active rooms
+   * Get a room's complete change log, including everything compacted away
+   * @param {string} roomId - The room identifier
+   * @returns {Array} Log entries (operations and undo/redo events) in order
+   */
+  getHistory(roomId) {
+    return this.storage.readEntries(roomId);
+  }
+
+  /**
+   * Check whether a room exists in memory or in storage
+   * @param {string} roomId - The room identifier
+   * @returns {boolean} True if the room exists
+   */
+  hasRoom(roomId) {
+    return this.rooms.has(roomId) || this.storage.exists(roomId);
+  }
+
+  /**
+   * Get all rooms loaded in memory
    * @returns {Array} Array of room IDs
    */
   getAllRooms() {
     return Array.from(this.rooms.keys());
   }
+
+  /**
+   * Hash a room password with a random salt
+   * @param {string} password - The plain password
+   * @returns {string} "salt:hash" in hex
+   */
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 32).toString('hex');
+    return `${salt}:${hash}`;
+  }
+
+  /**
+   * Derive a public user ID from the secret key a client keeps locally.
+   * The key itself is never broadcast, so other users can't claim the ID.
+   * @param {string} userKey - The client's secret user key
+   * @returns {string} Stable public user ID
+   */
+  static deriveUserId(userKey) {
+    return crypto
+      .createHash('sha256')
+      .update(String(userKey))
+      .digest('hex')
+      .slice(0, 16);
+  }
 }
 
 module.exports = RoomManager;
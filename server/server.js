@@ -4,212 +4,1184 @@ const { Server } = require('socket.io');
 const path = require('path');
 const cors = require('cors');
 const RoomManager = require('./rooms');
+const RoomAuthority = require('./room-authority');
+const RoomChannels = require('./room-channels');
+const { ClusterNode, createClusterAdapter, roomChannel } = require('./cluster');
+const { createStorage } = require('./storage');
+const { RateLimiter } = require('./rate-limiter');
+const { can, getPermissions } = require('./permissions');
+const { getStateAt } = require('./history');
+const { detectImageType, getImageId, isImageId, getMimeType } = require('./images');
+const {
+  renderSvg,
+  getVisibleOperations,
+  renderPng,
+  getExportArea,
+  getOutputSize,
+  ExportCache
+} = require('./export');
+const {
+  validateJoin,
+  validateCreateRoom,
+  validateRoleChange,
+  validateStroke,
+  validateShape,
+  validateText,
+  validateUpdate,
+  validateTransform,
+  validateDelete,
+  validateHistoryStep,
+  validateImage,
+  validateLayerChange,
+  validateStrokeBegin,
+  validatePointBatch,
+  validateStrokeEnd,
+  validateCursor,
+  validateTool,
+  validateExportQuery,
+  validateRasterQuery,
+  validateImport,
+  validateImportImages,
+  validateImportLayers,
+  validateImportQuery,
+  validateHistoryQuery,
+  withClientId
+} = require('./validation');
+const config = require('./config');
 
-const app = express();
-const httpServer = createServer(app);
-const io = new Server(httpServer, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  },
-  // Performance optimizations
-  pingTimeout: 60000,
-  pingInterval: 25000
-});
-
-const roomManager = new RoomManager();
-const PORT = process.env.PORT || 3000;
-
-// Enable CORS for all routes (for independent client)
-app.use(cors());
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    rooms: roomManager.getAllRooms().length,
-    uptime: process.uptime()
-  });
-});
-
-// API endpoint to get room stats
-app.get('/api/rooms/:roomId/stats', (req, res) => {
-  const stats = roomManager.getRoomStats(req.params.roomId);
-  if (stats) {
-    res.json(stats);
-  } else {
-    res.status(404).json({ error: 'Room not found' });
-  }
-});
+// HTTP status for the error codes of refused authority requests
+const HTTP_STATUS = {
+  NOT_FOUND: 404,
+  AUTH_FAILED: 403,
+  FORBIDDEN: 403
+};
 
 /**
- * WebSocket Connection Handler
+ * Get a log entry as a user receives it
+ * The client ID an author's client gave an operation, undo or redo is only
+ * for that client to match the entry with its queue, so it goes back to
+ * the author alone.
+ * @param {Object} entry - Log entry
+ * @param {Object|null} user - The receiving user, null for anyone else
+ * @returns {Object} The entry, without the client ID unless it's the user's
  */
-io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
-  
-  let currentRoom = 'default';
-  let currentUser = null;
+function entryFor(entry, user) {
+  if (!entry.clientId || (user && user.userId === entry.userId)) return entry;
+  const { clientId, ...shared } = entry;
+  return shared;
+}
 
-  /**
-   * Join a drawing room
-   */
-  socket.on('join-room', (data) => {
-    const { roomId = 'default', userName } = data;
-    currentRoom = roomId;
-    
-    // Join the Socket.IO room
-    socket.join(roomId);
-    
-    // Add user to room manager
-    currentUser = roomManager.addUser(roomId, socket.id, { name: userName });
-    
-    const room = roomManager.getRoom(roomId);
-    
-    // Send the full canvas state to the new user
-    socket.emit('init-canvas', {
-      user: currentUser,
-      state: room.drawingState.getFullState(),
-      users: roomManager.getRoomUsers(roomId)
-    });
-    
-    // Notify other users about the new user
-    socket.to(roomId).emit('user-joined', {
-      user: currentUser,
-      users: roomManager.getRoomUsers(roomId)
-    });
-    
-    console.log(`User ${currentUser.name} joined room ${roomId}`);
-  });
+/**
+ * Build the `init-canvas` payload that gives a user the full canvas state
+ * @param {Object} room - { state, users, ownerId, canvasSize } from the room's authority
+ * @param {Object} user - The receiving user
+ */
+function initCanvasPayload({ state, users, ownerId, canvasSize }, user) {
+  const visible = (operations) => operations.map(op => entryFor(op, user));
+  return {
+    user,
+    state: {
+      ...state,
+      operations: visible(state.operations),
+      ...(state.snapshot && { snapshot: { ...state.snapshot, operations: visible(state.snapshot.operations) } })
+    },
+    users,
+    ownerId,
+    canvasSize,
+    permissions: getPermissions(user.role)
+  };
+}
 
-  /**
-   * Handle drawing stroke events
-   */
-  socket.on('draw-stroke', (data) => {
-    const room = roomManager.getRoom(currentRoom);
-    const operation = room.drawingState.addOperation({
-      type: 'stroke',
-      userId: socket.id,
-      userName: currentUser?.name,
-      ...data
-    });
-    
-    // Broadcast to all users in the room (including the sender) so everyone
-    // receives the authoritative operation with its assigned ID
-    io.to(currentRoom).emit('draw-stroke', operation);
+/**
+ * Create a server instance, one node of the cluster
+ * Several instances can run in the same process when their cluster adapters
+ * share a LocalHub (see cluster-local.js).
+ * @param {Object} options
+ * @param {ClusterNode} options.cluster - This node's cluster membership
+ * @param {Object} options.storage - Storage backend, shared by all nodes
+ * @returns {Object} { app, io, httpServer, cluster, listen(port), close() }
+ */
+function createCanvasServer({ cluster, storage }) {
+  const app = express();
+  const httpServer = createServer(app);
+  const io = new Server(httpServer, {
+    cors: {
+      origin: "*",
+      methods: ["GET", "POST"]
+    },
+    // Performance optimizations
+    pingTimeout: 60000,
+    pingInterval: 25000
   });
 
-  /**
-   * Handle cursor movement
-   */
-  socket.on('cursor-move', (cursor) => {
-    roomManager.updateUserCursor(currentRoom, socket.id, cursor);
-    
-    // Broadcast cursor position to other users
-    socket.to(currentRoom).emit('cursor-move', {
-      userId: socket.id,
-      userName: currentUser?.name,
-      color: currentUser?.color,
-      cursor: cursor
-    });
+  // Rooms this node is the authority for
+  const roomManager = new RoomManager({
+    storage,
+    compaction: config.compaction,
+    resyncWindow: config.resyncWindow,
+    canvasSize: config.canvasSize,
+    retention: config.retention,
+    // Only the authority of a room may delete it
+    claimRoom: async (roomId) => (await cluster.getAuthority(roomId)) === cluster.nodeId
   });
+  roomManager.startRetention();
+  const authority = new RoomAuthority(cluster, roomManager);
 
   /**
-   * Handle undo operation
+   * Relay a message from a room's authority to this node's sockets
    */
-  socket.on('undo', () => {
-    const room = roomManager.getRoom(currentRoom);
-    const undoResult = room.drawingState.undo();
-    
-    if (undoResult) {
-      // Broadcast undo to all users including sender
-      io.to(currentRoom).emit('undo', undoResult);
-      console.log(`Undo operation in room ${currentRoom}`);
+  const relayRoomMessage = (channel, message) => {
+    const roomId = channel.roomId;
+
+    switch (message.kind) {
+      case 'entry': {
+        // The author's connections in the room get the entry with its client ID
+        const authors = [...channel.users.values()]
+          .filter(user => user.userId === message.entry.userId && io.sockets.sockets.get(user.id)?.rooms.has(roomId))
+          .map(user => user.id);
+        io.to(roomId).except(authors).emit(message.event, entryFor(message.entry, null));
+        for (const id of authors) {
+          io.to(id).emit(message.event, message.entry);
+        }
+        break;
+      }
+      case 'broadcast': {
+        const target = message.except ? io.to(roomId).except(message.except) : io.to(roomId);
+        target.emit(message.event, message.data);
+        break;
+      }
+      case 'role-changed':
+        // Tell each of the user's connections about their new permissions
+        for (const user of channel.users.values()) {
+          if (user.userId !== message.userId) continue;
+          user.role = message.role;
+          io.to(user.id).emit('role-changed', {
+            role: user.role,
+            permissions: getPermissions(user.role)
+          });
+        }
+        break;
+      case 'reload':
+        // Connected users reload the canvas through the usual initialization path
+        for (const user of channel.users.values()) {
+          io.to(user.id).emit('init-canvas', initCanvasPayload(message, user));
+        }
+        break;
     }
+  };
+
+  // Rooms this node's sockets are in, whichever node is their authority
+  const roomChannels = new RoomChannels(cluster, {
+    onMessage: relayRoomMessage,
+    recentSize: config.resyncWindow
   });
 
+  cluster.onHeartbeat = async () => {
+    await authority.renewLeases();
+    await roomChannels.checkAuthorities();
+  };
+
+  const pngCache = new ExportCache(config.export.cacheEntries);
+
+  const rateLimiter = new RateLimiter(config.rateLimit);
+  const sweepTimer = setInterval(() => rateLimiter.sweep(), 60 * 1000);
+  sweepTimer.unref();
+
+  // Enable CORS for all routes (for independent client)
+  app.use(cors());
+
   /**
-   * Handle redo operation
+   * Wrap an async route handler so its errors reach the error middleware
    */
-  socket.on('redo', () => {
-    const room = roomManager.getRoom(currentRoom);
-    const redoResult = room.drawingState.redo();
-    
-    if (redoResult) {
-      // Broadcast redo to all users including sender
-      io.to(currentRoom).emit('redo', redoResult);
-      console.log(`Redo operation in room ${currentRoom}`);
-    }
-  });
+  const route = (handler) => (req, res, next) => {
+    handler(req, res).catch(next);
+  };
 
   /**
-   * Handle clear canvas
+   * Send a request to a room's authority for an HTTP request
+   * @returns {Promise<Object|null>} The result, or null if a response was sent
    */
-  socket.on('clear-canvas', () => {
-    const room = roomManager.getRoom(currentRoom);
-    const clearOp = room.drawingState.clear();
-    
-    // Broadcast clear to all users including sender
-    io.to(currentRoom).emit('clear-canvas', clearOp);
-    console.log(`Canvas cleared in room ${currentRoom}`);
-  });
+  const askAuthority = async (res, roomId, type, payload) => {
+    let result;
+    try {
+      result = await roomChannels.request(roomId, type, payload);
+    } catch (error) {
+      console.error(`${type} request for room ${roomId} failed:`, error.message);
+      res.status(503).json({ error: 'The room is temporarily unavailable, try again' });
+      return null;
+    }
+
+    if (result.error) {
+      res.status(HTTP_STATUS[result.error.code] || 400).json({ error: result.error.message });
+      return null;
+    }
+    return result;
+  };
 
   /**
-   * Handle tool change (for showing other users what tool someone is using)
+   * Read a room for an HTTP request and validate its query
+   * Password-protected rooms need the password (X-Room-Password header) or
+   * the owner's user key (X-User-Key header).
+   * @param {string} view - What to read, see RoomAuthority.read
+   * @returns {Promise<Object|null>} { result, options }, or null if a response was sent
    */
-  socket.on('tool-change', (tool) => {
-    socket.to(currentRoom).emit('user-tool-change', {
-      userId: socket.id,
-      userName: currentUser?.name,
-      tool: tool
+  const readRoom = async (req, res, view, validator = () => ({ value: {} })) => {
+    const userKey = req.get('X-User-Key');
+    const result = await askAuthority(res, req.params.roomId, 'read', {
+      view,
+      access: {
+        userId: userKey ? RoomManager.deriveUserId(userKey) : null,
+        password: req.get('X-Room-Password')
+      }
+    });
+    if (!result) return null;
+
+    const { value: options, error } = validator(req.query);
+    if (error) {
+      res.status(400).json({ error });
+      return null;
+    }
+    return { result, options };
+  };
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      nodeId: cluster.nodeId,
+      // Rooms this node is the authority for
+      rooms: roomManager.getAllRooms().length,
+      uptime: process.uptime()
     });
   });
 
+  // API endpoint to get room stats (its users, so protected rooms need the password)
+  app.get('/api/rooms/:roomId/stats', route(async (req, res) => {
+    const read = await readRoom(req, res, 'stats');
+    if (!read) return;
+
+    res.json(read.result.stats);
+  }));
+
   /**
-   * Request current room stats
+   * Load the stored images used by image operations
+   * @param {string} roomId - The room identifier
+   * @param {Array} operations - Operations that may reference images
+   * @returns {Map} File contents by image ID
    */
-  socket.on('get-room-stats', () => {
-    const stats = roomManager.getRoomStats(currentRoom);
-    socket.emit('room-stats', stats);
-  });
+  const loadImages = (roomId, operations) => {
+    const images = new Map();
+    for (const op of operations) {
+      if (op.type !== 'image' || images.has(op.imageId)) continue;
+      const data = storage.loadBlob(roomId, op.imageId);
+      if (data) images.set(op.imageId, data);
+    }
+    return images;
+  };
+
+  // Upload an image for an `image` operation; the body is the raw file.
+  // Only members of the room who may draw can upload.
+  app.post('/api/rooms/:roomId/images', express.raw({ type: () => true, limit: config.images.maxBytes }), route(async (req, res) => {
+    const { roomId } = req.params;
+    const userKey = req.get('X-User-Key');
+    if (!userKey) {
+      return res.status(401).json({ error: 'X-User-Key header is required' });
+    }
+
+    const result = await askAuthority(res, roomId, 'authorize', {
+      userId: RoomManager.deriveUserId(userKey),
+      permission: 'draw'
+    });
+    if (!result) return;
+
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const type = detectImageType(data);
+    if (!type) {
+      return res.status(400).json({ error: 'Images must be PNG, JPEG, GIF or WebP files' });
+    }
+
+    const imageId = getImageId(data, type);
+    if (!storage.hasBlob(roomId, imageId)) {
+      if (storage.blobUsage(roomId) + data.length > config.images.maxRoomBytes) {
+        return res.status(413).json({ error: 'The room has no space left for images' });
+      }
+      storage.saveBlob(roomId, imageId, data);
+    }
+
+    res.status(201).json({ imageId });
+  }));
+
+  // An uploaded image, for everyone who can read the room
+  app.get('/api/rooms/:roomId/images/:imageId', route(async (req, res) => {
+    const { roomId, imageId } = req.params;
+    if (!isImageId(imageId)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    const read = await readRoom(req, res, 'access');
+    if (!read) return;
+
+    const data = storage.loadBlob(roomId, imageId);
+    if (!data) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // Stored images never change: their ID is a hash of the content
+    res.set({
+      'Cache-Control': 'private, max-age=31536000, immutable',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.type(getMimeType(imageId)).send(data);
+  }));
+
+  // Export the drawing as JSON, in the format accepted by the import endpoint.
+  // Images are included as base64 so the document stands alone.
+  app.get('/api/rooms/:roomId/export.json', route(async (req, res) => {
+    const read = await readRoom(req, res, 'state');
+    if (!read) return;
+
+    const { state } = read.result;
+    const operations = (state.snapshot ? state.snapshot.operations : []).concat(state.operations);
+    const images = {};
+    for (const [imageId, data] of loadImages(req.params.roomId, operations)) {
+      images[imageId] = data.toString('base64');
+    }
+
+    res.json({
+      roomId: req.params.roomId,
+      exportedAt: Date.now(),
+      state,
+      images
+    });
+  }));
+
+  // Import a drawing (a getFullState() document or a JSON export), owner only.
+  // The room is created, owned by the importer, if it doesn't exist yet.
+  app.post('/api/rooms/:roomId/import', express.json({ limit: config.import.maxBodySize }), route(async (req, res) => {
+    const { roomId } = req.params;
+    if (roomId.length > config.validation.maxRoomIdLength) {
+      return res.status(400).json({ error: 'Room ID is too long' });
+    }
+
+    const userKey = req.get('X-User-Key');
+    if (!userKey) {
+      return res.status(401).json({ error: 'X-User-Key header is required' });
+    }
+
+    const query = validateImportQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error });
+    }
+    const { value: operations, error } = validateImport(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const images = validateImportImages(req.body);
+    if (images.error) {
+      return res.status(400).json({ error: images.error });
+    }
+    const layers = validateImportLayers(req.body);
+    if (layers.error) {
+      return res.status(400).json({ error: layers.error });
+    }
+
+    const result = await askAuthority(res, roomId, 'import', {
+      userId: RoomManager.deriveUserId(userKey),
+      operations,
+      images: images.value,
+      layers: layers.value,
+      replace: query.value.replace
+    });
+    if (!result) return;
+
+    res.json(result);
+  }));
+
+  // The room's complete change log, for history playback
+  app.get('/api/rooms/:roomId/history', route(async (req, res) => {
+    const read = await readRoom(req, res, 'history');
+    if (!read) return;
+
+    res.json({ entries: read.result.entries });
+  }));
+
+  // The drawing as it was at a timestamp, operation or version
+  app.get('/api/rooms/:roomId/history/state', route(async (req, res) => {
+    const read = await readRoom(req, res, 'history', validateHistoryQuery);
+    if (!read) return;
+
+    const result = getStateAt(read.result.entries, read.options);
+    if (!result) {
+      return res.status(404).json({ error: 'Operation not found in the room history' });
+    }
+    res.json(result);
+  }));
+
+  // Export the current drawing as SVG
+  app.get('/api/rooms/:roomId/export.svg', route(async (req, res) => {
+    const read = await readRoom(req, res, 'operations', validateExportQuery);
+    if (!read) return;
+
+    const { operations, layers } = read.result;
+    const images = loadImages(req.params.roomId, getVisibleOperations(operations, layers));
+    res.type('image/svg+xml').send(renderSvg(operations, { ...read.options, images, layers }));
+  }));
+
+  // Export the current drawing as PNG, rendered on the server
+  app.get('/api/rooms/:roomId/export.png', route(async (req, res) => {
+    const read = await readRoom(req, res, 'operations', validateRasterQuery);
+    if (!read) return;
+
+    const { operations, layers, version, createdAt } = read.result;
+    const options = read.options;
+    const area = getExportArea(operations, options.crop, layers);
+    const output = getOutputSize(area, options);
+    if (output.width * output.height > config.export.maxPngPixels) {
+      return res.status(400).json({
+        error: `Image would be ${output.width}x${output.height}, at most ${config.export.maxPngPixels} pixels are allowed`
+      });
+    }
+
+    // The version changes with every operation, undo, redo and layer change
+    const key = JSON.stringify([
+      req.params.roomId, createdAt, version, area, output, options.background
+    ]);
+    let png = pngCache.get(key);
+    if (!png) {
+      png = renderPng(operations, { area, output, background: options.background, layers });
+      pngCache.set(key, png);
+    }
+
+    res.type('image/png').send(png);
+  }));
 
   /**
-   * Handle disconnection
+   * WebSocket Connection Handler
    */
-  socket.on('disconnect', () => {
-    if (currentRoom && currentUser) {
-      roomManager.removeUser(currentRoom, socket.id);
-      
-      // Notify other users
-      socket.to(currentRoom).emit('user-left', {
+  io.on('connection', (socket) => {
+    console.log(`User connected: ${socket.id}`);
+
+    let currentRoom = 'default';
+    let currentUser = null;
+    // Joins of this socket run one after the other
+    let joinQueue = Promise.resolve();
+    // Strokes still being drawn, by the client's temporary ID
+    const liveStrokes = new Map();
+
+    /**
+     * Report a rejected request back to the sender
+     */
+    const reject = (event, code, message, details = {}) => {
+      socket.emit('request-rejected', { event, code, message, ...details });
+    };
+
+    /**
+     * Get the client ID of an operation the client may replay, so its
+     * rejections name it and the client can drop it from its queue
+     * @returns {Object} { clientId } or nothing, extra details for reject()
+     */
+    const clientRef = (data) => (
+      data && typeof data.clientId === 'string' ? { clientId: data.clientId } : {}
+    );
+
+    /**
+     * Apply the rate limits for an event, rejecting it if exceeded
+     * @returns {boolean} True if the event may be processed
+     */
+    const allow = (event, details = {}) => {
+      if (!config.rateLimit.enabled) return true;
+
+      const result = rateLimiter.check(socket.id, currentRoom, event);
+      if (result.allowed) return true;
+
+      if (result.report) {
+        reject(event, result.code, result.message, { retryAfterMs: result.retryAfterMs, ...details });
+
+        if (result.code === 'MUTED') {
+          console.warn(`Muted ${socket.id} in room ${currentRoom} for flooding`);
+        }
+      }
+      return false;
+    };
+
+    /**
+     * Validate a payload, rejecting it if invalid
+     * @returns {*} The cleaned payload, or undefined if it was rejected
+     */
+    const validate = (event, validator, data) => {
+      const { value, error } = validator(data);
+      if (error) {
+        reject(event, 'INVALID_PAYLOAD', error, clientRef(data));
+        return undefined;
+      }
+      return value;
+    };
+
+    /**
+     * Check that the socket has joined a room before acting on it
+     */
+    const requireJoined = (event, details = {}) => {
+      if (!currentUser) {
+        reject(event, 'NOT_JOINED', 'Join a room first', details);
+        return false;
+      }
+      return true;
+    };
+
+    /**
+     * Check that the user's role grants a permission
+     */
+    const requirePermission = (event, permission, details = {}) => {
+      if (!requireJoined(event, details)) return false;
+      if (!can(currentUser.role, permission)) {
+        reject(event, 'FORBIDDEN', `Your role (${currentUser.role}) can't do that in this room`, details);
+        return false;
+      }
+      return true;
+    };
+
+    /**
+     * Send a request to a room's authority, rejecting the event if it is
+     * refused or can't be delivered
+     * @returns {Promise<Object|null>} The result, or null if the event was rejected
+     */
+    const ask = async (event, roomId, type, payload, details = {}) => {
+      let result;
+      try {
+        result = await roomChannels.request(roomId, type, payload);
+      } catch (error) {
+        console.error(`${type} request for room ${roomId} failed:`, error.message);
+        reject(event, 'UNAVAILABLE', 'The room is temporarily unavailable, try again', details);
+        return null;
+      }
+
+      if (result.error) {
+        reject(event, result.error.code, result.error.message, details);
+        return null;
+      }
+      return result;
+    };
+
+    /**
+     * Change the current room's drawing through its authority
+     * Everyone in the room, including the sender, receives the resulting
+     * entry with its assigned ID and version from the authority. An
+     * operation the room already has from this client is acknowledged to the
+     * sender with `operation-duplicate` instead.
+     * @returns {Promise<Object|null>} The log entry, or null if nothing changed
+     */
+    const command = async (event, action, params = {}) => {
+      const ref = clientRef(params.operation || params);
+      const result = await ask(event, currentRoom, 'command', { action, ...params }, ref);
+      if (result && result.duplicateOf !== undefined) {
+        socket.emit('operation-duplicate', { ...ref, id: result.duplicateOf });
+      }
+      return result ? result.entry : null;
+    };
+
+    /**
+     * Send an event to everyone else in a room, on every node
+     */
+    const relay = (event, data, roomId = currentRoom) => {
+      cluster.publish(roomChannel(roomId), { kind: 'broadcast', event, data, except: socket.id });
+    };
+
+    /**
+     * Room-wide ID of a live stroke, so strokes of different sockets can't collide
+     */
+    const liveStrokeKey = (tempId) => `${socket.id}:${tempId}`;
+
+    /**
+     * Drop a live stroke without committing it, removing its preview for others
+     */
+    const abortLiveStroke = (tempId) => {
+      if (!liveStrokes.delete(tempId)) return;
+      relay('stroke-abort', { tempId: liveStrokeKey(tempId) });
+    };
+
+    /**
+     * Leave the current room, notifying the other users
+     */
+    const leaveRoom = () => {
+      if (!currentUser) return;
+
+      // Strokes that were never finished are abandoned
+      for (const tempId of [...liveStrokes.keys()]) {
+        abortLiveStroke(tempId);
+      }
+
+      const roomId = currentRoom;
+      const channel = roomChannels.get(roomId);
+      if (channel) channel.users.delete(socket.id);
+      socket.leave(roomId);
+
+      roomChannels.request(roomId, 'leave', { socketId: socket.id })
+        .catch(error => console.error(`leave request for room ${roomId} failed:`, error.message));
+      roomChannels.close(roomId);
+
+      console.log(`User ${currentUser.name} left room ${roomId}`);
+      currentUser = null;
+    };
+
+    /**
+     * Add the socket to a room and send it the canvas state
+     * A reconnecting client sends `resume` with the last version it applied
+     * and only gets the entries it missed when they are still available.
+     * @param {string} event - 'join-room' or 'create-room'
+     * @param {Object} payload - The validated event payload
+     * @param {boolean} create - Create the room, which must not exist yet
+     */
+    const enterRoom = async (event, { roomId, userName, userKey, password, defaultRole, resume }, create) => {
+      leaveRoom();
+
+      // Relay the room before joining so no change published meanwhile is lost
+      const channel = await roomChannels.open(roomId);
+      const result = await ask(event, roomId, 'join', {
+        create,
+        socketId: socket.id,
+        nodeId: cluster.nodeId,
+        userId: userKey ? RoomManager.deriveUserId(userKey) : socket.id,
+        userName,
+        password,
+        defaultRole,
+        resume
+      });
+      if (!result) {
+        roomChannels.close(roomId);
+        return;
+      }
+      if (socket.disconnected) {
+        roomChannels.request(roomId, 'leave', { socketId: socket.id }).catch(() => {});
+        roomChannels.close(roomId);
+        return;
+      }
+
+      currentRoom = roomId;
+      currentUser = result.user;
+      channel.users.set(socket.id, currentUser);
+      const permissions = getPermissions(currentUser.role);
+
+      if (result.entries) {
+        // Send only what the client missed while disconnected
+        socket.emit('resync', {
+          user: currentUser,
+          entries: result.entries.map(entry => entryFor(entry, currentUser)),
+          version: result.version,
+          users: result.users,
+          ownerId: result.ownerId,
+          permissions
+        });
+      } else {
+        // Send the full canvas state to the new user
+        socket.emit('init-canvas', initCanvasPayload(result, currentUser));
+      }
+
+      // Join the Socket.IO room, then catch up on what was relayed while the
+      // join was on its way
+      socket.join(roomId);
+      for (const message of roomChannels.missedSince(channel, result.version)) {
+        if (message.kind === 'reload') {
+          socket.emit('init-canvas', initCanvasPayload(message, currentUser));
+        } else {
+          socket.emit(message.event, entryFor(message.entry, currentUser));
+        }
+      }
+
+      console.log(`User ${currentUser.name} ${result.entries ? 'resumed in' : 'joined'} room ${roomId} as ${currentUser.role}`);
+    };
+
+    /**
+     * Queue a join behind the socket's earlier ones
+     */
+    const queueJoin = (...args) => {
+      joinQueue = joinQueue
+        .then(() => enterRoom(...args))
+        .catch(error => console.error(`Join failed for ${socket.id}:`, error));
+    };
+
+    /**
+     * Join a drawing room (created on the fly, without a password, if new)
+     */
+    socket.on('join-room', (data) => {
+      if (!allow('join-room')) return;
+      const payload = validate('join-room', validateJoin, data);
+      if (!payload) return;
+
+      queueJoin('join-room', payload, false);
+    });
+
+    /**
+     * Create a new room owned by the sender, optionally password protected
+     */
+    socket.on('create-room', (data) => {
+      if (!allow('create-room')) return;
+      const payload = validate('create-room', validateCreateRoom, data);
+      if (!payload) return;
+
+      queueJoin('create-room', payload, true);
+    });
+
+    /**
+     * Change another user's role (owner only)
+     */
+    socket.on('set-user-role', async (data) => {
+      if (!allow('set-user-role')) return;
+      if (!requirePermission('set-user-role', 'manage-roles')) return;
+      const change = validate('set-user-role', validateRoleChange, data);
+      if (!change) return;
+
+      await ask('set-user-role', currentRoom, 'set-role', change);
+    });
+
+    /**
+     * Handle drawing stroke events
+     */
+    socket.on('draw-stroke', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('draw-stroke', ref)) return;
+      if (!requirePermission('draw-stroke', 'draw', ref)) return;
+      const stroke = validate('draw-stroke', withClientId(validateStroke), data);
+      if (!stroke) return;
+
+      await command('draw-stroke', 'add-operation', {
+        operation: {
+          ...stroke,
+          type: 'stroke',
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle shape events (line, rect, ellipse, arrow)
+     */
+    socket.on('draw-shape', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('draw-shape', ref)) return;
+      if (!requirePermission('draw-shape', 'draw', ref)) return;
+      const shape = validate('draw-shape', withClientId(validateShape), data);
+      if (!shape) return;
+
+      await command('draw-shape', 'add-operation', {
+        operation: {
+          ...shape,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle text placed on the canvas
+     */
+    socket.on('draw-text', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('draw-text', ref)) return;
+      if (!requirePermission('draw-text', 'draw', ref)) return;
+      const text = validate('draw-text', withClientId(validateText), data);
+      if (!text) return;
+
+      await command('draw-text', 'add-operation', {
+        operation: {
+          ...text,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle an image placed on the canvas
+     * The file was uploaded over HTTP first; the operation references it.
+     */
+    socket.on('draw-image', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('draw-image', ref)) return;
+      if (!requirePermission('draw-image', 'draw', ref)) return;
+      const image = validate('draw-image', withClientId(validateImage), data);
+      if (!image) return;
+
+      await command('draw-image', 'add-operation', {
+        operation: {
+          ...image,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle an edit of an existing object, e.g. changed text
+     * The edit is an operation of its own, so its author can undo it.
+     */
+    socket.on('update-operation', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('update-operation', ref)) return;
+      if (!requirePermission('update-operation', 'draw', ref)) return;
+      const update = validate('update-operation', withClientId(validateUpdate), data);
+      if (!update) return;
+
+      await command('update-operation', 'update-operation', {
+        operation: {
+          ...update,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle selected objects being moved, scaled, rotated or recolored
+     */
+    socket.on('transform-operation', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('transform-operation', ref)) return;
+      if (!requirePermission('transform-operation', 'draw', ref)) return;
+      const transform = validate('transform-operation', withClientId(validateTransform), data);
+      if (!transform) return;
+
+      await command('transform-operation', 'transform-operation', {
+        operation: {
+          ...transform,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle selected objects being deleted
+     */
+    socket.on('delete-operation', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('delete-operation', ref)) return;
+      if (!requirePermission('delete-operation', 'draw', ref)) return;
+      const deletion = validate('delete-operation', withClientId(validateDelete), data);
+      if (!deletion) return;
+
+      await command('delete-operation', 'delete-operation', {
+        operation: {
+          ...deletion,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Handle a layer being added, renamed, moved, hidden or locked
+     */
+    socket.on('layer-change', async (data) => {
+      if (!allow('layer-change')) return;
+      if (!requirePermission('layer-change', 'draw')) return;
+      const change = validate('layer-change', validateLayerChange, data);
+      if (!change) return;
+
+      await command('layer-change', 'layer-change', {
+        operation: {
+          ...change,
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+    });
+
+    /**
+     * Start a live stroke: other users preview it while it's being drawn
+     */
+    socket.on('stroke-begin', (data) => {
+      if (!allow('stroke-begin')) return;
+      if (!requirePermission('stroke-begin', 'draw')) return;
+      const begin = validate('stroke-begin', withClientId(validateStrokeBegin), data);
+      if (!begin) return;
+      const { tempId, clientId, points, ...style } = begin;
+
+      // Bound the strokes a client can leave hanging
+      abortLiveStroke(tempId);
+      if (liveStrokes.size >= config.maxLiveStrokes) {
+        abortLiveStroke(liveStrokes.keys().next().value);
+      }
+      liveStrokes.set(tempId, { style, clientId, points: [...points] });
+
+      relay('stroke-begin', {
+        tempId: liveStrokeKey(tempId),
         userId: socket.id,
         userName: currentUser.name,
-        users: roomManager.getRoomUsers(currentRoom)
+        ...style,
+        points
       });
-      
-      console.log(`User ${currentUser.name} left room ${currentRoom}`);
-    }
-    
-    console.log(`User disconnected: ${socket.id}`);
+    });
+
+    /**
+     * Add points to a live stroke
+     */
+    socket.on('stroke-point-batch', (data) => {
+      if (!allow('stroke-point-batch')) return;
+      if (!requireJoined('stroke-point-batch')) return;
+      const batch = validate('stroke-point-batch', validatePointBatch, data);
+      if (!batch) return;
+
+      // Batches of a stroke that was dropped are ignored; stroke-end reports it
+      const liveStroke = liveStrokes.get(batch.tempId);
+      if (!liveStroke) return;
+
+      if (liveStroke.points.length + batch.points.length > config.validation.maxPoints) {
+        abortLiveStroke(batch.tempId);
+        reject('stroke-point-batch', 'INVALID_PAYLOAD',
+          `A stroke can have at most ${config.validation.maxPoints} points`);
+        return;
+      }
+      liveStroke.points.push(...batch.points);
+
+      relay('stroke-point-batch', {
+        tempId: liveStrokeKey(batch.tempId),
+        points: batch.points
+      });
+    });
+
+    /**
+     * Finish a live stroke, committing it as an operation
+     */
+    socket.on('stroke-end', async (data) => {
+      const ref = clientRef(data);
+      if (!allow('stroke-end', ref)) return;
+      if (!requireJoined('stroke-end', ref)) return;
+      const end = validate('stroke-end', withClientId(validateStrokeEnd), data);
+      if (!end) return;
+
+      const liveStroke = liveStrokes.get(end.tempId);
+      if (!liveStroke) {
+        reject('stroke-end', 'UNKNOWN_STROKE', 'The stroke was dropped before it was finished', ref);
+        return;
+      }
+
+      // The role may have changed while the stroke was drawn
+      if (!requirePermission('stroke-end', 'draw', ref)) {
+        abortLiveStroke(end.tempId);
+        return;
+      }
+      liveStrokes.delete(end.tempId);
+
+      const roomId = currentRoom;
+      await command('stroke-end', 'add-operation', {
+        operation: {
+          points: liveStroke.points,
+          ...liveStroke.style,
+          ...(liveStroke.clientId && { clientId: liveStroke.clientId }),
+          type: 'stroke',
+          userId: currentUser.userId,
+          userName: currentUser.name
+        }
+      });
+
+      // The permanent operation (published by the authority before it
+      // answered) replaces the preview
+      relay('stroke-end', { tempId: liveStrokeKey(end.tempId) }, roomId);
+    });
+
+    /**
+     * Drop a live stroke its user cancelled, e.g. by starting a gesture
+     */
+    socket.on('stroke-abort', (data) => {
+      if (!allow('stroke-abort')) return;
+      if (!requireJoined('stroke-abort')) return;
+      const abort = validate('stroke-abort', validateStrokeEnd, data);
+      if (!abort) return;
+
+      abortLiveStroke(abort.tempId);
+    });
+
+    /**
+     * Handle cursor movement
+     */
+    socket.on('cursor-move', (data) => {
+      if (!allow('cursor-move')) return;
+      if (!currentUser) return;
+      const cursor = validate('cursor-move', validateCursor, data);
+      if (cursor === undefined) return;
+
+      // Broadcast cursor position to other users
+      relay('cursor-move', {
+        userId: socket.id,
+        userName: currentUser.name,
+        color: currentUser.color,
+        cursor: cursor
+      });
+    });
+
+    /**
+     * Handle undo operation (only affects the requesting user's operations)
+     */
+    socket.on('undo', async (data = {}) => {
+      const ref = clientRef(data);
+      if (!allow('undo', ref)) return;
+      if (!requirePermission('undo', 'undo', ref)) return;
+      const step = validate('undo', withClientId(validateHistoryStep), data);
+      if (!step) return;
+
+      const { name } = currentUser;
+      const undoResult = await command('undo', 'undo', { userId: currentUser.userId, ...step });
+      if (undoResult) {
+        console.log(`Undo by ${name} in room ${currentRoom}`);
+      }
+    });
+
+    /**
+     * Handle redo operation (only affects the requesting user's operations)
+     */
+    socket.on('redo', async (data = {}) => {
+      const ref = clientRef(data);
+      if (!allow('redo', ref)) return;
+      if (!requirePermission('redo', 'undo', ref)) return;
+      const step = validate('redo', withClientId(validateHistoryStep), data);
+      if (!step) return;
+
+      const { name } = currentUser;
+      const redoResult = await command('redo', 'redo', { userId: currentUser.userId, ...step });
+      if (redoResult) {
+        console.log(`Redo by ${name} in room ${currentRoom}`);
+      }
+    });
+
+    /**
+     * Handle room-wide undo (owner only, affects any user's operations)
+     */
+    socket.on('room-undo', async () => {
+      if (!allow('room-undo')) return;
+      if (!requirePermission('room-undo', 'room-undo')) return;
+
+      const undoResult = await command('room-undo', 'room-undo');
+      if (undoResult) {
+        console.log(`Room undo in room ${currentRoom}`);
+      }
+    });
+
+    /**
+     * Handle room-wide redo (owner only)
+     */
+    socket.on('room-redo', async () => {
+      if (!allow('room-redo')) return;
+      if (!requirePermission('room-redo', 'room-undo')) return;
+
+      const redoResult = await command('room-redo', 'room-redo');
+      if (redoResult) {
+        console.log(`Room redo in room ${currentRoom}`);
+      }
+    });
+
+    /**
+     * Handle clear canvas
+     */
+    socket.on('clear-canvas', async () => {
+      if (!allow('clear-canvas')) return;
+      if (!requirePermission('clear-canvas', 'clear')) return;
+
+      const clearOp = await command('clear-canvas', 'clear', { userId: currentUser.userId });
+      if (clearOp) {
+        console.log(`Canvas cleared in room ${currentRoom}`);
+      }
+    });
+
+    /**
+     * Handle tool change (for showing other users what tool someone is using)
+     */
+    socket.on('tool-change', (data) => {
+      if (!allow('tool-change')) return;
+      if (!currentUser) return;
+      const tool = validate('tool-change', validateTool, data);
+      if (!tool) return;
+
+      relay('user-tool-change', {
+        userId: socket.id,
+        userName: currentUser.name,
+        tool: tool
+      });
+    });
+
+    /**
+     * Request current room stats
+     */
+    socket.on('get-room-stats', async () => {
+      if (!allow('get-room-stats')) return;
+      // Only members may see who is in a room
+      if (!requireJoined('get-room-stats')) return;
+
+      try {
+        const result = await roomChannels.request(currentRoom, 'read', { view: 'stats' });
+        socket.emit('room-stats', result.stats || null);
+      } catch (error) {
+        reject('get-room-stats', 'UNAVAILABLE', 'The room is temporarily unavailable, try again');
+      }
+    });
+
+    /**
+     * Handle disconnection
+     */
+    socket.on('disconnect', () => {
+      rateLimiter.removeSocket(socket.id);
+      leaveRoom();
+
+      console.log(`User disconnected: ${socket.id}`);
+    });
+
+    /**
+     * Handle errors
+     */
+    socket.on('error', (error) => {
+      console.error(`Socket error for ${socket.id}:`, error);
+    });
   });
 
-  /**
-   * Handle errors
-   */
-  socket.on('error', (error) => {
-    console.error(`Socket error for ${socket.id}:`, error);
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Client errors such as malformed or oversized JSON bodies
+    if (err.status >= 400 && err.status < 500) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    console.error('Express error:', err);
+    res.status(500).json({ error: 'Internal server error' });
   });
-});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Express error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
+  return {
+    app,
+    io,
+    httpServer,
+    cluster,
+
+    /**
+     * Join the cluster and start accepting connections
+     */
+    async listen(port) {
+      await cluster.start();
+      await new Promise(resolve => httpServer.listen(port, resolve));
+    },
+
+    /**
+     * Disconnect all clients and leave the cluster
+     */
+    async close() {
+      clearInterval(sweepTimer);
+      await new Promise(resolve => io.close(() => resolve()));
+      await cluster.stop();
+    }
+  };
+}
 
-// Start the server
-httpServer.listen(PORT, () => {
-  console.log(`
+// Start a single node when run directly
+if (require.main === module) {
+  const PORT = config.port;
+  const cluster = new ClusterNode({
+    adapter: createClusterAdapter(config.cluster),
+    nodeId: config.cluster.nodeId,
+    leaseTtlMs: config.cluster.leaseTtlMs,
+    requestTimeoutMs: config.cluster.requestTimeoutMs
+  });
+  const server = createCanvasServer({ cluster, storage: createStorage(config.storage) });
+
+  // Start the server
+  server.listen(PORT).then(() => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║  🎨 Collaborative Canvas Server Running              ║
 ║                                                       ║
@@ -217,14 +1189,17 @@ httpServer.listen(PORT, () => {
 ║  🌐 URL: http://localhost:${PORT}                    ║
 ║  📊 Health: http://localhost:${PORT}/health          ║
 ╚═══════════════════════════════════════════════════════╝
-  `);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing server...');
-  httpServer.close(() => {
-    console.log('Server closed');
-    process.exit(0);
+    `);
+  });
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, closing server...');
+    server.close().then(() => {
+      console.log('Server closed');
+      process.exit(0);
+    });
   });
-});
+}
+
+module.exports = { createCanvasServer };
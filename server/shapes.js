@@ -0,0 +1,76 @@
+/**
+ * Shape operations
+ *
+ * Shapes are stored as geometry instead of point lists:
+ *   line, arrow - { x1, y1, x2, y2 }, an arrow points at (x2, y2)
+ *   rect        - { x, y, width, height }
+ *   ellipse     - { cx, cy, rx, ry }
+ * Their outline is drawn with the operation's color and size, with round caps
+ * and joins, the way CanvasManager.renderShape draws it.
+ */
+
+const SHAPE_TYPES = ['line', 'rect', 'ellipse', 'arrow'];
+
+/**
+ * Check whether an operation is a shape
+ */
+function isShape(op) {
+  return SHAPE_TYPES.includes(op.type);
+}
+
+/**
+ * Get the two strokes of an arrow head, matching CanvasManager.getArrowHead
+ * @param {Object} op - Arrow operation
+ * @returns {Array} Two [from, to] pairs ending at the tip
+ */
+function getArrowHead(op) {
+  const length = Math.max(10, op.size * 3);
+  const angle = Math.atan2(op.y2 - op.y1, op.x2 - op.x1);
+  const tip = { x: op.x2, y: op.y2 };
+
+  return [-1, 1].map(side => [
+    {
+      x: tip.x - length * Math.cos(angle + side * Math.PI / 6),
+      y: tip.y - length * Math.sin(angle + side * Math.PI / 6)
+    },
+    tip
+  ]);
+}
+
+/**
+ * Flatten a shape's outline into line segments
+ * Ellipses are approximated with chords about 2px long.
+ * @param {Object} op - Shape operation
+ * @returns {Array} [from, to] pairs
+ */
+function getShapeSegments(op) {
+  switch (op.type) {
+    case 'line':
+      return [[{ x: op.x1, y: op.y1 }, { x: op.x2, y: op.y2 }]];
+    case 'arrow':
+      return [[{ x: op.x1, y: op.y1 }, { x: op.x2, y: op.y2 }], ...getArrowHead(op)];
+    case 'rect': {
+      const corners = [
+        { x: op.x, y: op.y },
+        { x: op.x + op.width, y: op.y },
+        { x: op.x + op.width, y: op.y + op.height },
+        { x: op.x, y: op.y + op.height }
+      ];
+      return corners.map((corner, i) => [corner, corners[(i + 1) % 4]]);
+    }
+    case 'ellipse': {
+      const perimeter = 2 * Math.PI * Math.sqrt((op.rx * op.rx + op.ry * op.ry) / 2);
+      const steps = Math.max(8, Math.ceil(perimeter / 2));
+      const points = [];
+      for (let i = 0; i <= steps; i++) {
+        const angle = (i / steps) * 2 * Math.PI;
+        points.push({ x: op.cx + op.rx * Math.cos(angle), y: op.cy + op.ry * Math.sin(angle) });
+      }
+      return points.slice(1).map((point, i) => [points[i], point]);
+    }
+    default:
+      throw new Error(`Unknown shape: ${op.type}`);
+  }
+}
+
+module.exports = { SHAPE_TYPES, isShape, getArrowHead, getShapeSegments };
@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Room storage backends
+ *
+ * A backend keeps, per room, an append-only log of drawing state entries
+ * (operations and undo/redo events), the latest checkpoint of the compacted
+ * state and a small metadata document. All methods are synchronous so rooms
+ * can be loaded lazily from getRoom().
+ *
+ * Interface:
+ *   load(roomId)          -> { meta, checkpoint, entries } or null if the room was
+ *                            never stored; entries are those after the checkpoint
+ *   readEntries(roomId)   -> every entry ever logged for the room, in order (used
+ *                            for history playback, which compaction doesn't affect)
+ *   exists(roomId)        -> true if anything is stored for the room
+ *   append(roomId, entry) -> append one entry to the room's log
+ *   saveCheckpoint(roomId, state) -> record the state as of the current end of the log
+ *   saveMeta(roomId, meta)-> replace the room's metadata
+ *   remove(roomId)        -> delete everything stored for the room, images included
+ *   list()                -> [{ roomId, updatedAt }] for all stored rooms
+ *
+ * Image blobs are kept apart from the log, by room (see images.js):
+ *   saveBlob(roomId, blobId, data) -> store a Buffer under an ID
+ *   loadBlob(roomId, blobId)       -> the Buffer, or null if not stored
+ *   hasBlob(roomId, blobId)        -> true if stored
+ *   blobUsage(roomId)              -> total bytes of the room's blobs
+ */
+
+/**
+ * MemoryStorage - Keeps room logs in process memory
+ * Rooms survive being unloaded by the RoomManager but not a restart
+ */
+class MemoryStorage {
+  constructor() {
+    this.rooms = new Map(); // roomId -> { meta, checkpoint, entries, updatedAt }
+    this.blobs = new Map(); // roomId -> Map of blobId -> Buffer
+  }
+
+  load(roomId) {
+    const stored = this.rooms.get(roomId);
+    if (!stored) return null;
+
+    const checkpoint = stored.checkpoint;
+    return {
+      meta: stored.meta,
+      checkpoint: checkpoint ? checkpoint.state : null,
+      entries: stored.entries.slice(checkpoint ? checkpoint.entryCount : 0)
+    };
+  }
+
+  readEntries(roomId) {
+    const stored = this.rooms.get(roomId);
+    return stored ? stored.entries.slice() : [];
+  }
+
+  exists(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  append(roomId, entry) {
+    const stored = this.getOrCreate(roomId);
+    stored.entries.push(entry);
+    stored.updatedAt = Date.now();
+  }
+
+  saveCheckpoint(roomId, state) {
+    const stored = this.getOrCreate(roomId);
+    stored.checkpoint = {
+      state: JSON.parse(JSON.stringify(state)),
+      entryCount: stored.entries.length
+    };
+  }
+
+  saveMeta(roomId, meta) {
+    const stored = this.getOrCreate(roomId);
+    stored.meta = { ...meta };
+    stored.updatedAt = Date.now();
+  }
+
+  remove(roomId) {
+    this.rooms.delete(roomId);
+    this.blobs.delete(roomId);
+  }
+
+  list() {
+    return Array.from(this.rooms, ([roomId, stored]) => ({
+      roomId,
+      updatedAt: stored.updatedAt
+    }));
+  }
+
+  saveBlob(roomId, blobId, data) {
+    if (!this.blobs.has(roomId)) {
+      this.blobs.set(roomId, new Map());
+    }
+    this.blobs.get(roomId).set(blobId, Buffer.from(data));
+  }
+
+  loadBlob(roomId, blobId) {
+    const blobs = this.blobs.get(roomId);
+    return (blobs && blobs.get(blobId)) || null;
+  }
+
+  hasBlob(roomId, blobId) {
+    return this.loadBlob(roomId, blobId) !== null;
+  }
+
+  blobUsage(roomId) {
+    const blobs = this.blobs.get(roomId);
+    let total = 0;
+    for (const data of blobs ? blobs.values() : []) {
+      total += data.length;
+    }
+    return total;
+  }
+
+  getOrCreate(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, {
+        meta: null,
+        checkpoint: null,
+        entries: [],
+        updatedAt: Date.now()
+      });
+    }
+    return this.rooms.get(roomId);
+  }
+}
+
+/**
+ * FileStorage - Keeps each room as a JSON-lines log plus checkpoint and
+ * metadata files
+ *
+ *   <dir>/rooms/<encoded id>.log              one JSON entry per line, append-only
+ *   <dir>/rooms/<encoded id>.checkpoint.json  compacted state + log byte offset
+ *   <dir>/rooms/<encoded id>.json             room metadata
+ *   <dir>/blobs/<encoded id>/<blob id>         image blobs
+ *
+ * The log is never rewritten. Loading starts from the checkpoint and only
+ * reads the part of the log written after it.
+ */
+class FileStorage {
+  /**
+   * @param {string} dir - Directory where room files are kept
+   */
+  constructor(dir) {
+    this.dir = path.join(dir, 'rooms');
+    this.blobDir = path.join(dir, 'blobs');
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  load(roomId) {
+    if (!this.exists(roomId)) return null;
+
+    const meta = this.readJson(this.getPath(roomId, '.json'));
+    const checkpoint = this.readJson(this.getPath(roomId, '.checkpoint.json'));
+    const offset = checkpoint ? checkpoint.logOffset : 0;
+
+    return {
+      meta,
+      checkpoint: checkpoint ? checkpoint.state : null,
+      entries: this.readEntriesFrom(roomId, offset)
+    };
+  }
+
+  readEntries(roomId) {
+    return this.readEntriesFrom(roomId, 0);
+  }
+
+  /**
+   * Parse the log entries written after a byte offset
+   */
+  readEntriesFrom(roomId, offset) {
+    const entries = [];
+    const lines = this.readLog(this.getPath(roomId, '.log'), offset).split('\n');
+    for (const line of lines) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        console.warn(`Skipping corrupt log entry in room ${roomId}`);
+      }
+    }
+    return entries;
+  }
+
+  exists(roomId) {
+    return fs.existsSync(this.getPath(roomId, '.log')) ||
+      fs.existsSync(this.getPath(roomId, '.json'));
+  }
+
+  append(roomId, entry) {
+    fs.appendFileSync(this.getPath(roomId, '.log'), JSON.stringify(entry) + '\n');
+  }
+
+  saveCheckpoint(roomId, state) {
+    const logFile = this.getPath(roomId, '.log');
+    const logOffset = fs.existsSync(logFile) ? fs.statSync(logFile).size : 0;
+    this.writeJson(this.getPath(roomId, '.checkpoint.json'), { state, logOffset });
+  }
+
+  saveMeta(roomId, meta) {
+    this.writeJson(this.getPath(roomId, '.json'), meta);
+  }
+
+  remove(roomId) {
+    fs.rmSync(this.getPath(roomId, '.log'), { force: true });
+    fs.rmSync(this.getPath(roomId, '.checkpoint.json'), { force: true });
+    fs.rmSync(this.getPath(roomId, '.json'), { force: true });
+    fs.rmSync(this.getBlobDir(roomId), { recursive: true, force: true });
+  }
+
+  /**
+   * Blob IDs are content hashes, so an existing blob is never rewritten
+   */
+  saveBlob(roomId, blobId, data) {
+    const file = path.join(this.getBlobDir(roomId), blobId);
+    if (fs.existsSync(file)) return;
+
+    fs.mkdirSync(this.getBlobDir(roomId), { recursive: true });
+    fs.writeFileSync(file + '.tmp', data);
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  loadBlob(roomId, blobId) {
+    const file = path.join(this.getBlobDir(roomId), blobId);
+    return fs.existsSync(file) ? fs.readFileSync(file) : null;
+  }
+
+  hasBlob(roomId, blobId) {
+    return fs.existsSync(path.join(this.getBlobDir(roomId), blobId));
+  }
+
+  blobUsage(roomId) {
+    const dir = this.getBlobDir(roomId);
+    if (!fs.existsSync(dir)) return 0;
+
+    let total = 0;
+    for (const file of fs.readdirSync(dir)) {
+      total += fs.statSync(path.join(dir, file)).size;
+    }
+    return total;
+  }
+
+  list() {
+    const rooms = new Map();
+    for (const file of fs.readdirSync(this.dir)) {
+      const match = /^([\w-]+)\.(log|json|checkpoint\.json)$/.exec(file);
+      if (!match) continue;
+
+      const roomId = Buffer.from(match[1], 'base64url').toString('utf8');
+      const { mtimeMs } = fs.statSync(path.join(this.dir, file));
+      rooms.set(roomId, Math.max(rooms.get(roomId) || 0, mtimeMs));
+    }
+    return Array.from(rooms, ([roomId, updatedAt]) => ({ roomId, updatedAt }));
+  }
+
+  /**
+   * Read a log file starting at a byte offset
+   */
+  readLog(file, offset) {
+    if (!fs.existsSync(file)) return '';
+
+    const fd = fs.openSync(file, 'r');
+    try {
+      const length = Math.max(fs.fstatSync(fd).size - offset, 0);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, offset);
+      return buffer.toString('utf8');
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  readJson(file) {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  /**
+   * Write to a temp file first so a crash never leaves half a document
+   */
+  writeJson(file, data) {
+    fs.writeFileSync(file + '.tmp', JSON.stringify(data));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  /**
+   * Room IDs are user input, so encode them before using them as file names
+   */
+  getPath(roomId, extension) {
+    return path.join(this.dir, Buffer.from(roomId).toString('base64url') + extension);
+  }
+
+  getBlobDir(roomId) {
+    return path.join(this.blobDir, Buffer.from(roomId).toString('base64url'));
+  }
+}
+
+/**
+ * Create the storage backend named in the config
+ * @param {Object} options - Storage config ({ driver, dir })
+ * @returns {MemoryStorage|FileStorage} The storage backend
+ */
+function createStorage(options) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage(options.dir);
+    default:
+      throw new Error(`Unknown storage driver: ${options.driver}`);
+  }
+}
+
+module.exports = { MemoryStorage, FileStorage, createStorage };
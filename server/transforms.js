@@ -0,0 +1,47 @@
+/**
+ * Affine transforms
+ *
+ * Transform operations move, scale and rotate objects with a 2D affine
+ * matrix [a, b, c, d, e, f], the form used by canvas setTransform() and SVG
+ * matrix(): a point (x, y) maps to (a x + c y + e, b x + d y + f). An object
+ * keeps its geometry and carries the product of its transforms.
+ */
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Combine two transforms
+ * @param {Array} m - Applied second
+ * @param {Array} n - Applied first
+ * @returns {Array} The matrix m × n
+ */
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
+/**
+ * Map a point through a transform
+ */
+function applyToPoint(m, point) {
+  return {
+    x: m[0] * point.x + m[2] * point.y + m[4],
+    y: m[1] * point.x + m[3] * point.y + m[5]
+  };
+}
+
+/**
+ * Get how much a transform scales line widths: the square root of the area
+ * scale, exact for uniform scaling
+ */
+function getScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+module.exports = { IDENTITY, multiply, applyToPoint, getScale };
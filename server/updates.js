@@ -0,0 +1,132 @@
+const { SHAPE_TYPES } = require('./shapes');
+const { IDENTITY, multiply } = require('./transforms');
+
+/**
+ * Edit operations
+ *
+ * Edits change earlier operations, their targets:
+ *   { type: 'update', targetId, changes }            - new field values
+ *   { type: 'transform', targetIds, matrix?, color? } - move, scale, rotate
+ *                                                      and/or recolor
+ *   { type: 'delete', targetIds }                    - remove the targets
+ * A target keeps its place in the drawing order and is drawn with its edits
+ * merged in. Edits are regular operations, so undoing one brings back the
+ * previous state, and undoing the target hides it along with all its edits.
+ */
+
+// Operation types that are edits of other operations
+const EDIT_TYPES = ['update', 'transform', 'delete'];
+
+// Fields an update may change, by target type
+const UPDATABLE_FIELDS = {
+  text: ['text', 'fontSize', 'color']
+};
+
+// Operation types that can be selected: transformed and deleted
+const TRANSFORMABLE_TYPES = ['stroke', 'text', 'image', ...SHAPE_TYPES];
+
+/**
+ * Check whether an update's changes apply to a target
+ * @param {Object} target - The operation to change
+ * @param {Object} changes - Changed fields
+ * @returns {boolean} True if the target's type allows every changed field
+ */
+function canUpdate(target, changes) {
+  const fields = UPDATABLE_FIELDS[target.type] || [];
+  return Object.keys(changes).every(field => fields.includes(field));
+}
+
+/**
+ * Check whether an operation can be transformed and deleted
+ * Eraser strokes only exist to remove pixels, so they can't.
+ */
+function canTransform(target) {
+  return TRANSFORMABLE_TYPES.includes(target.type) && target.tool !== 'eraser';
+}
+
+/**
+ * Merge an update's changes into its target
+ * Only fields the target's type allows are taken over.
+ * @returns {Object} Changed copy of the target
+ */
+function mergeChanges(target, changes) {
+  const merged = { ...target };
+  for (const field of UPDATABLE_FIELDS[target.type] || []) {
+    if (changes && changes[field] !== undefined) {
+      merged[field] = changes[field];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Apply a transform to one of its targets
+ * The matrix is combined with the target's own; the color only replaces
+ * one the target has (images have none).
+ * @returns {Object} Transformed copy of the target
+ */
+function applyTransform(target, { matrix, color }) {
+  const transformed = { ...target };
+  if (Array.isArray(matrix)) {
+    transformed.matrix = multiply(matrix, target.matrix || IDENTITY);
+  }
+  if (color !== undefined && target.color !== undefined) {
+    transformed.color = color;
+  }
+  return transformed;
+}
+
+/**
+ * Apply the edits in a list of operations to their targets
+ * Edits whose target isn't in the list (undone, or before a clear) have no
+ * effect.
+ * @param {Array} operations - Active operations in order
+ * @returns {Array} The operations with edits merged in, deleted operations
+ *   and the edits themselves removed
+ */
+function applyUpdates(operations) {
+  const result = [];
+  const indexById = new Map();
+  const deleted = new Set();
+  const edit = (id, change) => {
+    const index = indexById.get(id);
+    if (index !== undefined) {
+      result[index] = change(result[index]);
+    }
+  };
+
+  for (const op of operations) {
+    if (op && op.type === 'update') {
+      edit(op.targetId, target => mergeChanges(target, op.changes));
+      continue;
+    }
+    if (op && (op.type === 'transform' || op.type === 'delete')) {
+      for (const id of Array.isArray(op.targetIds) ? op.targetIds : []) {
+        if (op.type === 'transform') {
+          edit(id, target => applyTransform(target, op));
+        } else if (indexById.has(id)) {
+          deleted.add(indexById.get(id));
+          indexById.delete(id);
+        }
+      }
+      continue;
+    }
+
+    if (op && op.id !== undefined) {
+      indexById.set(op.id, result.length);
+    }
+    result.push(op);
+  }
+
+  return result.filter((op, index) => !deleted.has(index));
+}
+
+module.exports = {
+  EDIT_TYPES,
+  UPDATABLE_FIELDS,
+  canUpdate,
+  canTransform,
+  mergeChanges,
+  applyTransform,
+  applyUpdates
+};
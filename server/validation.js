@@ -0,0 +1,925 @@
+const config = require('./config');
+const { ASSIGNABLE_ROLES } = require('./permissions');
+const { SHAPE_TYPES } = require('./shapes');
+const { UPDATABLE_FIELDS, applyUpdates } = require('./updates');
+const { isImageId, detectImageType, getImageId } = require('./images');
+const { getScale } = require('./transforms');
+const { LAYER_ACTIONS } = require('./layers');
+
+// Every field an update may change, whatever the target
+const UPDATE_FIELDS = [...new Set(Object.values(UPDATABLE_FIELDS).flat())];
+
+/**
+ * Payload validation for inbound socket events and HTTP query parameters
+ *
+ * Each validator returns { value } with a clean copy that only contains the
+ * expected fields, or { error } with a message describing the first problem.
+ * Handlers must use the returned value, never the raw client payload.
+ */
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const LAYER_ID_PATTERN = /^[\w-]{1,32}$/;
+
+/**
+ * Check that a value is a plain object
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check that a value is a finite number within [min, max]
+ */
+function isNumberInRange(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check that a value is a canvas coordinate
+ */
+function isCoordinate(value) {
+  const limit = config.validation.maxCoordinate;
+  return isNumberInRange(value, -limit, limit);
+}
+
+/**
+ * Validate an optional string, returning the trimmed value
+ * @param {*} value - The value to check
+ * @param {string} field - Field name for error messages
+ * @param {number} maxLength - Maximum length after trimming
+ * @returns {Object} { value } or { error }
+ */
+function validateOptionalString(value, field, maxLength) {
+  if (value === undefined || value === null) return { value: undefined };
+  if (typeof value !== 'string') return { error: `${field} must be a string` };
+
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    return { error: `${field} must be at most ${maxLength} characters` };
+  }
+  return { value: trimmed || undefined };
+}
+
+/**
+ * Check that a value is a layer ID
+ */
+function isLayerId(value) {
+  return typeof value === 'string' && LAYER_ID_PATTERN.test(value);
+}
+
+/**
+ * Validate the layer of a new operation, optional (the default layer)
+ * Whether the room has the layer is checked by its authority.
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } with { layerId } or nothing, or { error }
+ */
+function validateLayerField(data) {
+  if (data.layerId === undefined || data.layerId === null) return { value: {} };
+  if (!isLayerId(data.layerId)) {
+    return { error: 'layerId must be up to 32 letters, digits, - or _' };
+  }
+  return { value: { layerId: data.layerId } };
+}
+
+/**
+ * Validate a layer name, returning it trimmed
+ */
+function validateLayerName(value) {
+  const { maxLayerNameLength } = config.validation;
+  const name = validateOptionalString(value, 'name', maxLayerNameLength);
+  if (name.error) return name;
+  if (!name.value) return { error: `name must be 1 to ${maxLayerNameLength} characters` };
+  return name;
+}
+
+/**
+ * Validate a `join-room` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateJoin(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+  const limits = config.validation;
+
+  const roomId = validateOptionalString(data.roomId, 'roomId', limits.maxRoomIdLength);
+  if (roomId.error) return roomId;
+
+  const userName = validateOptionalString(data.userName, 'userName', limits.maxUserNameLength);
+  if (userName.error) return userName;
+
+  const userKey = validateOptionalString(data.userKey, 'userKey', limits.maxUserKeyLength);
+  if (userKey.error) return userKey;
+
+  if (data.password !== undefined && data.password !== null && typeof data.password !== 'string') {
+    return { error: 'password must be a string' };
+  }
+  if (typeof data.password === 'string' && data.password.length > limits.maxPasswordLength) {
+    return { error: `password must be at most ${limits.maxPasswordLength} characters` };
+  }
+
+  let resume = null;
+  if (data.resume !== undefined && data.resume !== null) {
+    if (!isObject(data.resume) || !Number.isInteger(data.resume.version) || data.resume.version < 0) {
+      return { error: 'resume.version must be a non-negative integer' };
+    }
+    resume = { version: data.resume.version };
+  }
+
+  return {
+    value: {
+      roomId: roomId.value || 'default',
+      userName: userName.value,
+      userKey: userKey.value,
+      password: data.password || undefined,
+      resume
+    }
+  };
+}
+
+/**
+ * Validate a `create-room` payload (a join payload plus room settings)
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateCreateRoom(data) {
+  const join = validateJoin(data);
+  if (join.error) return join;
+
+  const defaultRole = data.defaultRole === undefined ? 'editor' : data.defaultRole;
+  if (!ASSIGNABLE_ROLES.includes(defaultRole)) {
+    return { error: `defaultRole must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  }
+
+  return { value: { ...join.value, resume: null, defaultRole } };
+}
+
+/**
+ * Validate a `set-user-role` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateRoleChange(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+  if (typeof data.userId !== 'string' || data.userId.length === 0 || data.userId.length > 64) {
+    return { error: 'userId must be a user ID' };
+  }
+  if (!ASSIGNABLE_ROLES.includes(data.role)) {
+    return { error: `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}` };
+  }
+  return { value: { userId: data.userId, role: data.role } };
+}
+
+/**
+ * Validate a list of stroke points
+ * Points are {x, y}, plus the pen's `pressure` (0-1) and `tiltX` / `tiltY`
+ * (degrees, -90 to 90) when drawn with a stylus.
+ * @param {*} value - The value to check
+ * @param {number} maxLength - Maximum number of points
+ * @returns {Object} { value } or { error }
+ */
+function validatePoints(value, maxLength) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'points must be a non-empty array' };
+  }
+  if (value.length > maxLength) {
+    return { error: `points must have at most ${maxLength} entries` };
+  }
+
+  const points = [];
+  for (const point of value) {
+    if (!isObject(point) || !isCoordinate(point.x) || !isCoordinate(point.y)) {
+      return { error: 'points must be {x, y} coordinates within the canvas range' };
+    }
+    const result = { x: point.x, y: point.y };
+
+    if (point.pressure !== undefined) {
+      if (!isNumberInRange(point.pressure, 0, 1)) {
+        return { error: 'pressure must be a number from 0 to 1' };
+      }
+      result.pressure = point.pressure;
+    }
+    for (const field of ['tiltX', 'tiltY']) {
+      if (point[field] === undefined) continue;
+      if (!isNumberInRange(point[field], -90, 90)) {
+        return { error: `${field} must be a number from -90 to 90` };
+      }
+      result[field] = point[field];
+    }
+    points.push(result);
+  }
+  return { value: points };
+}
+
+/**
+ * Validate the temporary ID a client gives a stroke in progress
+ * @param {*} tempId - The value to check
+ * @returns {Object} { value } or { error }
+ */
+function validateTempId(tempId) {
+  const { maxTempIdLength } = config.validation;
+  if (typeof tempId !== 'string' || !/^[\w-]+$/.test(tempId) || tempId.length > maxTempIdLength) {
+    return { error: `tempId must be up to ${maxTempIdLength} letters, digits, - or _` };
+  }
+  return { value: tempId };
+}
+
+/**
+ * Extend a payload validator with the optional `clientId` a client gives an
+ * operation it may send again after reconnecting
+ * @param {Function} validator - Validator of the rest of the payload
+ * @returns {Function} Validator that also checks and keeps `clientId`
+ */
+function withClientId(validator) {
+  return (data) => {
+    const result = validator(data);
+    if (result.error || data.clientId === undefined) return result;
+
+    const { maxClientIdLength } = config.validation;
+    if (typeof data.clientId !== 'string' || !/^[\w-]+$/.test(data.clientId) ||
+        data.clientId.length > maxClientIdLength) {
+      return { error: `clientId must be up to ${maxClientIdLength} letters, digits, - or _` };
+    }
+    return { value: { ...result.value, clientId: data.clientId } };
+  };
+}
+
+/**
+ * Validate a `draw-stroke` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateStroke(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+  const limits = config.validation;
+
+  const points = validatePoints(data.points, limits.maxPoints);
+  if (points.error) return points;
+
+  const style = validateStrokeStyle(data);
+  if (style.error) return style;
+
+  return { value: { points: points.value, ...style.value } };
+}
+
+/**
+ * Validate the color, size and tool of a stroke
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateStrokeStyle(data) {
+  const limits = config.validation;
+
+  if (typeof data.color !== 'string' || !COLOR_PATTERN.test(data.color)) {
+    return { error: 'color must be a hex color like #1a2b3c' };
+  }
+  if (!isNumberInRange(data.size, limits.minBrushSize, limits.maxBrushSize)) {
+    return { error: `size must be between ${limits.minBrushSize} and ${limits.maxBrushSize}` };
+  }
+  if (!limits.tools.includes(data.tool)) {
+    return { error: `tool must be one of: ${limits.tools.join(', ')}` };
+  }
+  const layer = validateLayerField(data);
+  if (layer.error) return layer;
+
+  return {
+    value: { color: data.color, size: data.size, tool: data.tool, ...layer.value }
+  };
+}
+
+/**
+ * Validate a `draw-shape` payload
+ * The geometry fields depend on the type (see shapes.js).
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateShape(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+  const limits = config.validation;
+
+  if (!SHAPE_TYPES.includes(data.type)) {
+    return { error: `type must be one of: ${SHAPE_TYPES.join(', ')}` };
+  }
+  if (typeof data.color !== 'string' || !COLOR_PATTERN.test(data.color)) {
+    return { error: 'color must be a hex color like #1a2b3c' };
+  }
+  if (!isNumberInRange(data.size, limits.minBrushSize, limits.maxBrushSize)) {
+    return { error: `size must be between ${limits.minBrushSize} and ${limits.maxBrushSize}` };
+  }
+
+  const layer = validateLayerField(data);
+  if (layer.error) return layer;
+
+  const shape = { type: data.type, color: data.color, size: data.size, ...layer.value };
+  switch (data.type) {
+    case 'line':
+    case 'arrow':
+      if (![data.x1, data.y1, data.x2, data.y2].every(isCoordinate)) {
+        return { error: 'x1, y1, x2 and y2 must be coordinates within the canvas range' };
+      }
+      return { value: { ...shape, x1: data.x1, y1: data.y1, x2: data.x2, y2: data.y2 } };
+    case 'rect':
+      if (!isCoordinate(data.x) || !isCoordinate(data.y) ||
+          !isNumberInRange(data.width, 0, 2 * limits.maxCoordinate) ||
+          !isNumberInRange(data.height, 0, 2 * limits.maxCoordinate)) {
+        return { error: 'x and y must be coordinates and width and height non-negative' };
+      }
+      return { value: { ...shape, x: data.x, y: data.y, width: data.width, height: data.height } };
+    default: // ellipse
+      if (!isCoordinate(data.cx) || !isCoordinate(data.cy) ||
+          !isNumberInRange(data.rx, 0, limits.maxCoordinate) ||
+          !isNumberInRange(data.ry, 0, limits.maxCoordinate)) {
+        return { error: 'cx and cy must be coordinates and rx and ry non-negative' };
+      }
+      return { value: { ...shape, cx: data.cx, cy: data.cy, rx: data.rx, ry: data.ry } };
+  }
+}
+
+/**
+ * Validate fields of a text operation, or of an update to one
+ * @param {Object} data - Raw payload
+ * @param {Array} fields - Fields to check, all required
+ * @returns {Object} { value } with just these fields, or { error }
+ */
+function validateTextFields(data, fields) {
+  const limits = config.validation;
+  const value = {};
+
+  for (const field of fields) {
+    const raw = data[field];
+    if (field === 'text') {
+      if (typeof raw !== 'string' || raw.trim().length === 0 || raw.length > limits.maxTextLength) {
+        return { error: `text must be 1 to ${limits.maxTextLength} characters` };
+      }
+    } else if (field === 'fontSize') {
+      if (!isNumberInRange(raw, limits.minFontSize, limits.maxFontSize)) {
+        return { error: `fontSize must be between ${limits.minFontSize} and ${limits.maxFontSize}` };
+      }
+    } else if (field === 'color') {
+      if (typeof raw !== 'string' || !COLOR_PATTERN.test(raw)) {
+        return { error: 'color must be a hex color like #1a2b3c' };
+      }
+    }
+    value[field] = raw;
+  }
+
+  return { value };
+}
+
+/**
+ * Validate a `draw-text` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateText(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  if (!isCoordinate(data.x) || !isCoordinate(data.y)) {
+    return { error: 'x and y must be coordinates within the canvas range' };
+  }
+
+  const fields = validateTextFields(data, ['text', 'fontSize', 'color']);
+  if (fields.error) return fields;
+
+  const layer = validateLayerField(data);
+  if (layer.error) return layer;
+
+  return { value: { type: 'text', x: data.x, y: data.y, ...fields.value, ...layer.value } };
+}
+
+/**
+ * Validate an `update-operation` payload
+ * Whether the changes suit the target's type is checked once the target is
+ * known, by the room's authority.
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateUpdate(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  if (!Number.isInteger(data.targetId) || data.targetId < 0) {
+    return { error: 'targetId must be an operation ID' };
+  }
+
+  const fields = isObject(data.changes) ? Object.keys(data.changes) : [];
+  if (fields.length === 0 || !fields.every(field => UPDATE_FIELDS.includes(field))) {
+    return { error: `changes must be an object with some of: ${UPDATE_FIELDS.join(', ')}` };
+  }
+
+  const changes = validateTextFields(data.changes, fields);
+  if (changes.error) return changes;
+
+  return { value: { type: 'update', targetId: data.targetId, changes: changes.value } };
+}
+
+/**
+ * Check that a value is a usable transform matrix [a, b, c, d, e, f]: it
+ * neither collapses objects nor scales them by more than maxTransformScale,
+ * and moves them by less than the canvas size
+ */
+function isMatrix(value) {
+  const { maxTransformScale, maxCoordinate } = config.validation;
+  if (!Array.isArray(value) || value.length !== 6) return false;
+  if (!value.every(n => isNumberInRange(n, -2 * maxCoordinate, 2 * maxCoordinate))) return false;
+  if (!value.slice(0, 4).every(n => Math.abs(n) <= maxTransformScale)) return false;
+
+  const scale = getScale(value);
+  return scale >= 1 / maxTransformScale && scale <= maxTransformScale;
+}
+
+/**
+ * Validate the target IDs of a transform or delete
+ * @returns {Object} { value } or { error }
+ */
+function validateTargetIds(value) {
+  const { maxTargets } = config.validation;
+  if (!Array.isArray(value) || value.length === 0 || value.length > maxTargets) {
+    return { error: `targetIds must be an array of 1 to ${maxTargets} operation IDs` };
+  }
+  if (!value.every(id => Number.isInteger(id) && id >= 0) || new Set(value).size !== value.length) {
+    return { error: 'targetIds must be distinct operation IDs' };
+  }
+  return { value: [...value] };
+}
+
+/**
+ * Validate a `transform-operation` payload: move, scale or rotate objects
+ * with a matrix, recolor them, or both
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateTransform(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  const targetIds = validateTargetIds(data.targetIds);
+  if (targetIds.error) return targetIds;
+
+  if (data.matrix === undefined && data.color === undefined) {
+    return { error: 'A transform needs a matrix, a color or both' };
+  }
+  if (data.matrix !== undefined && !isMatrix(data.matrix)) {
+    return { error: `matrix must be [a, b, c, d, e, f] scaling by at most ${config.validation.maxTransformScale}` };
+  }
+  if (data.color !== undefined && (typeof data.color !== 'string' || !COLOR_PATTERN.test(data.color))) {
+    return { error: 'color must be a hex color like #1a2b3c' };
+  }
+
+  const transform = { type: 'transform', targetIds: targetIds.value };
+  if (data.matrix !== undefined) transform.matrix = [...data.matrix];
+  if (data.color !== undefined) transform.color = data.color;
+  return { value: transform };
+}
+
+/**
+ * Validate an `undo` or `redo` payload, which has nothing but the optional
+ * client ID (see withClientId)
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateHistoryStep(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+  return { value: {} };
+}
+
+/**
+ * Validate a `delete-operation` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateDelete(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  const targetIds = validateTargetIds(data.targetIds);
+  if (targetIds.error) return targetIds;
+
+  return { value: { type: 'delete', targetIds: targetIds.value } };
+}
+
+/**
+ * Validate a `draw-image` payload
+ * The image must have been uploaded to the room first; its box may stretch it.
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateImage(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+  const limit = 2 * config.validation.maxCoordinate;
+
+  if (!isImageId(data.imageId)) {
+    return { error: 'imageId must be the ID returned by the image upload' };
+  }
+  if (!isCoordinate(data.x) || !isCoordinate(data.y)) {
+    return { error: 'x and y must be coordinates within the canvas range' };
+  }
+  if (!isNumberInRange(data.width, 0, limit) || data.width === 0 ||
+      !isNumberInRange(data.height, 0, limit) || data.height === 0) {
+    return { error: `width and height must be positive and at most ${limit}` };
+  }
+  const layer = validateLayerField(data);
+  if (layer.error) return layer;
+
+  return {
+    value: {
+      type: 'image',
+      imageId: data.imageId,
+      x: data.x,
+      y: data.y,
+      width: data.width,
+      height: data.height,
+      ...layer.value
+    }
+  };
+}
+
+/**
+ * Validate a `layer-change` payload: adding, renaming, moving, hiding or
+ * locking a layer (see layers.js). New layers get their ID from the room's
+ * authority.
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateLayerChange(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  const { action } = data;
+  if (!LAYER_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${LAYER_ACTIONS.join(', ')}` };
+  }
+  if (action !== 'add' && !isLayerId(data.layerId)) {
+    return { error: 'layerId must be a layer ID' };
+  }
+  const change = action === 'add' ? { action } : { action, layerId: data.layerId };
+
+  switch (action) {
+    case 'add':
+    case 'rename': {
+      const name = validateLayerName(data.name);
+      if (name.error) return name;
+      return { value: { ...change, name: name.value } };
+    }
+    case 'move':
+      if (!Number.isInteger(data.index) || data.index < 0) {
+        return { error: 'index must be a non-negative integer' };
+      }
+      return { value: { ...change, index: data.index } };
+    case 'visibility':
+      if (typeof data.visible !== 'boolean') return { error: 'visible must be true or false' };
+      return { value: { ...change, visible: data.visible } };
+    default: // lock
+      if (typeof data.locked !== 'boolean') return { error: 'locked must be true or false' };
+      return { value: { ...change, locked: data.locked } };
+  }
+}
+
+/**
+ * Validate a `stroke-begin` payload (the style and first points of a live stroke)
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateStrokeBegin(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  const tempId = validateTempId(data.tempId);
+  if (tempId.error) return tempId;
+
+  const points = validatePoints(data.points, config.validation.maxBatchPoints);
+  if (points.error) return points;
+
+  const style = validateStrokeStyle(data);
+  if (style.error) return style;
+
+  return { value: { tempId: tempId.value, points: points.value, ...style.value } };
+}
+
+/**
+ * Validate a `stroke-point-batch` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validatePointBatch(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  const tempId = validateTempId(data.tempId);
+  if (tempId.error) return tempId;
+
+  const points = validatePoints(data.points, config.validation.maxBatchPoints);
+  if (points.error) return points;
+
+  return { value: { tempId: tempId.value, points: points.value } };
+}
+
+/**
+ * Validate a `stroke-end` or `stroke-abort` payload
+ * @param {Object} data - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateStrokeEnd(data) {
+  if (!isObject(data)) return { error: 'Payload must be an object' };
+
+  const tempId = validateTempId(data.tempId);
+  if (tempId.error) return tempId;
+
+  return { value: { tempId: tempId.value } };
+}
+
+/**
+ * Validate a `cursor-move` payload (null hides the cursor)
+ * @param {Object|null} cursor - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateCursor(cursor) {
+  if (cursor === null) return { value: null };
+  if (!isObject(cursor) || !isCoordinate(cursor.x) || !isCoordinate(cursor.y)) {
+    return { error: 'cursor must be {x, y} coordinates within the canvas range' };
+  }
+  return { value: { x: cursor.x, y: cursor.y } };
+}
+
+/**
+ * Validate a `tool-change` payload
+ * @param {string} tool - Raw payload
+ * @returns {Object} { value } or { error }
+ */
+function validateTool(tool) {
+  const tools = [...config.validation.tools, ...SHAPE_TYPES, 'text', 'select', 'object-eraser'];
+  if (!tools.includes(tool)) {
+    return { error: `tool must be one of: ${tools.join(', ')}` };
+  }
+  return { value: tool };
+}
+
+/**
+ * Validate an imported drawing
+ * Accepts the shape of DrawingState.getFullState(), or a room export
+ * wrapping it as { state }. Only the visible operations are imported: the
+ * snapshot plus the operations that aren't undone.
+ * @param {Object} data - Parsed JSON document
+ * @returns {Object} { value: operations } or { error }, operations have no IDs
+ */
+function validateImport(data) {
+  if (!isObject(data)) return { error: 'Document must be a JSON object' };
+  const state = isObject(data.state) ? data.state : data;
+
+  if (!Array.isArray(state.operations)) {
+    return { error: 'operations must be an array' };
+  }
+  if (state.snapshot !== undefined &&
+      (!isObject(state.snapshot) || !Array.isArray(state.snapshot.operations))) {
+    return { error: 'snapshot.operations must be an array' };
+  }
+  if (state.undoneOperations !== undefined && !Array.isArray(state.undoneOperations)) {
+    return { error: 'undoneOperations must be an array' };
+  }
+
+  const snapshotOperations = state.snapshot ? state.snapshot.operations : [];
+  const { maxOperations } = config.import;
+  if (snapshotOperations.length + state.operations.length > maxOperations) {
+    return { error: `A document can have at most ${maxOperations} operations` };
+  }
+
+  // Edits are folded into the objects they changed, transforms into a
+  // matrix, so they are checked like live ones first
+  const editValidators = { update: validateUpdate, transform: validateTransform, delete: validateDelete };
+  const undone = new Set(state.undoneOperations || []);
+  const active = snapshotOperations.concat(state.operations.filter(op => !isObject(op) || !undone.has(op.id)));
+  for (let i = 0; i < active.length; i++) {
+    const op = active[i];
+    if (!isObject(op) || !editValidators[op.type]) continue;
+    const edit = editValidators[op.type](op);
+    if (edit.error) return { error: `Operation ${i}: ${edit.error}` };
+    active[i] = edit.value;
+  }
+  const source = applyUpdates(active);
+
+  const operations = [];
+  for (let i = 0; i < source.length; i++) {
+    const op = source[i];
+    if (isObject(op) && op.type === 'clear') {
+      operations.push({ type: 'clear' });
+      continue;
+    }
+    const types = ['stroke', 'text', 'image', ...SHAPE_TYPES];
+    if (!isObject(op) || !types.includes(op.type)) {
+      return { error: `Operation ${i}: type must be clear or one of: ${types.join(', ')}` };
+    }
+
+    let drawn;
+    if (op.type === 'stroke') {
+      drawn = validateStroke(op);
+    } else if (op.type === 'text') {
+      drawn = validateText(op);
+    } else if (op.type === 'image') {
+      drawn = validateImage(op);
+    } else {
+      drawn = validateShape(op);
+    }
+    if (drawn.error) return { error: `Operation ${i}: ${drawn.error}` };
+    if (op.matrix !== undefined && !isMatrix(op.matrix)) {
+      return { error: `Operation ${i}: matrix must be [a, b, c, d, e, f] within the transform limits` };
+    }
+    if (op.matrix !== undefined && op.tool === 'eraser') {
+      return { error: `Operation ${i}: eraser strokes can't be transformed` };
+    }
+
+    const userName = validateOptionalString(op.userName, 'userName', config.validation.maxUserNameLength);
+    const imported = {
+      ...drawn.value,
+      type: op.type,
+      userName: userName.value || 'Imported'
+    };
+    if (op.matrix !== undefined) imported.matrix = [...op.matrix];
+    operations.push(imported);
+  }
+
+  return { value: operations };
+}
+
+/**
+ * Validate the images of an imported document: an `images` object mapping
+ * image IDs to base64 file contents, as in JSON exports. Optional.
+ * @param {Object} data - Parsed document
+ * @returns {Object} { value } with [{ imageId, data }] or { error }
+ */
+function validateImportImages(data) {
+  if (!isObject(data) || data.images === undefined) return { value: [] };
+  if (!isObject(data.images)) return { error: 'images must be an object' };
+
+  const images = [];
+  for (const [imageId, encoded] of Object.entries(data.images)) {
+    if (!isImageId(imageId)) return { error: `${imageId} is not an image ID` };
+    if (typeof encoded !== 'string') return { error: `Image ${imageId} must be base64 data` };
+
+    const buffer = Buffer.from(encoded, 'base64');
+    if (buffer.length > config.images.maxBytes) {
+      return { error: `Image ${imageId} is larger than ${config.images.maxBytes} bytes` };
+    }
+    const type = detectImageType(buffer);
+    if (!type || getImageId(buffer, type) !== imageId) {
+      return { error: `Image ${imageId} does not match its ID` };
+    }
+    images.push({ imageId, data: encoded });
+  }
+
+  return { value: images };
+}
+
+/**
+ * Validate the layers of an imported document, as in the `layers` of
+ * DrawingState.getFullState(). Optional: documents from before layers have
+ * everything on the default layer.
+ * @param {Object} data - Parsed document
+ * @returns {Object} { value } with [{ id, name, visible, locked }] or { error }
+ */
+function validateImportLayers(data) {
+  const state = isObject(data) && isObject(data.state) ? data.state : data;
+  if (!isObject(state) || state.layers === undefined) return { value: [] };
+
+  const { maxLayers } = config.validation;
+  if (!Array.isArray(state.layers) || state.layers.length > maxLayers) {
+    return { error: `layers must be an array of at most ${maxLayers} layers` };
+  }
+
+  const layers = [];
+  for (const layer of state.layers) {
+    if (!isObject(layer) || !isLayerId(layer.id) || layers.some(other => other.id === layer.id)) {
+      return { error: 'Each layer needs a distinct layer ID' };
+    }
+    const name = validateLayerName(layer.name);
+    if (name.error) return { error: `Layer ${layer.id}: ${name.error}` };
+    layers.push({ id: layer.id, name: name.value, visible: layer.visible !== false, locked: layer.locked === true });
+  }
+
+  return { value: layers };
+}
+
+/**
+ * Validate the query parameters of an import
+ *   mode=replace (default) - clear the current drawing first
+ *   mode=append            - add to the current drawing
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { value } or { error }
+ */
+function validateImportQuery(query) {
+  const mode = query.mode === undefined ? 'replace' : query.mode;
+  if (mode !== 'replace' && mode !== 'append') {
+    return { error: 'mode must be replace or append' };
+  }
+  return { value: { replace: mode === 'replace' } };
+}
+
+/**
+ * Validate the query of a history state request, which names exactly one
+ * point in history:
+ *   at=1700000000000 - timestamp in milliseconds
+ *   operation=42     - right after this operation was added
+ *   version=57       - the drawing state version
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { value } or { error }
+ */
+function validateHistoryQuery(query) {
+  const given = ['at', 'operation', 'version'].filter(field => query[field] !== undefined);
+  if (given.length !== 1) {
+    return { error: 'Give exactly one of at, operation or version' };
+  }
+
+  const field = given[0];
+  const value = Number(query[field]);
+  if (!Number.isInteger(value) || value < 0) {
+    return { error: `${field} must be a non-negative integer` };
+  }
+  return { value: { [field]: value } };
+}
+
+/**
+ * Validate the query parameters of an image export
+ *   crop=x,y,width,height  - area to export (defaults to the drawing's extent)
+ *   background=#rrggbb     - background color ('#' optional, transparent if omitted)
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { value } or { error }
+ */
+function validateExportQuery(query) {
+  let crop = null;
+  if (query.crop !== undefined) {
+    const parts = typeof query.crop === 'string' ? query.crop.split(',').map(Number) : [];
+    const limit = config.validation.maxCoordinate;
+    const [x, y, width, height] = parts;
+    if (parts.length !== 4 || !isCoordinate(x) || !isCoordinate(y) ||
+        !isNumberInRange(width, 1, 2 * limit) || !isNumberInRange(height, 1, 2 * limit)) {
+      return { error: 'crop must be x,y,width,height with a positive width and height' };
+    }
+    crop = { x, y, width, height };
+  }
+
+  let background = null;
+  if (query.background !== undefined) {
+    const color = typeof query.background === 'string' && !query.background.startsWith('#')
+      ? `#${query.background}`
+      : query.background;
+    if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+      return { error: 'background must be a hex color like #ffffff' };
+    }
+    background = color;
+  }
+
+  return { value: { crop, background } };
+}
+
+/**
+ * Validate the query parameters of a raster (PNG) export: those of
+ * validateExportQuery plus the output size
+ *   scale=2              - pixels per canvas unit
+ *   width=320&height=200 - fit the exported area inside this many pixels
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { value } or { error }
+ */
+function validateRasterQuery(query) {
+  const base = validateExportQuery(query);
+  if (base.error) return base;
+
+  const { maxPngScale, maxPngPixels } = config.export;
+  const value = { ...base.value, scale: 1, width: null, height: null };
+
+  if (query.scale !== undefined) {
+    value.scale = Number(query.scale);
+    if (!isNumberInRange(value.scale, 0.01, maxPngScale)) {
+      return { error: `scale must be between 0.01 and ${maxPngScale}` };
+    }
+  }
+
+  for (const field of ['width', 'height']) {
+    if (query[field] === undefined) continue;
+    value[field] = Number(query[field]);
+    if (!Number.isInteger(value[field]) || value[field] < 1 || value[field] > maxPngPixels) {
+      return { error: `${field} must be a positive number of pixels` };
+    }
+  }
+
+  return { value };
+}
+
+module.exports = {
+  validateJoin,
+  validateCreateRoom,
+  validateRoleChange,
+  validateStroke,
+  validateShape,
+  validateText,
+  validateUpdate,
+  validateTransform,
+  validateDelete,
+  validateHistoryStep,
+  validateImage,
+  validateLayerChange,
+  validateStrokeBegin,
+  validatePointBatch,
+  validateStrokeEnd,
+  validateCursor,
+  validateTool,
+  validateExportQuery,
+  validateRasterQuery,
+  validateImport,
+  validateImportImages,
+  validateImportLayers,
+  validateImportQuery,
+  validateHistoryQuery,
+  withClientId
+};